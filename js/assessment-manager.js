@@ -1,375 +1,697 @@
-/**
-
-* assessment-manager.js
-* Handles creation, editing, deletion, previewing, and publishing of assessments.
-* Requires firebase-config.js and utils.js to be loaded.
-  */
-
-import {
-db,
-collection,
-addDoc,
-getDocs,
-getDoc,
-updateDoc,
-deleteDoc,
-doc,
-serverTimestamp,
-} from "./firebase-config.js";
-
-import {
-toast,
-showLoader,
-hideLoader,
-formatDateTime,
-confirmDialog,
-setStatus,
-} from "./utils.js";
-
-// ---------------------------
-// DOM Elements
-// ---------------------------
-const uploadedAssessmentsBody = document.getElementById("uploadedAssessmentsBody");
-const saveAssessmentBtn = document.getElementById("saveAssessmentBtn");
-const yearInput = document.getElementById("yearInput");
-const termSelect = document.getElementById("termSelect");
-const classSelect = document.getElementById("classSelect") || document.getElementById("classInput");
-const subjectSelect = document.getElementById("subjectSelect");
-const assessmentSelect = document.getElementById("assessmentSelect");
-
-let cachedAssessments = [];
-
-// ---------------------------
-// Helpers
-// ---------------------------
-function safe(v) {
-return v === undefined || v === null ? "" : String(v).trim();
-}
-
-function buildAssessmentDoc(questions = []) {
-const year = safe(yearInput?.value);
-const term = safe(termSelect?.value);
-const theclass = safe(classSelect?.value);
-const subject = safe(subjectSelect?.value);
-const assessmentName = safe(assessmentSelect?.value);
-
-if (!year || !term || !theclass || !subject || !assessmentName) {
-throw new Error("Please fill Year, Term, Class, Subject, and Assessment Name before saving.");
-}
-
-return {
-year,
-term,
-theclass,
-subject,
-assessmentName,
-title: `${assessmentName} — ${subject} — ${theclass} — ${term} ${year}`,
-questions: questions || [],
-status: "Draft",
-createdAt: serverTimestamp(),
-updatedAt: serverTimestamp(),
-};
-}
-
-// ---------------------------
-// Save / Update Assessment
-// ---------------------------
-export async function saveAssessment({ questions = [], editingId = null, makePublished = false } = {}) {
-try {
-if (!Array.isArray(questions) || questions.length === 0) {
-toast("No questions to save.", "error");
-return;
-}
-
-```
-showLoader("Saving assessment...");
-const docObj = buildAssessmentDoc(questions);
-docObj.status = makePublished ? "Published" : docObj.status;
-
-if (editingId) {
-  const ref = doc(db, "exams", editingId);
-  await updateDoc(ref, { ...docObj, updatedAt: serverTimestamp() });
-  toast("Assessment updated.", "success");
-} else {
-  const ref = await addDoc(collection(db, "exams"), docObj);
-  toast("Assessment saved.", "success");
-  editingId = ref.id;
-}
-
-await loadAssessments();
-hideLoader();
-return editingId;
-```
-
-} catch (err) {
-console.error("saveAssessment:", err);
-toast("Save failed: " + (err.message || err), "error");
-hideLoader();
-return null;
-}
-}
-
-// ---------------------------
-// Load & Render Assessments
-// ---------------------------
-export async function loadAssessments(filter = {}) {
-try {
-if (!uploadedAssessmentsBody) return;
-uploadedAssessmentsBody.innerHTML = `<tr><td colspan="5" class="small">Loading...</td></tr>`;
-
-```
-const snap = await getDocs(collection(db, "exams"));
-const list = [];
-
-snap.forEach((d) => {
-  const data = d.data();
-  list.push({ id: d.id, data });
-});
-
-const filtered = list.filter((r) => {
-  const d = r.data;
-  if (filter.year && String(d.year) !== String(filter.year)) return false;
-  if (filter.term && d.term !== filter.term) return false;
-  if (filter.theclass && String(d.theclass) !== String(filter.theclass)) return false;
-  if (filter.subject && d.subject !== filter.subject) return false;
-  if (filter.assessmentName && d.assessmentName !== filter.assessmentName) return false;
-  return true;
-});
-
-cachedAssessments = filtered;
-renderAssessmentsTable(filtered);
-return filtered;
-```
-
-} catch (err) {
-console.error("loadAssessments:", err);
-uploadedAssessmentsBody.innerHTML = `<tr><td colspan="5">Failed to load assessments.</td></tr>`;
-toast("Error loading assessments.", "error");
-return [];
-}
-}
-
-function renderAssessmentsTable(items = []) {
-if (!uploadedAssessmentsBody) return;
-if (items.length === 0) {
-uploadedAssessmentsBody.innerHTML = `<tr><td colspan="5" class="small">No assessments found.</td></tr>`;
-return;
-}
-
-items.sort((a, b) => {
-const ta = a.data?.updatedAt?.seconds || 0;
-const tb = b.data?.updatedAt?.seconds || 0;
-return tb - ta;
-});
-
-uploadedAssessmentsBody.innerHTML = items
-.map((item) => {
-const d = item.data || {};
-const dateStr = d.updatedAt
-? formatDateTime(d.updatedAt.seconds ? d.updatedAt.seconds * 1000 : d.updatedAt)
-: "";
-const pubLabel = d.status === "Published" ? "Unpublish" : "Publish";
-
-```
-const html = data
-  .map(item => {
-    const d = item.data || item; // handle Firestore doc vs plain object
-    const dateStr = formatDateTime(d.createdAt);
-    const pubLabel = d.status === "Published" ? "Unpublish" : "Publish";
-
-   const rowsHtml = data.map((item) => {
-    const d = item.data;
-    const dateStr = d.createdAt
-      ? new Date(d.createdAt.seconds * 1000).toLocaleDateString()
-      : "";
-    const pubLabel = d.status === "Published" ? "Unpublish" : "Publish";
-
-    return `
-      <tr>
-        <td>${d.assessmentName || ""}</td>
-        <td>${d.subject || ""}</td>
-        <td>${d.theclass || ""}</td>
-        <td>${dateStr}</td>
-        <td style="white-space:nowrap">
-          <button class="btn small edit-btn" data-id="${item.id}">Edit</button>
-          <button class="btn ghost small preview-btn" data-id="${item.id}">Preview</button>
-          <button class="btn ghost small delete-btn" data-id="${item.id}">Delete</button>
-          <button class="btn small publish-btn" data-id="${item.id}" data-status="${
-            d.status || "Draft"
-          }">${pubLabel}</button>
-        </td>
-      </tr>`;
-  }).join("");
-
-  document.getElementById("uploadedAssessmentsBody").innerHTML = rowsHtml;
-}
-
-  .join("");
-
-
-uploadedAssessmentsBody.querySelectorAll(".edit-btn").forEach((b) =>
-b.addEventListener("click", onEdit)
-);
-uploadedAssessmentsBody.querySelectorAll(".delete-btn").forEach((b) =>
-b.addEventListener("click", onDelete)
-);
-uploadedAssessmentsBody.querySelectorAll(".preview-btn").forEach((b) =>
-b.addEventListener("click", onPreview)
-);
-uploadedAssessmentsBody.querySelectorAll(".publish-btn").forEach((b) =>
-b.addEventListener("click", onPublishToggle)
-);
-}
-
-// ---------------------------
-// Button Actions
-// ---------------------------
-async function onEdit(e) {
-const id = e.currentTarget.dataset.id;
-if (!id) return toast("Missing ID.", "error");
-
-showLoader("Loading...");
-try {
-const ref = doc(db, "exams", id);
-const snap = await getDoc(ref);
-hideLoader();
-if (!snap.exists()) return toast("Assessment not found.", "error");
-window.dispatchEvent(
-new CustomEvent("assessment:edit", { detail: { id, data: snap.data() } })
-);
-toast("Loaded for editing.", "info");
-} catch (err) {
-console.error("onEdit:", err);
-hideLoader();
-toast("Failed to load for editing.", "error");
-}
-}
-
-async function onDelete(e) {
-const id = e.currentTarget.dataset.id;
-if (!id) return toast("Missing ID.", "error");
-const ok = await confirmDialog("Delete this assessment? This cannot be undone.");
-if (!ok) return;
-try {
-showLoader("Deleting...");
-await deleteDoc(doc(db, "exams", id));
-toast("Deleted successfully.", "success");
-await loadAssessments();
-} catch (err) {
-console.error("onDelete:", err);
-toast("Delete failed: " + err.message, "error");
-} finally {
-hideLoader();
-}
-}
-
-async function onPreview(e) {
-const id = e.currentTarget.dataset.id;
-if (!id) return;
-const found = cachedAssessments.find((x) => x.id === id);
-if (!found) return toast("Assessment not found for preview.", "error");
-window.dispatchEvent(new CustomEvent("assessment:preview", { detail: found }));
-}
-
-async function onPublishToggle(e) {
-const id = e.currentTarget.dataset.id;
-if (!id) return;
-try {
-showLoader("Updating status...");
-const found = cachedAssessments.find((x) => x.id === id);
-const currentStatus = found?.data?.status || "Draft";
-const newStatus = currentStatus === "Published" ? "Draft" : "Published";
-await updateDoc(doc(db, "exams", id), {
-status: newStatus,
-updatedAt: serverTimestamp(),
-});
-toast(newStatus === "Published" ? "Published." : "Unpublished.", "success");
-await loadAssessments();
-} catch (err) {
-console.error("onPublishToggle:", err);
-toast("Status update failed.", "error");
-} finally {
-hideLoader();
-}
-}
-
-// ---------------------------
-// Save Handler (from Editor)
-// ---------------------------
-function attachSaveHandler() {
-if (!saveAssessmentBtn) return;
-saveAssessmentBtn.addEventListener("click", async () => {
-try {
-let questions = [];
-if (typeof window.getQuestions === "function") {
-questions = window.getQuestions() || [];
-}
-
-```
-  if (!Array.isArray(questions) || questions.length === 0) {
-    const blocks = document.querySelectorAll(
-      ".question-card, .question-block, [data-qid]"
-    );
-    blocks.forEach((b, i) => {
-      const qText =
-        b.querySelector("textarea, .questionInput, .editable")?.value ||
-        b.textContent ||
-        "";
-      const opts = Array.from(
-        b.querySelectorAll("input[type='text'], .optionInput")
-      ).map((o) => o.value || "");
-      const ans =
-        b.querySelector("select, .answerSelect")?.value || "";
-      const img = b.querySelector("img")?.src || "";
-      const marks = parseInt(b.querySelector(".marksInput")?.value || "1");
-      if (qText.trim()) {
-        questions.push({
-          id: b.dataset.qid || `q_${i + 1}`,
-          question: qText.trim(),
-          options: opts,
-          answer: ans,
-          marks,
-          imageUrl: img,
-        });
-      }
-    });
-  }
-
-  if (questions.length === 0) {
-    toast("No questions found in editor.", "error");
-    return;
-  }
-
-  await saveAssessment({ questions });
-} catch (err) {
-  console.error("attachSaveHandler:", err);
-  toast("Save failed: " + err.message, "error");
-}
-```
-
-});
-}
-
-// ---------------------------
-// Init
-// ---------------------------
-(function init() {
-attachSaveHandler();
-const year = safe(yearInput?.value);
-loadAssessments(year ? { year } : {});
-[yearInput, termSelect, classSelect, subjectSelect].forEach((el) => {
-if (el)
-el.addEventListener("change", () =>
-loadAssessments({
-year: yearInput?.value,
-term: termSelect?.value,
-theclass: classSelect?.value,
-subject: subjectSelect?.value,
-})
-);
-});
-})();
-
-export default { saveAssessment, loadAssessments, cachedAssessments };
-
-
+/**
+ * assessment-manager.js
+ * Handles creation, editing, deletion, previewing, and publishing of assessments.
+ * Requires firebase-config.js and utils.js to be loaded.
+ */
+
+import {
+  db,
+  collection,
+  addDoc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  doc,
+  serverTimestamp,
+  query,
+  where,
+  writeBatch,
+} from "../firebase-config.js";
+
+import {
+  toast,
+  showLoader,
+  hideLoader,
+  formatDateTime,
+  confirmDialog,
+  setStatus,
+} from "./utils.js";
+
+import { answerKeyChanged, regradeExam } from "./grading.js";
+import { recordRevision, ensureBaseline } from "./revisions.js";
+import { currentProfile, onProfile, canSeeExam, canModifyExam } from "./auth.js";
+import { STAGES, contentLockedReason, approvalResetFields, stageSummaryHtml } from "./workflow.js";
+import { availabilityHtml, toLocalInputValue, fromLocalInputValue } from "./schedule.js";
+import { addDeliveryRemoval } from "./exam-delivery.js";
+import {
+  isOffline,
+  isNetworkError,
+  isLocalId,
+  isLocalImage,
+  newLocalId,
+  timestampMillis,
+  queueOp,
+  pendingOps,
+  flushQueue,
+  registerSyncHandler,
+  cacheAssessments,
+  readCachedAssessments,
+} from "./offline-sync.js";
+
+// ---------------------------
+// DOM Elements
+// ---------------------------
+const uploadedAssessmentsBody = document.getElementById("uploadedAssessmentsBody");
+const saveAssessmentBtn = document.getElementById("saveAssessmentBtn");
+const yearInput = document.getElementById("yearInput");
+const termSelect = document.getElementById("termSelect");
+const classSelect = document.getElementById("classSelect") || document.getElementById("classInput");
+const subjectSelect = document.getElementById("subjectSelect");
+const assessmentSelect = document.getElementById("assessmentSelect");
+const shuffleQuestionsInput = document.getElementById("shuffleQuestionsInput");
+const shuffleOptionsInput = document.getElementById("shuffleOptionsInput");
+const opensAtInput = document.getElementById("opensAtInput");
+const closesAtInput = document.getElementById("closesAtInput");
+const durationInput = document.getElementById("durationInput");
+const attemptsInput = document.getElementById("attemptsInput");
+const instructionsInput = document.getElementById("instructionsInput");
+const editingBanner = document.getElementById("editingBanner");
+const newAssessmentBtn = document.getElementById("newAssessmentBtn");
+
+let cachedAssessments = [];
+
+// Id of the exams document the editor is working on (null = new)
+let editingId = null;
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function safe(v) {
+  return v === undefined || v === null ? "" : String(v).trim();
+}
+
+function buildAssessmentDoc(questions = []) {
+  const year = safe(yearInput?.value);
+  const term = safe(termSelect?.value);
+  const theclass = safe(classSelect?.value);
+  const subject = safe(subjectSelect?.value);
+  const assessmentName = safe(assessmentSelect?.value);
+
+  if (!year || !term || !theclass || !subject || !assessmentName) {
+    throw new Error("Please fill Year, Term, Class, Subject, and Assessment Name before saving.");
+  }
+
+  const opensAt = fromLocalInputValue(opensAtInput?.value);
+  const closesAt = fromLocalInputValue(closesAtInput?.value);
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    throw new Error("The close date/time must be after the open date/time.");
+  }
+
+  return {
+    year,
+    term,
+    theclass,
+    subject,
+    assessmentName,
+    title: `${assessmentName} — ${subject} — ${theclass} — ${term} ${year}`,
+    questions: questions || [],
+    shuffleQuestions: shuffleQuestionsInput ? shuffleQuestionsInput.checked : true,
+    shuffleOptions: shuffleOptionsInput ? shuffleOptionsInput.checked : true,
+    opensAt,
+    closesAt,
+    durationMinutes: Math.max(0, parseInt(durationInput?.value) || 0),
+    maxAttempts: Math.max(1, parseInt(attemptsInput?.value) || 1),
+    instructions: instructionsInput ? instructionsInput.value.trim() : "",
+    status: STAGES.draft,
+    createdBy: currentProfile()?.uid || "",
+    createdByName: currentProfile()?.name || "",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  };
+}
+
+function setEditing(id, title = "") {
+  editingId = id || null;
+  if (editingBanner) editingBanner.textContent = editingId ? `Editing: ${title || editingId}` : "New assessment";
+}
+
+function setFieldValue(el, value) {
+  if (!el || value === undefined || value === null) return;
+  const v = String(value);
+  // saved values that are no longer in a select's list are added back
+  if (el.tagName === "SELECT" && !Array.from(el.options).some((o) => o.value === v)) {
+    el.add(new Option(v, v));
+  }
+  el.value = v;
+}
+
+function fillMetadata(data = {}) {
+  setFieldValue(yearInput, data.year);
+  setFieldValue(termSelect, data.term);
+  setFieldValue(classSelect, data.theclass);
+  setFieldValue(subjectSelect, data.subject);
+  setFieldValue(assessmentSelect, data.assessmentName);
+  if (shuffleQuestionsInput) shuffleQuestionsInput.checked = data.shuffleQuestions !== false;
+  if (shuffleOptionsInput) shuffleOptionsInput.checked = data.shuffleOptions !== false;
+  if (opensAtInput) opensAtInput.value = toLocalInputValue(data.opensAt);
+  if (closesAtInput) closesAtInput.value = toLocalInputValue(data.closesAt);
+  if (durationInput) durationInput.value = data.durationMinutes || "";
+  if (attemptsInput) attemptsInput.value = data.maxAttempts || 1;
+  if (instructionsInput) instructionsInput.value = data.instructions || "";
+}
+
+function editorHasQuestions() {
+  return typeof window.getQuestions === "function" && (window.getQuestions() || []).length > 0;
+}
+
+// ---------------------------
+// Save / Update Assessment
+// ---------------------------
+/**
+ * Writes an assessment document to Firestore: creates it when id is
+ * null, otherwise updates it (recreating it if it was deleted).
+ * Shared by saveAssessment, the offline sync queue and bank edits
+ * (question-bank.js), so every change gets a revision.
+ * @returns {Promise<string>} the document id
+ */
+export async function writeAssessment(id, docObj, { note } = {}) {
+  if (!id) {
+    const ref = await addDoc(collection(db, "exams"), {
+      ...docObj,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    await recordRevision(ref.id, docObj, { note: note || "Created" });
+    return ref.id;
+  }
+
+  const ref = doc(db, "exams", id);
+  const before = await getDoc(ref);
+  if (!before.exists()) {
+    await setDoc(ref, { ...docObj, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+    await recordRevision(id, docObj, { note: note || "Recreated" });
+    return id;
+  }
+
+  const locked = contentLockedReason(before.data());
+  if (locked) throw new Error(locked);
+
+  const previousQuestions = before.data().questions || [];
+  await ensureBaseline(id, before.data());
+  // status only changes through the workflow (workflow.js), except
+  // that editing an Approved exam sends it back to Draft; the owner
+  // stays whoever created the exam
+  const { createdAt, status, createdBy, createdByName, ...updates } = docObj;
+  await updateDoc(ref, {
+    ...updates,
+    ...approvalResetFields(before.data()),
+    updatedAt: serverTimestamp(),
+  });
+  await recordRevision(id, docObj, { note });
+
+  // Corrected answer keys or marks invalidate existing results
+  if (answerKeyChanged(previousQuestions, docObj.questions)) {
+    setStatus("Re-grading submissions...");
+    const count = await regradeExam(id, docObj);
+    if (count > 0) toast(`Re-graded ${count} submission(s).`, "info");
+  }
+  return id;
+}
+
+// Offline (or not yet synced) saves go to the queue in offline-sync.js
+async function queueSave(docObj, editingId) {
+  const id = editingId || newLocalId();
+  const { createdAt, updatedAt, ...data } = docObj;
+  // as online, an update leaves the stage to writeAssessment
+  if (editingId && !isLocalId(editingId)) delete data.status;
+  const base = cachedAssessments.find((x) => x.id === id)?.data?.updatedAt;
+  await queueOp({ kind: "save", id, data, baseUpdatedAt: timestampMillis(base) });
+  toast(
+    isOffline()
+      ? "Offline: saved on this device. It will sync when you are back online."
+      : "Saved on this device; syncing...",
+    "info"
+  );
+  await loadAssessments();
+  if (!isOffline()) flushQueue();
+  return id;
+}
+
+export async function saveAssessment({ questions = [], editingId = null } = {}) {
+  let docObj = null;
+  try {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      toast("No questions to save.", "error");
+      return;
+    }
+
+    showLoader("global", "Saving assessment...");
+    docObj = buildAssessmentDoc(questions);
+    const original = cachedAssessments.find((x) => x.id === editingId)?.data;
+    if (!canModifyExam(docObj) || (original && !canModifyExam(original))) {
+      hideLoader("global");
+      toast("You can only save assessments for your own subjects and classes.", "error");
+      return null;
+    }
+    if (original && contentLockedReason(original)) {
+      hideLoader("global");
+      toast(contentLockedReason(original), "error");
+      return null;
+    }
+
+    // A local id has not reached Firestore yet, so it queues behind its
+    // first save; images kept offline must upload before the questions
+    if (isOffline() || isLocalId(editingId) || questions.some((q) => isLocalImage(q.imageUrl))) {
+      const id = await queueSave(docObj, editingId);
+      hideLoader("global");
+      return id;
+    }
+
+    const isNew = !editingId;
+    editingId = await writeAssessment(editingId, docObj);
+    toast(isNew ? "Assessment saved." : "Assessment updated.", "success");
+
+    await loadAssessments();
+    hideLoader("global");
+    return editingId;
+  } catch (err) {
+    console.error("saveAssessment:", err);
+    if (docObj && isNetworkError(err)) {
+      const id = await queueSave(docObj, editingId);
+      hideLoader("global");
+      return id;
+    }
+    toast("Save failed: " + (err.message || err), "error");
+    hideLoader("global");
+    return null;
+  }
+}
+
+// ---------------------------
+// Load & Render Assessments
+// ---------------------------
+export async function loadAssessments(filter = {}) {
+  try {
+    if (!uploadedAssessmentsBody) return;
+    uploadedAssessmentsBody.innerHTML = `<tr><td colspan="6" class="small">Loading...</td></tr>`;
+
+    let list = [];
+    if (isOffline()) {
+      list = await readCachedAssessments();
+    } else {
+      try {
+        list = await fetchVisibleExams();
+        cacheAssessments(list);
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        list = await readCachedAssessments();
+        toast("Could not reach the server; showing assessments saved on this device.", "info");
+      }
+    }
+    list = (await withPendingChanges(list)).filter((r) => canSeeExam(r.data));
+
+    const filtered = list.filter((r) => {
+      const d = r.data;
+      if (filter.year && String(d.year) !== String(filter.year)) return false;
+      if (filter.term && d.term !== filter.term) return false;
+      if (filter.theclass && String(d.theclass) !== String(filter.theclass)) return false;
+      if (filter.subject && d.subject !== filter.subject) return false;
+      if (filter.assessmentName && d.assessmentName !== filter.assessmentName) return false;
+      return true;
+    });
+
+    cachedAssessments = filtered;
+    renderAssessmentsTable(filtered);
+    return filtered;
+  } catch (err) {
+    console.error("loadAssessments:", err);
+    uploadedAssessmentsBody.innerHTML = `<tr><td colspan="6">Failed to load assessments.</td></tr>`;
+    toast("Error loading assessments.", "error");
+    return [];
+  }
+}
+
+// Only queries the signed-in user may run under firestore.rules:
+// everything for admins, their subjects for heads of department, each
+// subject's own classes for teachers, plus exams they created
+export async function fetchVisibleExams() {
+  const p = currentProfile();
+  if (!p) return [];
+  const queries = [];
+  const exams = collection(db, "exams");
+  // "in" takes at most 30 values
+  const chunks = (list) => Array.from({ length: Math.ceil(list.length / 30) }, (_, i) => list.slice(i * 30, i * 30 + 30));
+  if (p.role === "admin") {
+    queries.push(exams);
+  } else if (p.role === "hod") {
+    chunks(p.subjects).forEach((subjects) => queries.push(query(exams, where("subject", "in", subjects))));
+  } else {
+    p.subjects.forEach((subject) =>
+      chunks(p.classes).forEach((classes) =>
+        queries.push(query(exams, where("subject", "==", subject), where("theclass", "in", classes)))
+      )
+    );
+  }
+  if (p.role !== "admin") queries.push(query(exams, where("createdBy", "==", p.uid)));
+
+  const byId = new Map();
+  for (const q of queries) {
+    const snap = await getDocs(q);
+    snap.forEach((d) => byId.set(d.id, { id: d.id, data: d.data() }));
+  }
+  return Array.from(byId.values());
+}
+
+// Queued saves and stage steps shown as if they had synced
+async function withPendingChanges(list) {
+  const byId = new Map(list.map((item) => [item.id, item]));
+  for (const op of await pendingOps()) {
+    const current = byId.get(op.id);
+    if (op.kind !== "save" && !current) continue;
+    const data =
+      op.kind === "save"
+        ? { status: STAGES.draft, ...current?.data, ...op.data, updatedAt: { seconds: Math.floor(op.queuedAt / 1000) } }
+        : { ...current.data, status: op.data.status };
+    byId.set(op.id, { id: op.id, data, pending: true });
+  }
+  return Array.from(byId.values());
+}
+
+function renderAssessmentsTable(items = []) {
+  if (!uploadedAssessmentsBody) return;
+  if (items.length === 0) {
+    uploadedAssessmentsBody.innerHTML = `<tr><td colspan="6" class="small">No assessments found.</td></tr>`;
+    return;
+  }
+
+  items.sort((a, b) => {
+    const ta = a.data?.updatedAt?.seconds || 0;
+    const tb = b.data?.updatedAt?.seconds || 0;
+    return tb - ta;
+  });
+
+  uploadedAssessmentsBody.innerHTML = items
+    .map((item) => {
+      const d = item.data || {};
+      const dateStr = d.updatedAt
+        ? formatDateTime(d.updatedAt.seconds ? d.updatedAt.seconds * 1000 : d.updatedAt)
+        : "";
+      const canModify = canModifyExam(d);
+
+      return `
+      <tr>
+        <td>${d.assessmentName || ""}</td>
+        <td>${d.subject || ""}</td>
+        <td>${d.theclass || ""}</td>
+        <td>${stageSummaryHtml(d)} ${availabilityHtml(d)}</td>
+        <td>${dateStr}${item.pending ? ` <span class="small" title="Waiting to sync">⏳ not synced</span>` : ""}</td>
+        <td style="white-space:nowrap">
+          ${canModify ? `<button class="btn small edit-btn" data-id="${item.id}">Edit</button>` : `<span class="small" title="Outside your subjects/classes">View only</span>`}
+          <button class="btn ghost small preview-btn" data-id="${item.id}">Preview</button>
+          <button class="btn ghost small export-btn" data-id="${item.id}">Export</button>
+          <button class="btn ghost small history-btn" data-id="${item.id}">History</button>
+          <button class="btn small workflow-btn" data-id="${item.id}">Review</button>
+          ${canModify ? `<button class="btn ghost small responses-btn" data-id="${item.id}" title="Import paper answers from CSV/Excel">Responses</button>` : ""}
+          ${canModify ? `<button class="btn ghost small analysis-btn" data-id="${item.id}" title="Difficulty, discrimination and distractors per question">Analysis</button>` : ""}
+          ${canModify ? `<button class="btn ghost small delete-btn" data-id="${item.id}">Delete</button>` : ""}
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  uploadedAssessmentsBody.querySelectorAll(".edit-btn").forEach((b) =>
+    b.addEventListener("click", onEdit)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".delete-btn").forEach((b) =>
+    b.addEventListener("click", onDelete)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".preview-btn").forEach((b) =>
+    b.addEventListener("click", onPreview)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".export-btn").forEach((b) =>
+    b.addEventListener("click", onExport)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".history-btn").forEach((b) =>
+    b.addEventListener("click", onHistory)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".workflow-btn").forEach((b) =>
+    b.addEventListener("click", onWorkflow)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".responses-btn").forEach((b) =>
+    b.addEventListener("click", onResponses)
+  );
+  uploadedAssessmentsBody.querySelectorAll(".analysis-btn").forEach((b) =>
+    b.addEventListener("click", onAnalysis)
+  );
+}
+
+// ---------------------------
+// Button Actions
+// ---------------------------
+async function onEdit(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return toast("Missing ID.", "error");
+  await editAssessment(id);
+}
+
+/**
+ * Loads a saved assessment into the editor.
+ * @returns {Promise<boolean>} true once it is loaded
+ */
+async function editAssessment(id) {
+  if (id !== editingId && editorHasQuestions()) {
+    const ok = await confirmDialog("Replace the questions in the editor with this assessment?");
+    if (!ok) return false;
+  }
+
+  showLoader("global", "Loading...");
+  try {
+    let data = null;
+    const cached = cachedAssessments.find((x) => x.id === id);
+    // offline, and for unsynced changes, the list already holds the latest copy
+    if (isOffline() || cached?.pending) {
+      data = cached?.data || null;
+    } else {
+      const snap = await getDoc(doc(db, "exams", id));
+      data = snap.exists() ? snap.data() : null;
+    }
+    hideLoader("global");
+    if (!data) {
+      toast("Assessment not found.", "error");
+      return false;
+    }
+    fillMetadata(data);
+    setEditing(id, data.title);
+    window.dispatchEvent(
+      new CustomEvent("assessment:edit", { detail: { id, data } })
+    );
+    toast("Loaded for editing.", "info");
+    return true;
+  } catch (err) {
+    console.error("editAssessment:", err);
+    hideLoader("global");
+    toast("Failed to load for editing.", "error");
+    return false;
+  }
+}
+
+async function onDelete(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return toast("Missing ID.", "error");
+  if (isOffline() || isLocalId(id)) return toast("Deleting needs a connection. Try again once this assessment has synced.", "error");
+  const ok = await confirmDialog("Delete this assessment? This cannot be undone.");
+  if (!ok) return;
+  try {
+    showLoader("global", "Deleting...");
+    // students' copies go with it (exam-delivery.js)
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "exams", id));
+    addDeliveryRemoval(batch, id);
+    await batch.commit();
+    if (id === editingId) setEditing(null);
+    toast("Deleted successfully.", "success");
+    await loadAssessments();
+  } catch (err) {
+    console.error("onDelete:", err);
+    toast("Delete failed: " + err.message, "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+async function onPreview(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  const found = cachedAssessments.find((x) => x.id === id);
+  if (!found) return toast("Assessment not found for preview.", "error");
+  window.dispatchEvent(new CustomEvent("assessment:preview", { detail: found }));
+}
+
+async function onExport(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  const found = cachedAssessments.find((x) => x.id === id);
+  if (!found) return toast("Assessment not found for export.", "error");
+  window.dispatchEvent(new CustomEvent("assessment:export", { detail: found }));
+}
+
+function onHistory(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  const found = cachedAssessments.find((x) => x.id === id);
+  window.dispatchEvent(new CustomEvent("assessment:history", { detail: { id, data: found?.data || {} } }));
+}
+
+function onWorkflow(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  const found = cachedAssessments.find((x) => x.id === id);
+  window.dispatchEvent(new CustomEvent("assessment:workflow", { detail: { id, data: found?.data || {} } }));
+}
+
+function onResponses(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  if (isLocalId(id)) return toast("Sync this assessment before importing responses.", "error");
+  const found = cachedAssessments.find((x) => x.id === id);
+  window.dispatchEvent(new CustomEvent("assessment:responses", { detail: { id, data: found?.data || {} } }));
+}
+
+function onAnalysis(e) {
+  const id = e.currentTarget.dataset.id;
+  if (!id) return;
+  if (isLocalId(id)) return toast("This assessment has not been synced, so it has no responses yet.", "error");
+  const found = cachedAssessments.find((x) => x.id === id);
+  window.dispatchEvent(new CustomEvent("assessment:analysis", { detail: { id, data: found?.data || {} } }));
+}
+
+// ---------------------------
+// Save Handler (from Editor)
+// ---------------------------
+function attachSaveHandler() {
+  if (!saveAssessmentBtn) return;
+  saveAssessmentBtn.addEventListener("click", async () => {
+    try {
+      let questions = [];
+      if (typeof window.getQuestions === "function") {
+        questions = window.getQuestions() || [];
+      }
+
+      if (!Array.isArray(questions) || questions.length === 0) {
+        const blocks = document.querySelectorAll(
+          ".question-card, .question-block, [data-qid]"
+        );
+        blocks.forEach((b, i) => {
+          const qText =
+            b.querySelector("textarea, .questionInput, .editable")?.value ||
+            b.textContent ||
+            "";
+          const opts = Array.from(
+            b.querySelectorAll("input[type='text'], .optionInput")
+          ).map((o) => o.value || "");
+          const ans =
+            b.querySelector("select, .answerSelect")?.value || "";
+          const img = b.querySelector("img")?.src || "";
+          const marks = parseInt(b.querySelector(".marksInput")?.value || "1");
+          if (qText.trim()) {
+            questions.push({
+              id: b.dataset.qid || `q_${i + 1}`,
+              question: qText.trim(),
+              options: opts,
+              answer: ans,
+              marks,
+              imageUrl: img,
+            });
+          }
+        });
+      }
+
+      if (questions.length === 0) {
+        toast("No questions found in editor.", "error");
+        return;
+      }
+
+      // LaTeX errors are shown under each question by the editor
+      const mathProblems = typeof window.checkMath === "function" ? window.checkMath() : [];
+      if (mathProblems.length) {
+        toast(`Fix the math errors in ${mathProblems.map((p) => `Q${p.number}`).join(", ")} before saving.`, "error");
+        return;
+      }
+
+      const savedId = await saveAssessment({ questions, editingId });
+      if (savedId) {
+        const title = cachedAssessments.find((x) => x.id === savedId)?.data?.title;
+        setEditing(savedId, title);
+        window.dispatchEvent(new CustomEvent("assessment:saved", { detail: { id: savedId, title } }));
+      }
+    } catch (err) {
+      console.error("attachSaveHandler:", err);
+      toast("Save failed: " + err.message, "error");
+    }
+  });
+}
+
+// ---------------------------
+// Init
+// ---------------------------
+(function init() {
+  attachSaveHandler();
+  if (newAssessmentBtn) {
+    newAssessmentBtn.addEventListener("click", async () => {
+      if (editorHasQuestions()) {
+        const ok = await confirmDialog("Clear the editor and start a new assessment?");
+        if (!ok) return;
+      }
+      setEditing(null);
+      window.dispatchEvent(new CustomEvent("assessment:new"));
+    });
+  }
+  // "Open in editor" from the item analysis (item-analysis.js)
+  window.addEventListener("assessment:open-question", async (e) => {
+    const { id, questionId } = e.detail || {};
+    if (!id) return;
+    if (id !== editingId && !(await editAssessment(id))) return;
+    window.dispatchEvent(new CustomEvent("question:focus", { detail: { questionId } }));
+  });
+  // A restored revision replaces what the editor shows for that exam
+  window.addEventListener("assessment:restored", (e) => {
+    const { id, data } = e.detail || {};
+    loadAssessments();
+    if (id && id === editingId) {
+      fillMetadata(data);
+      window.dispatchEvent(new CustomEvent("assessment:edit", { detail: { id, data } }));
+    }
+  });
+  // Replaying the offline queue (offline-sync.js)
+  registerSyncHandler("save", (op) =>
+    writeAssessment(isLocalId(op.id) ? null : op.id, op.data, { note: "Synced from offline edit" }).then((id) => ({ id }))
+  );
+  window.addEventListener("sync:applied", (e) => {
+    const { localId, id, title } = e.detail || {};
+    if (localId && localId === editingId && id !== localId) setEditing(id, title);
+    loadAssessments();
+  });
+  window.addEventListener("assessment:stage-changed", () => loadAssessments());
+  // Upcoming / Live / Closed follow the clock, so redraw every minute
+  setInterval(() => cachedAssessments.length && renderAssessmentsTable(cachedAssessments), 60000);
+  // An unsaved local draft (autosave.js) brings its own metadata
+  window.addEventListener("draft:restore", (e) => {
+    const draft = e.detail || {};
+    fillMetadata(draft.meta);
+    setEditing(draft.editingId, draft.title);
+    window.dispatchEvent(
+      new CustomEvent("assessment:edit", {
+        detail: { id: draft.editingId || null, data: { title: draft.title, questions: draft.questions }, draft: true },
+      })
+    );
+  });
+  // exams are only readable once signed in (auth.js)
+  onProfile(() => {
+    const year = safe(yearInput?.value);
+    loadAssessments(year ? { year } : {});
+  });
+  [yearInput, termSelect, classSelect, subjectSelect].forEach((el) => {
+    if (el)
+      el.addEventListener("change", () =>
+        loadAssessments({
+          year: yearInput?.value,
+          term: termSelect?.value,
+          theclass: classSelect?.value,
+          subject: subjectSelect?.value,
+        })
+      );
+  });
+})();
+
+export default { saveAssessment, writeAssessment, fetchVisibleExams, loadAssessments, cachedAssessments };
@@ -0,0 +1,247 @@
+// ------------------------------------------------------
+// Auth Module — staff sign-in, roles and exam access
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js
+// Each account has a users/{uid} document:
+//   { name, email, role, subjects: [], classes: [] }
+// Admins see and change everything; heads of department work on
+// every class in their subjects; teachers on their subjects and
+// classes only. Students sign in on student.html (student-exam.js)
+// instead of this page. firestore.rules
+// enforces the same rules on the server; the checks here keep the
+// UI from offering what the server would refuse.
+// ------------------------------------------------------
+
+import {
+  auth,
+  db,
+  doc,
+  getDoc,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  sendPasswordResetEmail,
+  signOut
+} from "../firebase-config.js";
+import { toast, escapeHtml, showLoader, hideLoader, safeParse } from "./utils.js";
+
+export const ROLES = {
+  teacher: "Teacher",
+  hod: "Head of Department",
+  admin: "Admin",
+  student: "Student"
+};
+const STAFF_ROLES = ["teacher", "hod", "admin"];
+// last loaded profile, so a signed-in teacher can keep working offline
+const PROFILE_KEY = "orli.profile";
+
+// Main elements
+const authUser = document.getElementById("authUser");
+const signOutBtn = document.getElementById("signOutBtn");
+const signInModal = document.getElementById("signInModal");
+const signInEmail = document.getElementById("signInEmail");
+const signInPassword = document.getElementById("signInPassword");
+const signInBtn = document.getElementById("signInBtn");
+const resetPasswordBtn = document.getElementById("resetPasswordBtn");
+const signInError = document.getElementById("signInError");
+const subjectSelect = document.getElementById("subjectSelect");
+const classSelect = document.getElementById("classSelect");
+
+let profile = null;
+const listeners = [];
+
+// ------------------------------------------------------
+// Profile + permissions
+// ------------------------------------------------------
+
+/**
+ * The signed-in staff member, or null.
+ * @returns {{ uid, email, name, role, subjects: string[], classes: string[] } | null}
+ */
+export function currentProfile() {
+  return profile;
+}
+
+/**
+ * Calls `cb(profile)` once a staff member is signed in (now, if one
+ * already is).
+ */
+export function onProfile(cb) {
+  listeners.push(cb);
+  if (profile) cb(profile);
+}
+
+function inList(list, value) {
+  return (list || []).map(String).includes(String(value ?? ""));
+}
+
+/**
+ * True when `p` may open the exam (read access).
+ */
+export function canSeeExam(exam = {}, p = profile) {
+  if (!p) return false;
+  if (p.role === "admin") return true;
+  if (exam.createdBy && exam.createdBy === p.uid) return true;
+  if (p.role === "hod") return inList(p.subjects, exam.subject);
+  if (p.role === "teacher") return inList(p.subjects, exam.subject) && inList(p.classes, exam.theclass);
+  return false;
+}
+
+/**
+ * True when `p` may save, publish or delete the exam. Ownership alone
+ * is not enough: a teacher moved off a class keeps read access only.
+ */
+export function canModifyExam(exam = {}, p = profile) {
+  if (!p) return false;
+  if (p.role === "admin") return true;
+  if (p.role === "hod") return inList(p.subjects, exam.subject);
+  if (p.role === "teacher") return inList(p.subjects, exam.subject) && inList(p.classes, exam.theclass);
+  return false;
+}
+
+async function loadProfile(user) {
+  let snap;
+  try {
+    snap = await getDoc(doc(db, "users", user.uid));
+  } catch (err) {
+    const cached = safeParse(localStorage.getItem(PROFILE_KEY));
+    if (cached?.uid === user.uid) return cached;
+    throw err;
+  }
+  if (!snap.exists()) return null;
+  const data = snap.data();
+  const p = {
+    uid: user.uid,
+    email: user.email || "",
+    name: data.name || user.displayName || user.email || "Unknown",
+    role: data.role || "",
+    subjects: data.subjects || [],
+    classes: data.classes || []
+  };
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(p));
+  return p;
+}
+
+// ------------------------------------------------------
+// UI
+// ------------------------------------------------------
+
+// Hide the subjects/classes a teacher cannot save to
+function applyScope(p) {
+  const scope = [
+    [subjectSelect, p.role === "admin" ? null : p.subjects],
+    [classSelect, p.role === "teacher" ? p.classes : null]
+  ];
+  scope.forEach(([select, allowed]) => {
+    if (!select) return;
+    Array.from(select.options).forEach((opt) => {
+      const ok = !allowed || inList(allowed, opt.value);
+      opt.hidden = !ok;
+      opt.disabled = !ok;
+    });
+    if (select.selectedOptions[0]?.disabled) {
+      const first = Array.from(select.options).find((o) => !o.disabled);
+      if (first) select.value = first.value;
+    }
+  });
+}
+
+function showSignIn(message = "") {
+  if (authUser) authUser.textContent = "";
+  if (signOutBtn) signOutBtn.style.display = "none";
+  if (signInError) signInError.textContent = message;
+  if (signInModal) signInModal.style.display = "flex";
+}
+
+function showSignedIn(p) {
+  if (signInModal) signInModal.style.display = "none";
+  if (authUser) authUser.innerHTML = `${escapeHtml(p.name)} <span class="small">(${escapeHtml(ROLES[p.role] || p.role)})</span>`;
+  if (signOutBtn) signOutBtn.style.display = "";
+  applyScope(p);
+}
+
+async function onSignIn() {
+  const email = signInEmail?.value.trim();
+  const password = signInPassword?.value || "";
+  if (!email || !password) {
+    if (signInError) signInError.textContent = "Enter your email and password.";
+    return;
+  }
+  showLoader("global", "Signing in...");
+  try {
+    await signInWithEmailAndPassword(auth, email, password);
+    if (signInPassword) signInPassword.value = "";
+  } catch (err) {
+    console.error("onSignIn:", err);
+    if (signInError) {
+      signInError.textContent = /invalid-credential|wrong-password|user-not-found/.test(err.code || "")
+        ? "Email or password is incorrect."
+        : "Sign-in failed: " + (err.message || err);
+    }
+  } finally {
+    hideLoader("global");
+  }
+}
+
+async function onResetPassword() {
+  const email = signInEmail?.value.trim();
+  if (!email) {
+    if (signInError) signInError.textContent = "Enter your email first.";
+    return;
+  }
+  try {
+    await sendPasswordResetEmail(auth, email);
+    toast("Password reset email sent.", "success");
+  } catch (err) {
+    console.error("onResetPassword:", err);
+    if (signInError) signInError.textContent = "Could not send the reset email: " + (err.message || err);
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (signInBtn) signInBtn.addEventListener("click", onSignIn);
+  if (signInPassword) {
+    signInPassword.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") onSignIn();
+    });
+  }
+  if (resetPasswordBtn) resetPasswordBtn.addEventListener("click", onResetPassword);
+  if (signOutBtn) {
+    signOutBtn.addEventListener("click", async () => {
+      localStorage.removeItem(PROFILE_KEY);
+      await signOut(auth);
+      // start clean so nothing from this account stays on screen
+      location.reload();
+    });
+  }
+
+  onAuthStateChanged(auth, async (user) => {
+    if (!user) {
+      profile = null;
+      showSignIn();
+      return;
+    }
+    try {
+      const p = await loadProfile(user);
+      if (!p || !STAFF_ROLES.includes(p.role)) {
+        await signOut(auth);
+        showSignIn(
+          p?.role === "student"
+            ? "Student accounts cannot use the teacher portal; sign in on the student page."
+            : "Your account has not been given a role yet. Ask an admin to add you."
+        );
+        return;
+      }
+      profile = p;
+      showSignedIn(p);
+      listeners.forEach((cb) => cb(p));
+    } catch (err) {
+      console.error("auth:", err);
+      showSignIn("Could not load your account: " + (err.message || err));
+    }
+  });
+})();
+
+export default { ROLES, currentProfile, onProfile, canSeeExam, canModifyExam };
@@ -0,0 +1,250 @@
+// ------------------------------------------------------
+// Autosave Module — dirty tracking + local drafts
+// ------------------------------------------------------
+// Dependencies: utils.js, local-store.js, question-editor.js, schedule.js
+// Edits in the question editor mark it dirty; a debounced copy is
+// written to IndexedDB under year|term|class|subject|assessment so
+// a closed tab or a crash does not lose work. Drafts are removed
+// once the assessment is saved, and offered back on the next visit.
+// ------------------------------------------------------
+
+import { toast, escapeHtml, formatDateTime, confirmDialog, debounce } from "./utils.js";
+import { idbGet, idbPut, idbDelete, idbAll } from "./local-store.js";
+import { getQuestions } from "./question-editor.js";
+import { fromLocalInputValue } from "./schedule.js";
+
+const STORE = "drafts";
+const AUTOSAVE_DELAY = 1500;
+
+// Main elements
+const questionList = document.getElementById("questionList");
+const editorStatus = document.getElementById("editorStatus");
+const draftBanner = document.getElementById("draftBanner");
+const metaFields = {
+  year: document.getElementById("yearInput"),
+  term: document.getElementById("termSelect"),
+  theclass: document.getElementById("classSelect") || document.getElementById("classInput"),
+  subject: document.getElementById("subjectSelect"),
+  assessmentName: document.getElementById("assessmentSelect")
+};
+const shuffleQuestionsInput = document.getElementById("shuffleQuestionsInput");
+const shuffleOptionsInput = document.getElementById("shuffleOptionsInput");
+const instructionsInput = document.getElementById("instructionsInput");
+const scheduleInputs = {
+  opensAt: document.getElementById("opensAtInput"),
+  closesAt: document.getElementById("closesAtInput"),
+  durationMinutes: document.getElementById("durationInput"),
+  maxAttempts: document.getElementById("attemptsInput")
+};
+
+let dirty = false;
+let editingId = null;
+let editingTitle = "";
+// key the current draft was last written under
+let draftKey = null;
+
+// ------------------------------------------------------
+// Keys and status
+// ------------------------------------------------------
+
+/**
+ * Draft key for a set of assessment metadata.
+ */
+export function draftKeyFor(meta = {}) {
+  return ["year", "term", "theclass", "subject", "assessmentName"]
+    .map((k) => String(meta[k] ?? "").trim())
+    .join("|");
+}
+
+function readMeta() {
+  const meta = {};
+  Object.entries(metaFields).forEach(([k, el]) => (meta[k] = el?.value?.trim() || ""));
+  if (shuffleQuestionsInput) meta.shuffleQuestions = shuffleQuestionsInput.checked;
+  if (shuffleOptionsInput) meta.shuffleOptions = shuffleOptionsInput.checked;
+  // same shapes as the saved exam, so fillMetadata can restore them
+  const { opensAt, closesAt, durationMinutes, maxAttempts } = scheduleInputs;
+  if (opensAt) meta.opensAt = fromLocalInputValue(opensAt.value);
+  if (closesAt) meta.closesAt = fromLocalInputValue(closesAt.value);
+  if (durationMinutes) meta.durationMinutes = parseInt(durationMinutes.value) || 0;
+  if (maxAttempts) meta.maxAttempts = parseInt(maxAttempts.value) || 1;
+  if (instructionsInput) meta.instructions = instructionsInput.value.trim();
+  return meta;
+}
+
+function describe(meta = {}) {
+  return [meta.assessmentName, meta.subject, meta.theclass, meta.term, meta.year].filter(Boolean).join(" · ") || "Untitled";
+}
+
+function setEditorStatus(text) {
+  if (editorStatus) editorStatus.textContent = text;
+}
+
+export function isDirty() {
+  return dirty;
+}
+
+function markDirty() {
+  if (!dirty) {
+    dirty = true;
+    setEditorStatus("Unsaved changes");
+  }
+  saveDraftSoon();
+}
+
+function markClean(text = "No unsaved changes") {
+  dirty = false;
+  setEditorStatus(text);
+}
+
+// ------------------------------------------------------
+// Drafts
+// ------------------------------------------------------
+async function saveDraft() {
+  if (!dirty) return;
+  const meta = readMeta();
+  const key = draftKeyFor(meta);
+  try {
+    await idbPut(STORE, key, {
+      key,
+      meta,
+      editingId,
+      title: editingTitle,
+      questions: getQuestions(),
+      savedAt: Date.now()
+    });
+    if (draftKey && draftKey !== key) await idbDelete(STORE, draftKey);
+    draftKey = key;
+    if (dirty) setEditorStatus(`Unsaved changes · draft kept on this device ${new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`);
+  } catch (err) {
+    console.error("saveDraft:", err);
+    setEditorStatus("Unsaved changes · could not keep a local draft");
+  }
+}
+
+const saveDraftSoon = debounce(saveDraft, AUTOSAVE_DELAY);
+
+async function discardDraft(key) {
+  try {
+    await idbDelete(STORE, key);
+  } catch (err) {
+    console.error("discardDraft:", err);
+  }
+  if (key === draftKey) draftKey = null;
+}
+
+async function restoreDraft(key) {
+  const draft = await idbGet(STORE, key).catch(() => null);
+  if (!draft) return toast("That draft is no longer available.", "error");
+  if (getQuestions().length) {
+    const ok = await confirmDialog("Replace the questions in the editor with the unsaved draft?");
+    if (!ok) return;
+  }
+  draftKey = key;
+  // assessment-manager.js fills in the metadata and reloads the editor
+  window.dispatchEvent(new CustomEvent("draft:restore", { detail: draft }));
+  toast("Draft restored. Save to keep it.", "success");
+}
+
+async function showDrafts() {
+  if (!draftBanner) return;
+  let drafts = [];
+  try {
+    drafts = await idbAll(STORE);
+  } catch (err) {
+    console.error("showDrafts:", err);
+    return;
+  }
+  drafts = drafts.filter((d) => d.key !== draftKey && (d.questions || []).length);
+  if (!drafts.length) {
+    draftBanner.style.display = "none";
+    draftBanner.innerHTML = "";
+    return;
+  }
+
+  const current = draftKeyFor(readMeta());
+  drafts.sort((a, b) => (b.key === current) - (a.key === current) || b.savedAt - a.savedAt);
+  draftBanner.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px">Unsaved ${drafts.length === 1 ? "draft" : "drafts"} found on this device</div>
+    ${drafts
+      .map(
+        (d) => `
+      <div class="spaced" style="gap:8px;margin-top:4px">
+        <div>${escapeHtml(describe(d.meta))} — ${d.questions.length} question(s), ${escapeHtml(formatDateTime(new Date(d.savedAt)))}</div>
+        <div class="row">
+          <button class="btn small" data-draft-action="restore" data-key="${escapeHtml(d.key)}">Restore</button>
+          <button class="btn ghost small" data-draft-action="discard" data-key="${escapeHtml(d.key)}">Discard</button>
+        </div>
+      </div>`
+      )
+      .join("")}`;
+  draftBanner.style.display = "block";
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!questionList) return;
+
+  questionList.addEventListener("input", markDirty);
+  questionList.addEventListener("change", markDirty);
+  // questions added (imports, bank, blueprint) or deleted
+  const observer = new MutationObserver(markDirty);
+  observer.observe(questionList, { childList: true });
+
+  // Moving to other metadata carries the draft with it
+  Object.values(metaFields).forEach((el) => el?.addEventListener("change", () => dirty && saveDraftSoon()));
+  [shuffleQuestionsInput, shuffleOptionsInput, instructionsInput, ...Object.values(scheduleInputs)].forEach((el) =>
+    el?.addEventListener("change", markDirty)
+  );
+
+  // The editor was replaced with a saved assessment, a restored
+  // revision, a draft, or cleared for a new one
+  const onLoaded = (e) => {
+    observer.takeRecords();
+    editingId = e.detail?.id || null;
+    editingTitle = e.detail?.data?.title || "";
+    if (e.detail?.draft) {
+      markDirty();
+      showDrafts();
+    } else {
+      markClean();
+      draftKey = null;
+    }
+  };
+  window.addEventListener("assessment:edit", onLoaded);
+  window.addEventListener("assessment:new", onLoaded);
+
+  window.addEventListener("assessment:saved", async (e) => {
+    editingId = e.detail?.id || editingId;
+    editingTitle = e.detail?.title || editingTitle;
+    markClean("All changes saved");
+    const keys = new Set([draftKey, draftKeyFor(readMeta())].filter((k) => k !== null));
+    draftKey = null;
+    for (const key of keys) await discardDraft(key);
+  });
+
+  window.addEventListener("beforeunload", (e) => {
+    if (!dirty) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+
+  if (draftBanner) {
+    draftBanner.addEventListener("click", async (e) => {
+      const btn = e.target.closest("[data-draft-action]");
+      if (!btn) return;
+      if (btn.dataset.draftAction === "restore") {
+        await restoreDraft(btn.dataset.key);
+      } else {
+        if (!(await confirmDialog("Discard this unsaved draft? This cannot be undone."))) return;
+        await discardDraft(btn.dataset.key);
+      }
+      showDrafts();
+    });
+  }
+
+  showDrafts();
+})();
+
+export default { draftKeyFor, isDirty };
@@ -0,0 +1,299 @@
+// ------------------------------------------------------
+// Blueprint Module — assemble an assessment from the bank
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-bank.js,
+//               question-editor.js
+// A blueprint is a list of rows { count, topic, difficulty } plus
+// an optional target total. Matching bank questions are drawn at
+// random, skipping any already used in this term's earlier
+// assessments (CA1 → CA2 → Examination) for the same class. With a
+// target, drawn questions are swapped for others of the same row
+// until the marks add up, and a paper that still misses it is only
+// added once the teacher confirms.
+// ------------------------------------------------------
+
+import { db, collection, getDocs, query, where } from "../firebase-config.js";
+import { toast, showLoader, hideLoader, escapeHtml, confirmDialog } from "./utils.js";
+import { fetchBankQuestions, bankQuestionFields, DIFFICULTIES } from "./question-bank.js";
+import { addQuestion, getQuestions } from "./question-editor.js";
+
+// Assessments whose questions must not be reused by a later one
+const EARLIER_ASSESSMENTS = {
+  CA1: [],
+  CA2: ["CA1"],
+  Examination: ["CA1", "CA2"]
+};
+
+// Main elements
+const yearInput = document.getElementById("yearInput");
+const termSelect = document.getElementById("termSelect");
+const classSelect = document.getElementById("classSelect");
+const subjectSelect = document.getElementById("subjectSelect");
+const assessmentSelect = document.getElementById("assessmentSelect");
+const openBlueprintBtn = document.getElementById("openBlueprintBtn");
+const blueprintModal = document.getElementById("blueprintModal");
+const closeBlueprint = document.getElementById("closeBlueprint");
+const blueprintScope = document.getElementById("blueprintScope");
+const blueprintRows = document.getElementById("blueprintRows");
+const addBlueprintRow = document.getElementById("addBlueprintRow");
+const blueprintTotalMarks = document.getElementById("blueprintTotalMarks");
+const runBlueprint = document.getElementById("runBlueprint");
+const blueprintReport = document.getElementById("blueprintReport");
+
+let lastAssembly = null;
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+function normalize(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function marksOf({ data }) {
+  return Number(data.marks) || 1;
+}
+
+function shuffle(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function readScope() {
+  return {
+    year: String(yearInput?.value || "").trim(),
+    term: termSelect?.value || "",
+    theclass: classSelect?.value || "",
+    subject: subjectSelect?.value || "",
+    assessmentName: assessmentSelect?.value || ""
+  };
+}
+
+// ------------------------------------------------------
+// Assembly
+// ------------------------------------------------------
+
+/**
+ * Bank ids used by this term's earlier assessments for the class.
+ */
+export async function fetchExcludedBankIds(scope) {
+  const earlier = EARLIER_ASSESSMENTS[scope.assessmentName] || [];
+  if (earlier.length === 0) return new Set();
+
+  const snap = await getDocs(
+    query(
+      collection(db, "exams"),
+      where("year", "==", scope.year),
+      where("term", "==", scope.term),
+      where("theclass", "==", scope.theclass),
+      where("subject", "==", scope.subject)
+    )
+  );
+  const ids = new Set();
+  snap.forEach((d) => {
+    const exam = d.data();
+    if (!earlier.includes(exam.assessmentName)) return;
+    (exam.questions || []).forEach((q) => q.bankId && ids.add(q.bankId));
+  });
+  return ids;
+}
+
+/**
+ * Draws questions for each blueprint row from `pool`.
+ * @param {Array<{id, data}>} pool - bank questions for the subject/class
+ * @param {Array<{count, topic, difficulty}>} rows
+ * @param {{ excludeIds?: Set<string>, targetMarks?: number }} opts
+ */
+export function assembleFromBlueprint(pool, rows, { excludeIds = new Set(), targetMarks = 0 } = {}) {
+  const used = new Set(excludeIds);
+
+  const draws = rows.map((row) => {
+    const matches = pool.filter(({ data }) =>
+      normalize(data.topic) === normalize(row.topic) &&
+      (!row.difficulty || data.difficulty === row.difficulty)
+    );
+    const available = matches.filter(({ id }) => !used.has(id));
+    const chosen = shuffle(available).slice(0, row.count);
+    chosen.forEach(({ id }) => used.add(id));
+    return { row, matches, available, chosen };
+  });
+
+  // Swap a drawn question for an unused one of the same row while that
+  // brings the total closer to the target; each swap shrinks the gap,
+  // so this ends
+  let totalMarks = draws.reduce((sum, d) => sum + d.chosen.reduce((s, q) => s + marksOf(q), 0), 0);
+  const trySwap = () => {
+    const gap = targetMarks - totalMarks;
+    for (const d of draws) {
+      for (let i = 0; i < d.chosen.length; i++) {
+        const spare = d.available.find((q) => !used.has(q.id) && Math.abs(gap - (marksOf(q) - marksOf(d.chosen[i]))) < Math.abs(gap));
+        if (!spare) continue;
+        used.delete(d.chosen[i].id);
+        used.add(spare.id);
+        totalMarks += marksOf(spare) - marksOf(d.chosen[i]);
+        d.chosen[i] = spare;
+        return true;
+      }
+    }
+    return false;
+  };
+  let swapped = !!targetMarks;
+  while (swapped && totalMarks !== targetMarks) swapped = trySwap();
+
+  const picked = draws.flatMap((d) => d.chosen);
+  const report = draws.map(({ row, matches, available, chosen }) => ({
+    ...row,
+    found: chosen.length,
+    inPool: matches.length,
+    excluded: matches.length - available.length,
+    shortfall: Math.max(0, row.count - chosen.length)
+  }));
+  return {
+    picked,
+    report,
+    totalMarks,
+    marksDifference: targetMarks ? totalMarks - targetMarks : 0
+  };
+}
+
+// ------------------------------------------------------
+// Modal UI
+// ------------------------------------------------------
+function rowHtml(row = { count: 5, topic: "", difficulty: "" }) {
+  return `
+    <tr class="blueprint-row">
+      <td><input type="number" class="bpCount" min="1" value="${escapeHtml(row.count)}"></td>
+      <td><input type="text" class="bpTopic" list="bankTopicList" placeholder="e.g. Fractions" value="${escapeHtml(row.topic)}"></td>
+      <td>
+        <select class="bpDifficulty">
+          <option value="">Any</option>
+          ${DIFFICULTIES.map((d) => `<option ${d === row.difficulty ? "selected" : ""}>${d}</option>`).join("")}
+        </select>
+      </td>
+      <td><button class="btn ghost small bpRemove" title="Remove row">✕</button></td>
+    </tr>`;
+}
+
+function readRows() {
+  return Array.from(blueprintRows.querySelectorAll(".blueprint-row"))
+    .map((tr) => ({
+      count: parseInt(tr.querySelector(".bpCount").value) || 0,
+      topic: tr.querySelector(".bpTopic").value.trim(),
+      difficulty: tr.querySelector(".bpDifficulty").value
+    }))
+    .filter((r) => r.count > 0 && r.topic);
+}
+
+function openBlueprintModal() {
+  const scope = readScope();
+  blueprintScope.textContent = `${scope.assessmentName} • ${scope.subject} • ${scope.theclass} • ${scope.term} ${scope.year}`;
+  if (!blueprintRows.children.length) blueprintRows.innerHTML = rowHtml();
+  blueprintReport.innerHTML = "";
+  lastAssembly = null;
+  blueprintModal.style.display = "flex";
+}
+
+function renderReport(result, targetMarks) {
+  const rowsHtml = result.report
+    .map((r) => `
+      <tr>
+        <td>${escapeHtml(r.topic)}</td>
+        <td>${escapeHtml(r.difficulty || "Any")}</td>
+        <td>${r.count}</td>
+        <td>${r.found}</td>
+        <td class="small">${r.inPool} in bank${r.excluded ? `, ${r.excluded} used earlier` : ""}</td>
+        <td style="color:${r.shortfall ? "#b91c1c" : "#047857"};font-weight:700">${r.shortfall ? `Short by ${r.shortfall}` : "OK"}</td>
+      </tr>`)
+    .join("");
+
+  const shortfall = result.report.reduce((s, r) => s + r.shortfall, 0);
+  const marksNote = targetMarks
+    ? result.marksDifference === 0
+      ? `Total marks: ${result.totalMarks} (matches target).`
+      : `Total marks: ${result.totalMarks} — ${Math.abs(result.marksDifference)} ${result.marksDifference > 0 ? "over" : "under"} the target of ${targetMarks}.`
+    : `Total marks: ${result.totalMarks}.`;
+  const marksOff = targetMarks && result.marksDifference !== 0;
+
+  blueprintReport.innerHTML = `
+    <table>
+      <thead><tr><th>Topic</th><th>Difficulty</th><th>Wanted</th><th>Found</th><th>Pool</th><th></th></tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+    <div class="spaced" style="margin-top:10px">
+      <div class="small">${result.picked.length} question(s) drawn${shortfall ? `, ${shortfall} short` : ""}.
+        <span ${marksOff ? `style="color:#b91c1c;font-weight:700"` : ""}>${escapeHtml(marksNote)}</span></div>
+      <button id="applyBlueprint" class="btn" ${result.picked.length ? "" : "disabled"}>Add to Editor</button>
+    </div>`;
+
+  const applyBtn = document.getElementById("applyBlueprint");
+  if (applyBtn) applyBtn.addEventListener("click", () => applyAssembly(targetMarks));
+}
+
+async function onRunBlueprint() {
+  const rows = readRows();
+  if (rows.length === 0) {
+    toast("Add at least one row with a count and topic.", "error");
+    return;
+  }
+  const scope = readScope();
+  const targetMarks = parseInt(blueprintTotalMarks.value) || 0;
+
+  showLoader("global", "Assembling...");
+  try {
+    const [pool, excluded] = await Promise.all([
+      fetchBankQuestions({ subject: scope.subject, theclass: scope.theclass }),
+      fetchExcludedBankIds(scope)
+    ]);
+    getQuestions().forEach((q) => q.bankId && excluded.add(q.bankId));
+
+    lastAssembly = assembleFromBlueprint(pool, rows, { excludeIds: excluded, targetMarks });
+    renderReport(lastAssembly, targetMarks);
+  } catch (err) {
+    console.error("onRunBlueprint:", err);
+    toast("Assembly failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+async function applyAssembly(targetMarks) {
+  if (!lastAssembly || lastAssembly.picked.length === 0) return;
+  if (targetMarks && lastAssembly.marksDifference !== 0) {
+    const ok = await confirmDialog(
+      `These questions total ${lastAssembly.totalMarks} marks, not the target of ${targetMarks}. Add them anyway?`
+    );
+    if (!ok || !lastAssembly) return;
+  }
+  lastAssembly.picked.forEach(({ id, data }, i) =>
+    addQuestion({ ...bankQuestionFields(data), id: `q_${Date.now()}_${i}`, bankId: id })
+  );
+  toast(`${lastAssembly.picked.length} questions added to the editor.`, "success");
+  lastAssembly = null;
+  blueprintModal.style.display = "none";
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!blueprintModal) return;
+  if (openBlueprintBtn) openBlueprintBtn.addEventListener("click", openBlueprintModal);
+  if (closeBlueprint) closeBlueprint.addEventListener("click", () => (blueprintModal.style.display = "none"));
+  blueprintModal.addEventListener("click", (ev) => {
+    if (ev.target === blueprintModal) blueprintModal.style.display = "none";
+  });
+  if (addBlueprintRow) {
+    addBlueprintRow.addEventListener("click", () =>
+      blueprintRows.insertAdjacentHTML("beforeend", rowHtml())
+    );
+  }
+  blueprintRows.addEventListener("click", (e) => {
+    if (e.target.closest(".bpRemove")) e.target.closest("tr").remove();
+  });
+  if (runBlueprint) runBlueprint.addEventListener("click", onRunBlueprint);
+})();
+
+export default { assembleFromBlueprint, fetchExcludedBankIds };
@@ -0,0 +1,70 @@
+// ------------------------------------------------------
+// Exam Delivery Module — the key-less copy students read
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, question-types.js
+// exams/{id} holds the answer keys and is staff-only
+// (firestore.rules). While an exam is Published the student page
+// reads two copies instead:
+//   examsPublic/{id} — listing fields, no questions
+//   examPapers/{id}  — { questions } as studentCopy(q, id) gives them
+// They are written in the same batch that publishes the exam and
+// removed in the one that takes it out of Published (workflow.js) or
+// deletes it.
+// ------------------------------------------------------
+
+import { db, doc, serverTimestamp } from "../firebase-config.js";
+import { studentCopy } from "./question-types.js";
+
+const LISTING_FIELDS = [
+  "title",
+  "assessmentName",
+  "subject",
+  "theclass",
+  "term",
+  "year",
+  "opensAt",
+  "closesAt",
+  "durationMinutes",
+  "maxAttempts",
+  "shuffleQuestions",
+  "shuffleOptions"
+];
+
+/**
+ * Listing document for examsPublic/{id}.
+ */
+export function publicListing(exam = {}) {
+  const out = { status: "Published" };
+  LISTING_FIELDS.forEach((k) => {
+    if (exam[k] !== undefined) out[k] = exam[k];
+  });
+  const questions = exam.questions || [];
+  out.questionCount = questions.length;
+  out.totalMarks = questions.reduce((sum, q) => sum + (Number(q.marks) || 1), 0);
+  return out;
+}
+
+/**
+ * Questions document for examPapers/{examId}.
+ */
+export function publicPaper(exam = {}, examId = "") {
+  return { questions: (exam.questions || []).map((q) => studentCopy(q, examId)) };
+}
+
+/**
+ * Adds the writes that put `exam` in front of students to `batch`.
+ */
+export function addDeliveryWrites(batch, examId, exam = {}) {
+  batch.set(doc(db, "examsPublic", examId), { ...publicListing(exam), publishedAt: serverTimestamp() });
+  batch.set(doc(db, "examPapers", examId), publicPaper(exam, examId));
+}
+
+/**
+ * Adds the deletes that take an exam away from students to `batch`.
+ */
+export function addDeliveryRemoval(batch, examId) {
+  batch.delete(doc(db, "examsPublic", examId));
+  batch.delete(doc(db, "examPapers", examId));
+}
+
+export default { publicListing, publicPaper, addDeliveryWrites, addDeliveryRemoval };
@@ -0,0 +1,163 @@
+// --------------------------------------------
+// Excel Export Module — assessments and sample template
+// --------------------------------------------
+// Dependencies: utils.js, question-types.js
+// Writes the same columns the import wizard reads,
+// so an exported assessment imports back unchanged. The Export
+// buttons open the format picker in lms-export.js.
+// --------------------------------------------
+
+import { showToast, formatDateTime } from "./utils.js";
+import { getType } from "./question-types.js";
+
+export const EXPORT_HEADERS = [
+  "Type", "Question", "A", "B", "C", "D", "E", "F",
+  "Answer", "Marks", "Tolerance", "Image URL", "Locked", "Bank ID", "Shorthand"
+];
+
+// DOM Elements
+const downloadSampleBtn = document.getElementById("downloadSample");
+
+// --------------------------------------------
+// Helpers
+// --------------------------------------------
+function fileSafe(s) {
+  return String(s || "").replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, "_").slice(0, 80);
+}
+
+function ensureXlsx() {
+  if (typeof XLSX === "undefined" || !XLSX.utils) {
+    showToast("Excel library not loaded yet. Please try again.", "error");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Converts one question to a spreadsheet row keyed by EXPORT_HEADERS.
+ */
+export function questionToRow(q) {
+  const type = q.type || "mcq";
+  const cells = getType(type).toCells(q);
+  const options = cells.options || [];
+  const row = { Type: type, Question: q.question || "" };
+  ["A", "B", "C", "D", "E", "F"].forEach((l, i) => (row[l] = options[i] ?? ""));
+  row.Answer = cells.answer ?? "";
+  row.Marks = Number(q.marks) || 1;
+  row.Tolerance = cells.tolerance ?? "";
+  row["Image URL"] = q.imageUrl || "";
+  row.Locked = (q.lockedOptions || []).map((i) => String.fromCharCode(65 + Number(i))).join(",");
+  row["Bank ID"] = q.bankId || "";
+  row.Shorthand = q.mathShorthand ? "yes" : "";
+  return row;
+}
+
+function questionsSheet(questions) {
+  return XLSX.utils.json_to_sheet(questions.map(questionToRow), { header: EXPORT_HEADERS });
+}
+
+function detailsSheet(meta, questions) {
+  const total = questions.reduce((sum, q) => sum + (Number(q.marks) || 1), 0);
+  return XLSX.utils.aoa_to_sheet([
+    ["Field", "Value"],
+    ["Title", meta.title || `${meta.assessmentName} — ${meta.subject} — ${meta.theclass} — ${meta.term} ${meta.year}`],
+    ["Year", meta.year || ""],
+    ["Term", meta.term || ""],
+    ["Class", meta.theclass || ""],
+    ["Subject", meta.subject || ""],
+    ["Assessment", meta.assessmentName || ""],
+    ["Questions", questions.length],
+    ["Total marks", total],
+    ["Exported", formatDateTime(new Date())]
+  ]);
+}
+
+// --------------------------------------------
+// Export
+// --------------------------------------------
+
+/**
+ * Downloads an assessment as .xlsx. The "Questions" sheet comes first
+ * so re-importing picks it up by default.
+ */
+export function exportAssessmentToExcel(questions = [], meta = {}) {
+  if (!ensureXlsx()) return;
+  if (!questions.length) {
+    showToast("No questions to export.", "error");
+    return;
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, questionsSheet(questions), "Questions");
+  XLSX.utils.book_append_sheet(wb, detailsSheet(meta, questions), "Details");
+
+  const name = [meta.assessmentName, meta.subject, meta.theclass, meta.term, meta.year]
+    .filter(Boolean)
+    .map(fileSafe)
+    .join("_");
+  XLSX.writeFile(wb, `${name || "assessment"}.xlsx`);
+  showToast(`Exported ${questions.length} question(s).`, "success");
+}
+
+// --------------------------------------------
+// Sample template
+// --------------------------------------------
+const SAMPLE_QUESTIONS = [
+  { type: "mcq", question: "What is $\\frac{1}{2}$ of 10?", options: ["2", "5", "10", "20"], answer: "B", marks: 1 },
+  { type: "mcq", question: "Simplify 6/8.", options: ["3/4", "2/3", "4/6", "None of the above"], answer: "A", marks: 1, lockedOptions: [3], mathShorthand: true },
+  { type: "mcq", question: "What is sqrt(81)?", options: ["8", "9", "18", "81"], answer: "B", marks: 1, mathShorthand: true },
+  { type: "truefalse", question: "A square has four equal sides.", options: ["True", "False"], answer: "A", marks: 1 },
+  { type: "multi", question: "Which of these are prime numbers?", options: ["2", "4", "7", "9", "11"], answer: "A,C,E", marks: 2 },
+  { type: "short", question: "Write 0.25 as a fraction in its lowest terms.", answer: "1/4 | one quarter", marks: 2 },
+  { type: "numeric", question: "The area of a circle with radius 1 cm (use $\\pi = 3.14$), in cm$^2$.", answer: "3.14", tolerance: 0.01, marks: 2 },
+  {
+    type: "matching",
+    question: "Match each shape to its number of sides.",
+    pairs: [
+      { left: "Triangle", right: "3" },
+      { left: "Pentagon", right: "5" },
+      { left: "Hexagon", right: "6" }
+    ],
+    marks: 3
+  },
+  { type: "ordering", question: "Arrange from smallest to largest.", options: ["1/4", "1/2", "3/4", "1"], marks: 2 }
+];
+
+const SAMPLE_INSTRUCTIONS = [
+  ["How to use this template"],
+  ["Fill in the \"Questions\" sheet (one question per row), save, then upload it with \"Upload Excel\"."],
+  ["The import wizard lets you pick sheets and map differently named columns, and reports problem rows before loading."],
+  [""],
+  ["Column", "What to enter"],
+  ["Type", "mcq, truefalse, multi, short, numeric, matching or ordering. Leave blank for multiple choice."],
+  ["Question", "The question text. Write math between $...$ (inline) or $$...$$ (display), e.g. $a^2 + b^2 = c^2$. Use \\$ for a dollar sign."],
+  ["A – F", "Options. mcq uses A–D; multi uses up to six. matching: \"left -> right\" in each cell. ordering: items in the correct order."],
+  ["Answer", "mcq: one letter (A–D). truefalse: True or False. multi: letters separated by commas (A,C). short: accepted answers separated by |. numeric: the number. matching/ordering: leave blank."],
+  ["Marks", "A positive number. Blank means 1."],
+  ["Tolerance", "numeric only: how far from the answer still counts as correct (e.g. 0.01)."],
+  ["Image URL", "Optional link to an image shown with the question."],
+  ["Locked", "Optional letters of options that must not move when options are shuffled (e.g. D for \"All of the above\")."],
+  ["Bank ID", "Filled in by the portal for questions from the question bank. Leave blank."],
+  ["Shorthand", "Optional. yes = also render plain-text math such as 1/2, sqrt(81) and x^2 written without $...$."]
+];
+
+export function downloadSampleWorkbook() {
+  if (!ensureXlsx()) return;
+  const wb = XLSX.utils.book_new();
+
+  XLSX.utils.book_append_sheet(wb, questionsSheet(SAMPLE_QUESTIONS), "Questions");
+  const instructions = XLSX.utils.aoa_to_sheet(SAMPLE_INSTRUCTIONS);
+  instructions["!cols"] = [{ wch: 14 }, { wch: 110 }];
+  XLSX.utils.book_append_sheet(wb, instructions, "Instructions");
+
+  XLSX.writeFile(wb, "orli_question_template.xlsx");
+}
+
+// --------------------------------------------
+// Wiring
+// --------------------------------------------
+if (downloadSampleBtn) {
+  downloadSampleBtn.addEventListener("click", downloadSampleWorkbook);
+}
+
+export default { EXPORT_HEADERS, questionToRow, exportAssessmentToExcel, downloadSampleWorkbook };
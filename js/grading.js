@@ -0,0 +1,220 @@
+// ------------------------------------------------------
+// Grading Module — turn submissions into scored results
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, question-types.js, paper-versions.js
+// Results are stored in "results" under the same id as the
+// submission they were graded from, so re-grading overwrites
+// rather than duplicates. Submissions from a printed paper version
+// carry `paperVersion` and are graded against that version's key.
+// Only signed-in staff write results (firestore.rules): the student
+// page just submits, and its attempts are graded here by
+// gradePendingSubmissions.
+// ------------------------------------------------------
+
+import {
+  db,
+  collection,
+  getDocs,
+  getDoc,
+  setDoc,
+  doc,
+  query,
+  where,
+  serverTimestamp
+} from "../firebase-config.js";
+
+import { getType, fromStudentResponses } from "./question-types.js";
+import { toExamResponses } from "./paper-versions.js";
+
+// School grading scale (percentage lower bounds, highest first)
+export const GRADE_BANDS = [
+  { min: 70, grade: "A", remark: "Excellent" },
+  { min: 60, grade: "B", remark: "Very Good" },
+  { min: 50, grade: "C", remark: "Good" },
+  { min: 45, grade: "D", remark: "Fair" },
+  { min: 40, grade: "E", remark: "Pass" },
+  { min: 0, grade: "F", remark: "Fail" }
+];
+
+// ------------------------------------------------------
+// Answer helpers
+// ------------------------------------------------------
+
+/**
+ * Normalizes a stored answer key or a response to an option letter.
+ * Accepts letters ("b") or zero-based indices ("1"), matching the
+ * rules used by the preview modal.
+ */
+export function toLetter(value, optionCount = 4) {
+  const s = String(value ?? "").trim().toUpperCase();
+  if (!s) return "";
+  if (/^[A-Z]$/.test(s)) return s;
+  if (/^\d+$/.test(s) && Number(s) < optionCount) {
+    return String.fromCharCode(65 + Number(s));
+  }
+  return "";
+}
+
+export function questionMarks(q) {
+  return Number(q?.marks) || 1;
+}
+
+/**
+ * True when any question's answer or marks differ between two
+ * versions of an exam's question list.
+ */
+export function answerKeyChanged(previous = [], next = []) {
+  const keyOf = (q) => `${q.type || ""}|${getType(q.type).keyOf(q)}|${questionMarks(q)}`;
+  const before = new Map(previous.map((q) => [q.id, keyOf(q)]));
+  if (before.size !== next.length) return true;
+  return next.some((q) => before.get(q.id) !== keyOf(q));
+}
+
+// ------------------------------------------------------
+// Scoring
+// ------------------------------------------------------
+/**
+ * Scores one response using the question type's grading rule.
+ * Types may award partial credit (e.g. matching pairs).
+ */
+export function gradeQuestion(q, response) {
+  const { given, correctAnswer, fraction } = getType(q.type).grade(q, response);
+  const marksAvailable = questionMarks(q);
+
+  return {
+    questionId: q.id,
+    type: q.type || "mcq",
+    response: given,
+    correctAnswer,
+    correct: fraction >= 1,
+    marksAwarded: Math.round(marksAvailable * fraction * 100) / 100,
+    marksAvailable
+  };
+}
+
+export function gradeBand(percentage) {
+  return GRADE_BANDS.find((b) => percentage >= b.min) || GRADE_BANDS[GRADE_BANDS.length - 1];
+}
+
+/**
+ * Scores one submission against an exam document.
+ * @param {Object} exam - exams document data ({ questions, ... })
+ * @param {Object} responses - map of question id → response (letter,
+ *   text, or array for matching/ordering questions)
+ */
+export function gradeSubmission(exam = {}, responses = {}) {
+  const questions = (exam.questions || []).map((q) =>
+    gradeQuestion(q, responses[q.id])
+  );
+  const score = Math.round(questions.reduce((sum, r) => sum + r.marksAwarded, 0) * 100) / 100;
+  const total = questions.reduce((sum, r) => sum + r.marksAvailable, 0);
+  const percentage = total > 0 ? Math.round((score / total) * 1000) / 10 : 0;
+  const band = gradeBand(percentage);
+
+  return {
+    questions,
+    correctCount: questions.filter((r) => r.correct).length,
+    score,
+    total,
+    percentage,
+    grade: band.grade,
+    remark: band.remark
+  };
+}
+
+// ------------------------------------------------------
+// Persistence
+// ------------------------------------------------------
+// Responses in the exam's own terms: paper versions and the student
+// page's key-less copy (exam-delivery.js) are both mapped back
+function examResponses(exam, submission) {
+  const responses = toExamResponses(exam, submission);
+  return submission.studentCopy ? fromStudentResponses(exam.questions, responses, submission.examId) : responses;
+}
+
+function buildResultDoc(examId, exam, submissionId, submission) {
+  return {
+    submissionId,
+    examId,
+    examTitle: exam.title || "",
+    year: exam.year || "",
+    term: exam.term || "",
+    theclass: exam.theclass || "",
+    subject: exam.subject || "",
+    assessmentName: exam.assessmentName || "",
+    studentName: submission.studentName || "",
+    studentId: submission.studentId || "",
+    studentNumber: submission.studentNumber || "",
+    paperVersion: submission.paperVersion || "",
+    ...(submission.paperVersion ? { paperVersionRev: Number(submission.paperVersionRev) || 1 } : {}),
+    attempt: Number(submission.attempt) || 1,
+    ...gradeSubmission(exam, examResponses(exam, submission)),
+    gradedAt: serverTimestamp()
+  };
+}
+
+/**
+ * Grades a submission and writes results/{submissionId}.
+ */
+export async function saveResult(examId, exam, submissionId, submission) {
+  const result = buildResultDoc(examId, exam, submissionId, submission);
+  await setDoc(doc(db, "results", submissionId), result);
+  return result;
+}
+
+// the editor's copy has no paper versions; paper submissions need them
+// (and the replaced layouts older submissions were written on)
+async function withPaperVersions(examId, exam) {
+  if (exam.paperVersions) return exam;
+  const stored = await getDoc(doc(db, "exams", examId));
+  if (!stored.exists() || !stored.data().paperVersions) return exam;
+  const { paperVersions, paperVersionHistory } = stored.data();
+  return { ...exam, paperVersions, paperVersionHistory: paperVersionHistory || {} };
+}
+
+/**
+ * Re-grades every submission for an exam, e.g. after a teacher
+ * corrects the answer key. Returns the number of results written.
+ */
+export async function regradeExam(examId, exam) {
+  exam = await withPaperVersions(examId, exam);
+  const snap = await getDocs(
+    query(collection(db, "submissions"), where("examId", "==", examId))
+  );
+  const jobs = [];
+  snap.forEach((d) => jobs.push(saveResult(examId, exam, d.id, d.data())));
+  await Promise.all(jobs);
+  return jobs.length;
+}
+
+/**
+ * Grades the submissions for an exam that have no result yet.
+ * Returns the number of results written.
+ */
+export async function gradePendingSubmissions(examId, exam) {
+  exam = await withPaperVersions(examId, exam);
+  const [submissions, results] = await Promise.all([
+    getDocs(query(collection(db, "submissions"), where("examId", "==", examId))),
+    getDocs(query(collection(db, "results"), where("examId", "==", examId)))
+  ]);
+  const graded = new Set();
+  results.forEach((d) => graded.add(d.id));
+  const jobs = [];
+  submissions.forEach((d) => {
+    if (!graded.has(d.id)) jobs.push(saveResult(examId, exam, d.id, d.data()));
+  });
+  await Promise.all(jobs);
+  return jobs.length;
+}
+
+export default {
+  GRADE_BANDS,
+  toLetter,
+  answerKeyChanged,
+  gradeQuestion,
+  gradeSubmission,
+  gradeBand,
+  saveResult,
+  regradeExam,
+  gradePendingSubmissions
+};
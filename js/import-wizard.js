@@ -0,0 +1,289 @@
+// --------------------------------------------
+// Import Wizard — sheet choice, column mapping, row report
+// --------------------------------------------
+// Dependencies: utils.js, question-types.js
+// Used by excel-handler.js: nothing reaches the preview (and so
+// the editor) until the teacher has mapped columns and seen the
+// per-row validation report.
+// --------------------------------------------
+
+import { escapeHtml } from "./utils.js";
+import { getType, resolveType, parseLetters } from "./question-types.js";
+
+const OPTION_LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+/**
+ * Question fields a column can be mapped to, with the header
+ * names recognised automatically (compared case-insensitively).
+ */
+export const IMPORT_FIELDS = [
+  { key: "type", label: "Type", aliases: ["type", "question type", "qtype"] },
+  { key: "question", label: "Question", required: true, aliases: ["question", "questions", "question text", "stem"] },
+  ...OPTION_LETTERS.map((l, i) => ({
+    key: l,
+    label: `Option ${l}`,
+    aliases: [l.toLowerCase(), `option ${l.toLowerCase()}`, `option${l.toLowerCase()}`, `option ${i + 1}`, `choice ${l.toLowerCase()}`]
+  })),
+  { key: "answer", label: "Answer", aliases: ["answer", "correct answer", "correct", "key", "answer key"] },
+  { key: "marks", label: "Marks", aliases: ["marks", "mark", "score", "points"] },
+  { key: "tolerance", label: "Tolerance", aliases: ["tolerance", "margin"] },
+  { key: "imageUrl", label: "Image URL", aliases: ["image url", "image", "imageurl", "picture"] },
+  { key: "locked", label: "Locked options", aliases: ["locked", "locked options", "lock"] },
+  { key: "bankId", label: "Bank ID", aliases: ["bank id", "bankid"] },
+  { key: "shorthand", label: "Math shorthand", aliases: ["shorthand", "math shorthand"] }
+];
+
+const YES_VALUES = ["yes", "y", "true", "1", "x"];
+
+function normalizeHeader(h) {
+  return String(h ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function normalizeQuestion(s) {
+  return String(s ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// --------------------------------------------
+// Mapping helpers
+// --------------------------------------------
+
+/**
+ * Guesses a field → header mapping from a list of headers.
+ */
+export function guessMapping(headers = []) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const found = headers.find((h) => field.aliases.includes(normalizeHeader(h)));
+    if (found !== undefined) mapping[field.key] = found;
+  });
+  return mapping;
+}
+
+/**
+ * Reads one spreadsheet row through a mapping.
+ */
+export function cellsFromRow(row, mapping) {
+  const cell = (key) => (mapping[key] ? row[mapping[key]] ?? "" : "");
+  return {
+    type: String(cell("type")),
+    question: String(cell("question")),
+    options: OPTION_LETTERS.map((l) => String(cell(l))),
+    answer: cell("answer"),
+    marks: cell("marks"),
+    tolerance: cell("tolerance"),
+    imageUrl: String(cell("imageUrl")).trim(),
+    locked: String(cell("locked")).trim(),
+    bankId: String(cell("bankId")).trim(),
+    shorthand: String(cell("shorthand")).trim()
+  };
+}
+
+/**
+ * Builds a question object from mapped cells.
+ */
+export function questionFromCells(cells, id) {
+  const type = resolveType(cells.type);
+  const marks = String(cells.marks ?? "").trim() === "" ? 1 : Number(cells.marks);
+  const locked = parseLetters(cells.locked || "").map((l) => l.charCodeAt(0) - 65);
+  return {
+    id,
+    type,
+    question: cells.question,
+    ...getType(type).fromCells(cells),
+    marks: Number.isFinite(marks) && marks > 0 ? marks : 1,
+    imageUrl: cells.imageUrl || "",
+    ...(locked.length ? { lockedOptions: locked } : {}),
+    ...(YES_VALUES.includes(normalizeHeader(cells.shorthand)) ? { mathShorthand: true } : {}),
+    ...(cells.bankId ? { bankId: cells.bankId } : {})
+  };
+}
+
+/**
+ * Validates every row. Rows with errors are excluded; duplicates are
+ * reported as warnings and still imported.
+ * @param {Array<{sheet: string, rowNumber: number, cells: Object}>} rows
+ * @returns {Array<{sheet, rowNumber, question, errors, warnings}>}
+ */
+export function validateRows(rows = []) {
+  const seen = new Map();
+
+  return rows.map(({ sheet, rowNumber, cells }, i) => {
+    const errors = [];
+    const warnings = [];
+    const question = questionFromCells(cells, `q_${i + 1}`);
+
+    if (!cells.question.trim()) {
+      errors.push("Missing question text");
+    } else {
+      const key = `${question.type}|${normalizeQuestion(cells.question)}`;
+      if (seen.has(key)) warnings.push(`Duplicate of ${seen.get(key)}`);
+      else seen.set(key, `${sheet} row ${rowNumber}`);
+    }
+
+    if (cells.type && resolveType(cells.type) === "mcq" && !getType("mcq").aliases.includes(normalizeHeader(cells.type))) {
+      warnings.push(`Unknown type "${cells.type}" — treated as multiple choice`);
+    }
+
+    const rawMarks = String(cells.marks ?? "").trim();
+    if (rawMarks !== "" && (!Number.isFinite(Number(rawMarks)) || Number(rawMarks) <= 0)) {
+      errors.push(`Marks "${rawMarks}" is not a positive number`);
+    }
+
+    errors.push(...getType(question.type).validate(question, cells.answer, cells.tolerance));
+    return { sheet, rowNumber, question, errors, warnings };
+  });
+}
+
+// --------------------------------------------
+// Workbook helpers (SheetJS)
+// --------------------------------------------
+function sheetHeaders(workbook, sheetName) {
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: "" });
+  const first = rows.find((r) => r.some((c) => String(c).trim() !== "")) || [];
+  return first.map((h) => String(h).trim()).filter(Boolean);
+}
+
+function sheetRows(workbook, sheetNames, mapping) {
+  const out = [];
+  sheetNames.forEach((name) => {
+    const json = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: "", raw: false });
+    json.forEach((row, i) => {
+      const cells = cellsFromRow(row, mapping);
+      const blank = !cells.question.trim() && !cells.options.some((o) => o.trim()) && String(cells.answer).trim() === "";
+      if (!blank) out.push({ sheet: name, rowNumber: (row.__rowNum__ ?? i + 1) + 1, cells });
+    });
+  });
+  return out;
+}
+
+// --------------------------------------------
+// Wizard UI
+// --------------------------------------------
+
+/**
+ * Renders the import wizard into `container`.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {HTMLElement} container
+ * @param {{ onConfirm: (questions: Array) => void }} handlers
+ */
+export function renderImportWizard(workbook, container, { onConfirm }) {
+  const state = {
+    sheets: [workbook.SheetNames[0]],
+    mapping: {},
+    report: []
+  };
+
+  const headersFor = (sheets) =>
+    Array.from(new Set(sheets.flatMap((name) => sheetHeaders(workbook, name))));
+
+  state.mapping = guessMapping(headersFor(state.sheets));
+
+  function render() {
+    const headers = headersFor(state.sheets);
+    const sheetsHtml = workbook.SheetNames.map((name) => {
+      const checked = state.sheets.includes(name) ? "checked" : "";
+      return `<label class="row" style="gap:6px;margin:0"><input type="checkbox" class="wizSheet" value="${escapeHtml(name)}" ${checked} style="width:auto"> ${escapeHtml(name)}</label>`;
+    }).join("");
+
+    const mappingHtml = IMPORT_FIELDS.map((f) => `
+      <div style="width:150px">
+        <label>${escapeHtml(f.label)}${f.required ? " *" : ""}</label>
+        <select class="wizMap" data-field="${f.key}">
+          <option value="">(not mapped)</option>
+          ${headers.map((h) => `<option value="${escapeHtml(h)}" ${state.mapping[f.key] === h ? "selected" : ""}>${escapeHtml(h)}</option>`).join("")}
+        </select>
+      </div>`).join("");
+
+    container.innerHTML = `
+      <div style="padding:6px">
+        <div style="font-weight:700">1. Sheets to import</div>
+        <div class="row" style="margin-top:6px">${sheetsHtml}</div>
+        <div style="font-weight:700;margin-top:12px">2. Map columns</div>
+        <div class="small" style="margin-top:4px">Detected headers: ${headers.map(escapeHtml).join(", ") || "none"}</div>
+        <div class="row" style="margin-top:6px;align-items:flex-end">${mappingHtml}</div>
+        <div class="row" style="margin-top:12px">
+          <button class="btn wizValidate">3. Check rows</button>
+        </div>
+        <div class="wizReport" style="margin-top:12px"></div>
+      </div>`;
+
+    container.querySelectorAll(".wizSheet").forEach((c) =>
+      c.addEventListener("change", () => {
+        state.sheets = Array.from(container.querySelectorAll(".wizSheet:checked")).map((x) => x.value);
+        const next = headersFor(state.sheets);
+        // keep mappings that still exist, guess the rest
+        state.mapping = { ...guessMapping(next), ...keepValid(state.mapping, next) };
+        render();
+      })
+    );
+    container.querySelectorAll(".wizMap").forEach((s) =>
+      s.addEventListener("change", () => {
+        if (s.value) state.mapping[s.dataset.field] = s.value;
+        else delete state.mapping[s.dataset.field];
+      })
+    );
+    container.querySelector(".wizValidate").addEventListener("click", validate);
+  }
+
+  function keepValid(mapping, headers) {
+    const out = {};
+    Object.entries(mapping).forEach(([k, h]) => headers.includes(h) && (out[k] = h));
+    return out;
+  }
+
+  function validate() {
+    const reportEl = container.querySelector(".wizReport");
+    if (state.sheets.length === 0) {
+      reportEl.innerHTML = `<div style="color:#b91c1c">Choose at least one sheet.</div>`;
+      return;
+    }
+    if (!state.mapping.question) {
+      reportEl.innerHTML = `<div style="color:#b91c1c">Map the Question column first.</div>`;
+      return;
+    }
+
+    state.report = validateRows(sheetRows(workbook, state.sheets, state.mapping));
+    const good = state.report.filter((r) => r.errors.length === 0);
+    const bad = state.report.length - good.length;
+
+    const rowsHtml = state.report
+      .filter((r) => r.errors.length || r.warnings.length)
+      .map((r) => `
+        <tr>
+          <td>${escapeHtml(r.sheet)}</td>
+          <td>${r.rowNumber}</td>
+          <td style="color:${r.errors.length ? "#b91c1c" : "#b45309"};font-weight:700">${r.errors.length ? "Skipped" : "Warning"}</td>
+          <td>${[...r.errors, ...r.warnings].map(escapeHtml).join("<br>")}</td>
+        </tr>`)
+      .join("");
+
+    reportEl.innerHTML = `
+      <div class="small">${state.report.length} row(s) read • <strong style="color:#047857">${good.length} ready</strong>${bad ? ` • <strong style="color:#b91c1c">${bad} skipped</strong>` : ""}</div>
+      ${rowsHtml ? `
+        <table style="margin-top:8px">
+          <thead><tr><th>Sheet</th><th>Row</th><th>Status</th><th>Issues</th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>` : ""}
+      <div class="row" style="margin-top:10px">
+        <button class="btn wizConfirm" ${good.length ? "" : "disabled"}>Preview ${good.length} question(s)</button>
+      </div>`;
+
+    const confirmBtn = reportEl.querySelector(".wizConfirm");
+    if (confirmBtn) {
+      confirmBtn.addEventListener("click", () =>
+        onConfirm(good.map((r, i) => ({ ...r.question, id: `q_${Date.now()}_${i}` })))
+      );
+    }
+  }
+
+  render();
+}
+
+export default {
+  IMPORT_FIELDS,
+  guessMapping,
+  cellsFromRow,
+  questionFromCells,
+  validateRows,
+  renderImportWizard
+};
@@ -0,0 +1,363 @@
+// ------------------------------------------------------
+// Item Analysis Module — how each question performed
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, auth.js,
+//               question-types.js, print-layout.js, grading.js
+// Reads the graded results of an exam (grading.js) and reports per
+// question: facility (% of marks earned), point-biserial
+// discrimination against the rest of the paper, upper/lower 27%
+// groups and how often each option was chosen. Only each student's
+// first attempt counts, so retakes do not inflate facility.
+// Responses in results are already in the exam's own option letters
+// (paper versions are mapped back when grading).
+// ------------------------------------------------------
+
+import { db, collection, doc, getDoc, getDocs, query, where } from "../firebase-config.js";
+import { toast, escapeHtml, htmlToPlainText, showLoader, hideLoader } from "./utils.js";
+import { canModifyExam } from "./auth.js";
+import { getType, parseLetters } from "./question-types.js";
+import { paperOrder } from "./print-layout.js";
+import { gradePendingSubmissions } from "./grading.js";
+
+export const THRESHOLDS = {
+  tooEasy: 90, // facility % above this
+  tooHard: 25, // facility % below this
+  weak: 0.2, // point-biserial below this
+  groupShare: 0.27, // upper / lower group size
+  smallSample: 10 // fewer students than this: figures are rough
+};
+
+// Main elements
+const analysisModal = document.getElementById("analysisModal");
+const closeAnalysis = document.getElementById("closeAnalysis");
+const analysisTitle = document.getElementById("analysisTitle");
+const analysisSummary = document.getElementById("analysisSummary");
+const analysisBody = document.getElementById("analysisBody");
+const analysisExportBtn = document.getElementById("analysisExportBtn");
+
+// { id, data, report } of the exam on screen
+let current = null;
+
+// ------------------------------------------------------
+// Statistics
+// ------------------------------------------------------
+function mean(xs) {
+  return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0;
+}
+
+function variance(xs) {
+  const m = mean(xs);
+  return xs.length ? mean(xs.map((x) => (x - m) ** 2)) : 0;
+}
+
+function correlation(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function round(x, places = 2) {
+  return x === null || x === undefined ? null : Math.round(x * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Keeps each student's first attempt. Results without a student ID
+ * (e.g. unnamed scans) are all kept.
+ */
+export function firstAttempts(results = []) {
+  const byStudent = new Map();
+  const anonymous = [];
+  results.forEach((r) => {
+    if (!r.studentId) return anonymous.push(r);
+    const seen = byStudent.get(r.studentId);
+    if (!seen || (Number(r.attempt) || 1) < (Number(seen.attempt) || 1)) byStudent.set(r.studentId, r);
+  });
+  return [...byStudent.values(), ...anonymous];
+}
+
+/**
+ * Analyses every question of `exam` over graded `results` (first
+ * attempts only; see firstAttempts).
+ * @returns {{ summary: Object, items: Object[] }}
+ */
+export function analyzeItems(exam = {}, results = []) {
+  const questions = exam.questions || [];
+  const numbers = new Map(paperOrder(questions).map((i) => [i.q.id, i.number]));
+  const students = firstAttempts(results).map((r) => {
+    const byId = new Map((r.questions || []).map((g) => [g.questionId, g]));
+    const graded = questions.map((q) => byId.get(q.id) || null);
+    return { graded, score: graded.reduce((s, g) => s + (Number(g?.marksAwarded) || 0), 0) };
+  });
+
+  // upper and lower groups by total score
+  const ranked = students.slice().sort((a, b) => b.score - a.score);
+  const groupSize = students.length >= 2 ? Math.max(1, Math.round(students.length * THRESHOLDS.groupShare)) : 0;
+  const upper = new Set(ranked.slice(0, groupSize));
+  const lower = new Set(ranked.slice(ranked.length - groupSize));
+
+  const items = questions.map((q, qi) => {
+    const type = getType(q.type);
+    const answered = students.filter((s) => s.graded[qi]);
+    const fractionOf = (s) => {
+      const g = s.graded[qi];
+      return g && g.marksAvailable > 0 ? g.marksAwarded / g.marksAvailable : 0;
+    };
+    const fractions = answered.map(fractionOf);
+    const facility = answered.length ? round(mean(fractions) * 100, 1) : null;
+    // rest score: the item itself is left out so it does not correlate with itself
+    const discrimination = round(correlation(fractions, answered.map((s) => s.score - (Number(s.graded[qi].marksAwarded) || 0))));
+    const groupFacility = (group) => {
+      const inGroup = answered.filter((s) => group.has(s));
+      return inGroup.length ? round(mean(inGroup.map(fractionOf)) * 100, 1) : null;
+    };
+    const upperFacility = groupFacility(upper);
+    const lowerFacility = groupFacility(lower);
+
+    // option choices for objective questions
+    let options = null;
+    const key = type.objective ? type.keyOf(q) : "";
+    if (type.objective) {
+      const count = (q.options || []).length;
+      const keyLetters = parseLetters(key, count);
+      options = Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i)).map((letter) => ({
+        letter,
+        key: keyLetters.includes(letter),
+        total: 0,
+        upper: 0,
+        lower: 0
+      }));
+      options.blank = 0;
+      answered.forEach((s) => {
+        const picked = parseLetters(s.graded[qi].response, count);
+        if (!picked.length) options.blank++;
+        picked.forEach((l) => {
+          const o = options.find((x) => x.letter === l);
+          o.total++;
+          if (upper.has(s)) o.upper++;
+          if (lower.has(s)) o.lower++;
+        });
+      });
+    }
+
+    const flags = [];
+    if (answered.length) {
+      if (facility > THRESHOLDS.tooEasy) flags.push("Too easy");
+      if (facility < THRESHOLDS.tooHard) flags.push("Too hard");
+      if (discrimination !== null && discrimination < 0) flags.push("Negative discrimination");
+      else if (discrimination !== null && discrimination < THRESHOLDS.weak) flags.push("Weak discrimination");
+      if (options && q.type !== "multi") {
+        const keyed = options.find((o) => o.key);
+        const rival = options.filter((o) => !o.key).sort((a, b) => b.upper - a.upper)[0];
+        if (keyed && rival && rival.upper > keyed.upper) flags.push(`Likely mis-keyed (top students chose ${rival.letter})`);
+        const unused = options.filter((o) => !o.key && o.total === 0).map((o) => o.letter);
+        if (unused.length && answered.length >= THRESHOLDS.smallSample) flags.push(`Distractor${unused.length > 1 ? "s" : ""} ${unused.join(", ")} never chosen`);
+      }
+    }
+
+    return {
+      questionId: q.id,
+      number: numbers.get(q.id),
+      position: qi + 1,
+      type: q.type || "mcq",
+      text: htmlToPlainText(q.question || ""),
+      key,
+      n: answered.length,
+      facility,
+      discrimination,
+      upperFacility,
+      lowerFacility,
+      groupDifference: upperFacility !== null && lowerFacility !== null ? round((upperFacility - lowerFacility) / 100) : null,
+      options,
+      flags
+    };
+  });
+
+  // Cronbach's alpha over item marks
+  const scores = students.map((s) => s.score);
+  const itemVariance = questions.reduce((sum, _, qi) => sum + variance(students.map((s) => Number(s.graded[qi]?.marksAwarded) || 0)), 0);
+  const totalVariance = variance(scores);
+  const alpha = questions.length > 1 && totalVariance > 0 ? (questions.length / (questions.length - 1)) * (1 - itemVariance / totalVariance) : null;
+
+  return {
+    summary: {
+      students: students.length,
+      attemptsIgnored: results.length - students.length,
+      groupSize,
+      mean: round(mean(scores)),
+      sd: round(Math.sqrt(totalVariance)),
+      total: questions.reduce((s, q) => s + (Number(q.marks) || 1), 0),
+      alpha: round(alpha),
+      smallSample: students.length < THRESHOLDS.smallSample
+    },
+    items
+  };
+}
+
+// ------------------------------------------------------
+// Excel export
+// ------------------------------------------------------
+function fileSafe(s) {
+  return String(s || "").replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, "_").slice(0, 80);
+}
+
+/**
+ * Downloads the report as .xlsx: an "Items" sheet (one row per
+ * question, with option counts) and a "Summary" sheet.
+ */
+export function exportAnalysisToExcel(exam = {}, report) {
+  if (typeof XLSX === "undefined" || !XLSX.utils) {
+    toast("Excel library not loaded yet. Please try again.", "error");
+    return;
+  }
+  const letters = Array.from({ length: Math.max(0, ...report.items.map((i) => i.options?.length || 0)) }, (_, i) => String.fromCharCode(65 + i));
+  const items = [
+    ["#", "Paper #", "Type", "Question", "Key", "Students", "Facility %", "Point-biserial", "Upper %", "Lower %", "D (upper − lower)", ...letters.map((l) => `Chose ${l}`), "Blank", "Flags"],
+    ...report.items.map((i) => [
+      i.position,
+      i.number,
+      i.type,
+      i.text,
+      i.key,
+      i.n,
+      i.facility ?? "",
+      i.discrimination ?? "",
+      i.upperFacility ?? "",
+      i.lowerFacility ?? "",
+      i.groupDifference ?? "",
+      ...letters.map((l) => i.options?.find((o) => o.letter === l)?.total ?? ""),
+      i.options ? i.options.blank : "",
+      i.flags.join("; ")
+    ])
+  ];
+  const s = report.summary;
+  const summary = [
+    ["Assessment", exam.title || exam.assessmentName || ""],
+    ["Students (first attempts)", s.students],
+    ["Later attempts left out", s.attemptsIgnored],
+    ["Upper / lower group size", s.groupSize],
+    ["Mean score", `${s.mean} / ${s.total}`],
+    ["Standard deviation", s.sd],
+    ["Cronbach's alpha", s.alpha ?? ""],
+    ["Thresholds", `too easy > ${THRESHOLDS.tooEasy}%, too hard < ${THRESHOLDS.tooHard}%, weak discrimination < ${THRESHOLDS.weak}`]
+  ];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(items), "Items");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summary), "Summary");
+  XLSX.writeFile(wb, `${fileSafe(exam.title || exam.assessmentName) || "assessment"}_item_analysis.xlsx`);
+}
+
+// ------------------------------------------------------
+// Modal
+// ------------------------------------------------------
+function fmt(x, suffix = "") {
+  return x === null || x === undefined ? "—" : `${x}${suffix}`;
+}
+
+function renderAnalysis() {
+  const { data, report } = current;
+  const s = report.summary;
+  const canEdit = canModifyExam(data);
+  analysisExportBtn.disabled = !s.students;
+
+  if (!s.students) {
+    analysisSummary.innerHTML = `<div class="small">No graded responses for this assessment yet.</div>`;
+    analysisBody.innerHTML = "";
+    return;
+  }
+
+  analysisSummary.innerHTML = `
+    <div class="small">${s.students} student(s)${s.attemptsIgnored ? ` (${s.attemptsIgnored} later attempt(s) left out)` : ""} ·
+      mean ${s.mean}/${s.total} · SD ${s.sd} · Cronbach's α ${fmt(s.alpha)} · upper/lower groups of ${s.groupSize}</div>
+    ${s.smallSample ? `<div class="small" style="color:#b45309;margin-top:4px">Fewer than ${THRESHOLDS.smallSample} students: treat these figures as rough.</div>` : ""}`;
+
+  analysisBody.innerHTML = `
+    <table style="margin-top:10px">
+      <thead><tr><th>#</th><th>Question</th><th>Facility</th><th>r<sub>pb</sub></th><th>Upper / lower</th><th>Options chosen</th><th>Flags</th></tr></thead>
+      <tbody>${report.items
+        .map(
+          (i) => `
+        <tr>
+          <td>${i.position}${i.number !== i.position ? ` <span class="small">(paper ${i.number})</span>` : ""}</td>
+          <td>
+            <div>${escapeHtml(i.text.length > 90 ? `${i.text.slice(0, 90)}…` : i.text)}</div>
+            <div class="small">${escapeHtml(getType(i.type).label)}${i.key ? ` · key ${escapeHtml(i.key)}` : ""} · ${i.n} answered
+              ${canEdit ? ` · <a href="#" data-question="${escapeHtml(i.questionId)}">Open in editor</a>` : ""}</div>
+          </td>
+          <td>${fmt(i.facility, "%")}</td>
+          <td>${fmt(i.discrimination)}</td>
+          <td>${fmt(i.upperFacility, "%")} / ${fmt(i.lowerFacility, "%")}</td>
+          <td class="small">${
+            i.options
+              ? `${i.options
+                  .map((o) => `<span${o.key ? ` style="font-weight:bold"` : ""} title="upper ${o.upper}, lower ${o.lower}">${o.letter}: ${o.total}</span>`)
+                  .join(" · ")}${i.options.blank ? ` · blank: ${i.options.blank}` : ""}`
+              : "—"
+          }</td>
+          <td class="small" style="color:#b91c1c">${i.flags.map(escapeHtml).join("<br>")}</td>
+        </tr>`
+        )
+        .join("")}</tbody>
+    </table>`;
+}
+
+async function openAnalysis(id, data = {}) {
+  if (!analysisModal || !id) return;
+  analysisTitle.textContent = data.title || id;
+  analysisSummary.innerHTML = "";
+  analysisBody.innerHTML = "";
+  analysisExportBtn.disabled = true;
+  analysisModal.style.display = "flex";
+
+  showLoader("global", "Analysing responses...");
+  try {
+    // the stored exam, not the Saved table's copy, so keys are current
+    const examSnap = await getDoc(doc(db, "exams", id));
+    const exam = examSnap.exists() ? examSnap.data() : data;
+    // online attempts are graded by staff, so grade any still waiting
+    await gradePendingSubmissions(id, exam);
+    const resultSnap = await getDocs(query(collection(db, "results"), where("examId", "==", id)));
+    const results = [];
+    resultSnap.forEach((d) => results.push(d.data()));
+    current = { id, data: exam, report: analyzeItems(exam, results) };
+    renderAnalysis();
+  } catch (err) {
+    console.error("openAnalysis:", err);
+    toast("Could not load responses for this assessment.", "error");
+    analysisModal.style.display = "none";
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!analysisModal) return;
+
+  // Analysis button in the Saved Assessments table (assessment-manager.js)
+  window.addEventListener("assessment:analysis", (e) => openAnalysis(e.detail?.id, e.detail?.data));
+  analysisBody.addEventListener("click", (e) => {
+    const link = e.target.closest("[data-question]");
+    if (!link || !current) return;
+    e.preventDefault();
+    analysisModal.style.display = "none";
+    window.dispatchEvent(new CustomEvent("assessment:open-question", { detail: { id: current.id, questionId: link.dataset.question } }));
+  });
+  analysisExportBtn.addEventListener("click", () => current && exportAnalysisToExcel(current.data, current.report));
+  if (closeAnalysis) closeAnalysis.addEventListener("click", () => (analysisModal.style.display = "none"));
+  analysisModal.addEventListener("click", (ev) => {
+    if (ev.target === analysisModal) analysisModal.style.display = "none";
+  });
+})();
+
+export default { THRESHOLDS, firstAttempts, analyzeItems, exportAnalysisToExcel };
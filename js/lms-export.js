@@ -0,0 +1,589 @@
+// --------------------------------------------
+// LMS Export Module — QTI 2.1 package and Moodle XML
+// --------------------------------------------
+// Dependencies: utils.js, question-editor.js, randomize.js,
+//               excel-export.js, question-types.js
+// Images (exam-images/ download URLs) are fetched and travel with
+// the export: bundled in the zip for QTI, base64-embedded for
+// Moodle. An image that cannot be fetched is left out and reported,
+// never linked. Also owns the export format picker.
+// --------------------------------------------
+
+import { showToast, showLoader, hideLoader, escapeHtml } from "./utils.js";
+import { getQuestions } from "./question-editor.js";
+import { lockedOptionsOf } from "./randomize.js";
+import { getType, parseLetters } from "./question-types.js";
+import { exportAssessmentToExcel } from "./excel-export.js";
+
+const JSZIP_URL = "https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js";
+
+const MIME_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg"
+};
+
+// DOM Elements
+const exportBtn = document.getElementById("exportBtn");
+const exportModal = document.getElementById("exportModal");
+const exportScope = document.getElementById("exportScope");
+const exportReport = document.getElementById("exportReport");
+const closeExport = document.getElementById("closeExport");
+
+// Questions + meta waiting for a format choice
+let pendingExport = null;
+
+// --------------------------------------------
+// Helpers
+// --------------------------------------------
+const letter = (i) => String.fromCharCode(65 + i);
+
+function xml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function cdata(s) {
+  return `<![CDATA[${String(s ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function fileSafe(s) {
+  return String(s || "").replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, "_").slice(0, 80);
+}
+
+function exportTitle(meta) {
+  return meta.title || [meta.assessmentName, meta.subject, meta.theclass, meta.term, meta.year].filter(Boolean).join(" — ") || "Assessment";
+}
+
+function exportFileName(meta) {
+  return [meta.assessmentName, meta.subject, meta.theclass, meta.term, meta.year]
+    .filter(Boolean)
+    .map(fileSafe)
+    .join("_") || "assessment";
+}
+
+function marksOf(q) {
+  return Number(q.marks) || 1;
+}
+
+// Correct option letters as the grader reads the key (letters or
+// zero-based indices; see question-types.js keyOf)
+function keyLetters(q) {
+  return parseLetters(getType(q.type).keyOf(q));
+}
+
+// Moodle only accepts fractions from a fixed list; 100/k for k ≤ 6
+// is always on it when written to 5 decimals
+function fraction(value) {
+  return Number(value.toFixed(5)).toString();
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function loadJsZip() {
+  if (window.JSZip) return Promise.resolve(window.JSZip);
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = JSZIP_URL;
+    script.onload = () => resolve(window.JSZip);
+    script.onerror = () => reject(new Error("Could not load the zip library"));
+    document.head.appendChild(script);
+  });
+}
+
+// --------------------------------------------
+// Images
+// --------------------------------------------
+function imageBaseName(url) {
+  try {
+    // Firebase download URLs end in .../o/exam-images%2F<name>?alt=media
+    const path = decodeURIComponent(new URL(url).pathname);
+    return path.split("/").pop() || "image";
+  } catch {
+    return "image";
+  }
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Fetches every question image once.
+ * @returns {Promise<{ images: Map<string, {fileName, mime, blob}>, failed: Array<{ index, url }> }>}
+ *   images is keyed by question id
+ */
+export async function collectImages(questions) {
+  const images = new Map();
+  const failed = [];
+
+  await Promise.all(
+    questions.map(async (q, i) => {
+      if (!q.imageUrl) return;
+      try {
+        const res = await fetch(q.imageUrl);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const blob = await res.blob();
+        const mime = blob.type || "application/octet-stream";
+        const base = fileSafe(imageBaseName(q.imageUrl)).replace(/\.[^.]+$/, "");
+        const ext = MIME_EXTENSIONS[mime] || imageBaseName(q.imageUrl).split(".").pop() || "bin";
+        images.set(q.id, { fileName: `q${i + 1}_${base}.${ext}`, mime, blob });
+      } catch (err) {
+        console.warn("collectImages:", q.imageUrl, err);
+        failed.push({ index: i + 1, url: q.imageUrl });
+      }
+    })
+  );
+
+  return { images, failed };
+}
+
+// --------------------------------------------
+// Moodle XML
+// --------------------------------------------
+function moodleText(html, image) {
+  const img = image ? `<p><img src="@@PLUGINFILE@@/${xml(image.fileName)}" alt=""></p>` : "";
+  const file = image ? `\n      <file name="${xml(image.fileName)}" path="/" encoding="base64">${image.base64}</file>` : "";
+  return `<text>${cdata(html + img)}</text>${file}`;
+}
+
+function moodleAnswer(value, text, extra = "") {
+  return `    <answer fraction="${value}" format="html"><text>${cdata(text)}</text><feedback><text></text></feedback>${extra}</answer>`;
+}
+
+function moodleQuestion(q, i, image) {
+  const type = q.type || "mcq";
+  const options = q.options || [];
+  const head = (moodleType) => `  <question type="${moodleType}">
+    <name><text>${xml(`Q${i + 1}`)}</text></name>
+    <questiontext format="html">
+      ${moodleText(`<p>${escapeHtml(q.question).replace(/\n/g, "<br>")}</p>`, image)}
+    </questiontext>
+    <defaultgrade>${marksOf(q)}</defaultgrade>
+    <penalty>0</penalty>
+    <hidden>0</hidden>`;
+
+  switch (type) {
+    case "truefalse": {
+      const isTrue = keyLetters(q)[0] === "A";
+      return `${head("truefalse")}
+${moodleAnswer(isTrue ? 100 : 0, "true")}
+${moodleAnswer(isTrue ? 0 : 100, "false")}
+  </question>`;
+    }
+    case "mcq":
+    case "multi": {
+      const correct = keyLetters(q);
+      const single = type === "mcq";
+      const wrong = options.length - correct.length;
+      // multi is all-or-nothing here; -100% on any wrong choice is the
+      // closest core Moodle gets (it never goes below zero)
+      const answers = options
+        .map((opt, j) => {
+          if (!String(opt).trim()) return "";
+          const ok = correct.includes(letter(j));
+          const value = single ? (ok ? 100 : 0) : ok ? fraction(100 / correct.length) : wrong ? -100 : 0;
+          return moodleAnswer(value, escapeHtml(opt));
+        })
+        .filter(Boolean)
+        .join("\n");
+      return `${head("multichoice")}
+    <single>${single}</single>
+    <shuffleanswers>${lockedOptionsOf(q).length ? 0 : 1}</shuffleanswers>
+    <answernumbering>ABCD</answernumbering>
+${answers}
+  </question>`;
+    }
+    case "short": {
+      const accepted = String(q.answer || "").split("|").map((a) => a.trim()).filter(Boolean);
+      return `${head("shortanswer")}
+    <usecase>0</usecase>
+${accepted.map((a) => moodleAnswer(100, escapeHtml(a))).join("\n")}
+  </question>`;
+    }
+    case "numeric":
+      return `${head("numerical")}
+${moodleAnswer(100, String(q.answer ?? ""), `<tolerance>${Number(q.tolerance) || 0}</tolerance>`)}
+  </question>`;
+    case "matching":
+      return `${head("matching")}
+    <shuffleanswers>1</shuffleanswers>
+${(q.pairs || []).map((p) => `    <subquestion format="html"><text>${cdata(escapeHtml(p.left))}</text><answer><text>${xml(p.right)}</text></answer></subquestion>`).join("\n")}
+  </question>`;
+    case "ordering":
+      // qtype_ordering (the standard Moodle ordering plugin); each
+      // answer's fraction is its position in the correct order
+      return `${head("ordering")}
+    <layouttype>VERTICAL</layouttype>
+    <selecttype>ALL</selecttype>
+    <selectcount>0</selectcount>
+    <gradingtype>ALL_OR_NOTHING</gradingtype>
+${options.map((opt, j) => moodleAnswer(j + 1, escapeHtml(opt))).join("\n")}
+  </question>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Builds a Moodle XML quiz file for an assessment.
+ * @param {Array} questions
+ * @param {Object} meta - exams document fields (for the category name)
+ * @param {Map} [images] - from collectImages, with base64 filled in
+ */
+export function buildMoodleXml(questions = [], meta = {}, images = new Map()) {
+  const category = `$course$/${exportTitle(meta)}`;
+  const body = questions.map((q, i) => moodleQuestion(q, i, images.get(q.id))).filter(Boolean).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>${xml(category)}</text></category>
+  </question>
+${body}
+</quiz>
+`;
+}
+
+// --------------------------------------------
+// QTI 2.1
+// --------------------------------------------
+const QTI_NS = `xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`;
+
+function scoreOutcome() {
+  return `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>`;
+}
+
+// SCORE = marks when RESPONSE matches the correct response exactly
+function matchCorrectProcessing(marks) {
+  return `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${marks}</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`;
+}
+
+function mapResponseProcessing() {
+  return `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>`;
+}
+
+function qtiStem(q, image) {
+  const img = image ? `\n    <p><img src="images/${xml(image.fileName)}" alt=""/></p>` : "";
+  return `    <p>${xml(q.question).replace(/\n/g, "<br/>")}</p>${img}`;
+}
+
+function qtiInteraction(q) {
+  const type = q.type || "mcq";
+  const marks = marksOf(q);
+  const options = q.options || [];
+
+  switch (type) {
+    case "mcq":
+    case "truefalse":
+    case "multi": {
+      const correct = keyLetters(q);
+      const single = type !== "multi";
+      const locked = lockedOptionsOf(q);
+      const choices = options
+        .map((opt, j) => {
+          if (!String(opt).trim()) return "";
+          const fixed = locked.includes(j) ? ` fixed="true"` : "";
+          return `      <simpleChoice identifier="${letter(j)}"${fixed}>${xml(opt)}</simpleChoice>`;
+        })
+        .filter(Boolean)
+        .join("\n");
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="${single ? "single" : "multiple"}" baseType="identifier">
+    <correctResponse>${correct.map((l) => `<value>${l}</value>`).join("")}</correctResponse>
+  </responseDeclaration>`,
+        interaction: `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${type === "truefalse" ? "false" : "true"}" maxChoices="${single ? 1 : 0}">
+${choices}
+    </choiceInteraction>`,
+        processing: matchCorrectProcessing(marks)
+      };
+    }
+    case "short": {
+      const accepted = String(q.answer || "").split("|").map((a) => a.trim()).filter(Boolean);
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${xml(accepted[0] || "")}</value></correctResponse>
+    <mapping defaultValue="0" upperBound="${marks}">
+${accepted.map((a) => `      <mapEntry mapKey="${xml(a)}" mappedValue="${marks}" caseSensitive="false"/>`).join("\n")}
+    </mapping>
+  </responseDeclaration>`,
+        interaction: `    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`,
+        processing: mapResponseProcessing()
+      };
+    }
+    case "numeric": {
+      const tol = Number(q.tolerance) || 0;
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${xml(q.answer)}</value></correctResponse>
+  </responseDeclaration>`,
+        interaction: `    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/></p>`,
+        processing: `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tol} ${tol}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${marks}</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`
+      };
+    }
+    case "matching": {
+      const pairs = q.pairs || [];
+      const each = Number((marks / (pairs.length || 1)).toFixed(4));
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>${pairs.map((_, j) => `<value>L${j + 1} R${j + 1}</value>`).join("")}</correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${marks}">
+${pairs.map((_, j) => `      <mapEntry mapKey="L${j + 1} R${j + 1}" mappedValue="${each}"/>`).join("\n")}
+    </mapping>
+  </responseDeclaration>`,
+        interaction: `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      <simpleMatchSet>
+${pairs.map((p, j) => `        <simpleAssociableChoice identifier="L${j + 1}" matchMax="1">${xml(p.left)}</simpleAssociableChoice>`).join("\n")}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${pairs.map((p, j) => `        <simpleAssociableChoice identifier="R${j + 1}" matchMax="1">${xml(p.right)}</simpleAssociableChoice>`).join("\n")}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: mapResponseProcessing()
+      };
+    }
+    case "ordering":
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${options.map((_, j) => `<value>I${j + 1}</value>`).join("")}</correctResponse>
+  </responseDeclaration>`,
+        interaction: `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+${options.map((opt, j) => `      <simpleChoice identifier="I${j + 1}">${xml(opt)}</simpleChoice>`).join("\n")}
+    </orderInteraction>`,
+        processing: matchCorrectProcessing(marks)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * One QTI 2.1 assessmentItem document.
+ */
+export function buildQtiItem(q, identifier, image) {
+  const parts = qtiInteraction(q);
+  if (!parts) return "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS}
+  identifier="${xml(identifier)}" title="${xml(String(q.question || "").slice(0, 60))}" adaptive="false" timeDependent="false">
+${parts.declaration}
+${scoreOutcome()}
+  <itemBody>
+${qtiStem(q, image)}
+${parts.interaction}
+  </itemBody>
+${parts.processing}
+</assessmentItem>
+`;
+}
+
+function buildQtiTest(items, meta) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NS}
+  identifier="test" title="${xml(exportTitle(meta))}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="${xml(meta.subject || "Questions")}" visible="true">
+${items.map((it) => `      <assessmentItemRef identifier="${it.identifier}" href="${it.href}"/>`).join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+function buildQtiManifest(items, meta) {
+  const itemResources = items
+    .map((it) => `    <resource identifier="RES_${it.identifier}" type="imsqti_item_xmlv2p1" href="${it.href}">
+      <file href="${it.href}"/>${it.image ? `\n      <file href="images/${xml(it.image.fileName)}"/>` : ""}
+    </resource>`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="MANIFEST_${xml(fileSafe(exportFileName(meta)))}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="RES_test" type="imsqti_test_xmlv2p1" href="test.xml">
+      <file href="test.xml"/>
+${items.map((it) => `      <dependency identifierref="RES_${it.identifier}"/>`).join("\n")}
+    </resource>
+${itemResources}
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * Builds the QTI 2.1 package contents.
+ * @returns {{ files: Object<string, string|Blob> }} path → content
+ */
+export function buildQtiPackage(questions = [], meta = {}, images = new Map()) {
+  const files = {};
+  const items = [];
+
+  questions.forEach((q, i) => {
+    const identifier = `item${i + 1}`;
+    const image = images.get(q.id);
+    const itemXml = buildQtiItem(q, identifier, image);
+    if (!itemXml) return;
+    const href = `${identifier}.xml`;
+    files[href] = itemXml;
+    if (image) files[`images/${image.fileName}`] = image.blob;
+    items.push({ identifier, href, image });
+  });
+
+  files["test.xml"] = buildQtiTest(items, meta);
+  files["imsmanifest.xml"] = buildQtiManifest(items, meta);
+  return { files };
+}
+
+// --------------------------------------------
+// Export actions
+// --------------------------------------------
+function reportImages(failed) {
+  if (!failed.length) return;
+  const list = failed.map((f) => `Q${f.index}`).join(", ");
+  showToast(`Image(s) for ${list} could not be fetched and were left out.`, "error");
+  if (exportReport) {
+    exportReport.innerHTML = `<div class="small" style="color:#b91c1c">Left out (could not fetch): ${failed
+      .map((f) => `Q${f.index} — ${escapeHtml(f.url)}`)
+      .join("<br>")}</div>`;
+  }
+}
+
+export async function exportMoodleXml(questions = [], meta = {}) {
+  if (!questions.length) return showToast("No questions to export.", "error");
+  showLoader("global", "Preparing Moodle XML...");
+  try {
+    const { images, failed } = await collectImages(questions);
+    for (const image of images.values()) image.base64 = await blobToBase64(image.blob);
+
+    const text = buildMoodleXml(questions, meta, images);
+    downloadBlob(new Blob([text], { type: "application/xml" }), `${exportFileName(meta)}_moodle.xml`);
+    reportImages(failed);
+    showToast(`Exported ${questions.length} question(s) as Moodle XML.`, "success");
+  } catch (err) {
+    console.error("exportMoodleXml:", err);
+    showToast("Moodle export failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+export async function exportQtiPackage(questions = [], meta = {}) {
+  if (!questions.length) return showToast("No questions to export.", "error");
+  showLoader("global", "Preparing QTI package...");
+  try {
+    const [JSZip, { images, failed }] = await Promise.all([loadJsZip(), collectImages(questions)]);
+    const { files } = buildQtiPackage(questions, meta, images);
+
+    const zip = new JSZip();
+    Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+    const blob = await zip.generateAsync({ type: "blob" });
+    downloadBlob(blob, `${exportFileName(meta)}_qti21.zip`);
+    reportImages(failed);
+    showToast(`Exported ${questions.length} question(s) as a QTI 2.1 package.`, "success");
+  } catch (err) {
+    console.error("exportQtiPackage:", err);
+    showToast("QTI export failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// --------------------------------------------
+// Format picker
+// --------------------------------------------
+function readEditorMeta() {
+  const v = (id) => document.getElementById(id)?.value || "";
+  return {
+    year: v("yearInput"),
+    term: v("termSelect"),
+    theclass: v("classSelect"),
+    subject: v("subjectSelect"),
+    assessmentName: v("assessmentSelect")
+  };
+}
+
+function openExportModal(questions, meta) {
+  pendingExport = { questions, meta };
+  exportScope.textContent = `${exportTitle(meta)} • ${questions.length} question(s)`;
+  exportReport.innerHTML = "";
+  exportModal.style.display = "flex";
+}
+
+const EXPORTERS = {
+  excel: exportAssessmentToExcel,
+  qti: exportQtiPackage,
+  moodle: exportMoodleXml
+};
+
+(function init() {
+  if (!exportModal) return;
+
+  if (exportBtn) {
+    exportBtn.addEventListener("click", () => openExportModal(getQuestions(), readEditorMeta()));
+  }
+
+  // Export from the Saved Assessments table (dispatched by assessment-manager.js)
+  window.addEventListener("assessment:export", (e) => {
+    const data = e.detail?.data || {};
+    openExportModal(data.questions || [], data);
+  });
+
+  exportModal.querySelectorAll("[data-export-format]").forEach((btn) =>
+    btn.addEventListener("click", () => {
+      if (!pendingExport) return;
+      EXPORTERS[btn.dataset.exportFormat](pendingExport.questions, pendingExport.meta);
+    })
+  );
+
+  if (closeExport) closeExport.addEventListener("click", () => (exportModal.style.display = "none"));
+  exportModal.addEventListener("click", (ev) => {
+    if (ev.target === exportModal) exportModal.style.display = "none";
+  });
+})();
+
+export default { buildMoodleXml, buildQtiPackage, buildQtiItem, collectImages, exportMoodleXml, exportQtiPackage };
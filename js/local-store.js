@@ -0,0 +1,66 @@
+// ------------------------------------------------------
+// Local Store — small promise wrapper around IndexedDB
+// ------------------------------------------------------
+// Dependencies: none
+// One database for the teacher page; each object store is keyed
+// by an explicit key passed to put().
+// ------------------------------------------------------
+
+const DB_NAME = "orli-exam-creator";
+const DB_VERSION = 2;
+const STORES = ["drafts", "queue", "cache", "images"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      STORES.forEach((name) => {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // let a later call retry after a failure
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+}
+
+async function withStore(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function idbGet(store, key) {
+  return withStore(store, "readonly", (s) => s.get(key));
+}
+
+export function idbPut(store, key, value) {
+  return withStore(store, "readwrite", (s) => s.put(value, key));
+}
+
+export function idbDelete(store, key) {
+  return withStore(store, "readwrite", (s) => s.delete(key));
+}
+
+/**
+ * Every value in a store.
+ */
+export function idbAll(store) {
+  return withStore(store, "readonly", (s) => s.getAll());
+}
+
+export default { idbGet, idbPut, idbDelete, idbAll };
@@ -0,0 +1,240 @@
+// ------------------------------------------------------
+// Math Toolbar Module — symbol buttons + equation builder
+// ------------------------------------------------------
+// Dependencies: utils.js
+// Toolbar buttons and the builder insert into whichever question
+// or option field last had focus, at the caret. Snippets are LaTeX
+// wrapped in $…$; the $ are dropped when the caret is already
+// inside math.
+// ------------------------------------------------------
+
+import { toast, escapeHtml, renderMixedText } from "./utils.js";
+
+// Editor fields the toolbar can write into
+const FIELD_SELECTOR = '.question-block textarea, .question-block input[type="text"]';
+
+// Main elements
+const toolbar = document.getElementById("toolbar");
+const questionList = document.getElementById("questionList");
+const equationModal = document.getElementById("equationModal");
+const closeEquation = document.getElementById("closeEquation");
+const equationKind = document.getElementById("equationKind");
+const equationFields = document.getElementById("equationFields");
+const equationPreview = document.getElementById("equationPreview");
+const equationLatex = document.getElementById("equationLatex");
+const insertEquation = document.getElementById("insertEquation");
+
+let lastField = null;
+
+// ------------------------------------------------------
+// Caret insertion
+// ------------------------------------------------------
+
+/**
+ * True when `pos` in `text` sits between math delimiters.
+ */
+export function caretInsideMath(text, pos) {
+  const s = String(text || "").slice(0, pos);
+  let open = null;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "\\" && s[i + 1] === "$") { i++; continue; }
+    const two = s.slice(i, i + 2);
+    if (!open) {
+      if (two === "$$" || two === "\\(" || two === "\\[") { open = two; i++; }
+      else if (s[i] === "$") open = "$";
+    } else if ((open === "$$" && two === "$$") || (open === "\\(" && two === "\\)") || (open === "\\[" && two === "\\]")) {
+      open = null;
+      i++;
+    } else if (open === "$" && s[i] === "$") {
+      open = null;
+    }
+  }
+  return open !== null;
+}
+
+/**
+ * Inserts a snippet at the caret (replacing any selection). For
+ * "$…$" snippets the caret lands in the first empty {} group, so
+ * "$\sqrt{}$" leaves it inside the root.
+ */
+export function insertAtCaret(field, snippet) {
+  const start = field.selectionStart ?? field.value.length;
+  const end = field.selectionEnd ?? start;
+  let text = snippet;
+  if (/^\$.*\$$/s.test(text) && caretInsideMath(field.value, start)) {
+    text = text.slice(1, -1);
+  }
+
+  field.setRangeText(text, start, end, "end");
+  const hole = text.indexOf("{}");
+  if (hole !== -1) {
+    const at = start + hole + 1;
+    field.setSelectionRange(at, at);
+  }
+  field.focus();
+  field.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function insertIntoLastField(snippet) {
+  if (!lastField || !document.body.contains(lastField)) {
+    toast("Click into a question or option first.", "error");
+    return false;
+  }
+  insertAtCaret(lastField, snippet);
+  return true;
+}
+
+// ------------------------------------------------------
+// Equation builder
+// ------------------------------------------------------
+const BUILDER_KINDS = {
+  fraction: {
+    label: "Fraction",
+    fields: [
+      { key: "num", label: "Numerator", placeholder: "3" },
+      { key: "den", label: "Denominator", placeholder: "4" }
+    ],
+    latex: (f) => `\\frac{${f.num}}{${f.den}}`
+  },
+  mixed: {
+    label: "Mixed number",
+    fields: [
+      { key: "whole", label: "Whole", placeholder: "2" },
+      { key: "num", label: "Numerator", placeholder: "1" },
+      { key: "den", label: "Denominator", placeholder: "3" }
+    ],
+    latex: (f) => `${f.whole}\\tfrac{${f.num}}{${f.den}}`
+  },
+  exponent: {
+    label: "Exponent",
+    fields: [
+      { key: "base", label: "Base", placeholder: "x" },
+      { key: "power", label: "Power", placeholder: "2" }
+    ],
+    latex: (f) => `${/^[A-Za-z0-9.]*$/.test(f.base) ? f.base : `(${f.base})`}^{${f.power}}`
+  },
+  root: {
+    label: "Root",
+    fields: [
+      { key: "radicand", label: "Under the root", placeholder: "81" },
+      { key: "index", label: "Index (blank = square root)", placeholder: "3" }
+    ],
+    latex: (f) => (f.index && f.index !== "2" ? `\\sqrt[${f.index}]{${f.radicand}}` : `\\sqrt{${f.radicand}}`)
+  },
+  unit: {
+    label: "Quantity with unit",
+    fields: [
+      { key: "value", label: "Value", placeholder: "9.8" },
+      { key: "unit", label: "Unit (e.g. cm^2, m/s^2, kg)", placeholder: "m/s^2" }
+    ],
+    latex: (f) => `${f.value}\\,${unitLatex(f.unit)}`
+  }
+};
+
+/**
+ * "m/s^2" → \text{m}/\text{s}^{2}; "N*m" → \text{N}\cdot\text{m}
+ */
+export function unitLatex(unit) {
+  return String(unit || "")
+    .trim()
+    .split(/\s*([/*·])\s*/)
+    .map((part) => {
+      if (part === "/") return "/";
+      if (part === "*" || part === "·") return "\\cdot ";
+      const m = part.match(/^([^^]+)(?:\^(-?\d+))?$/);
+      if (!m) return part;
+      return `\\text{${m[1]}}${m[2] ? `^{${m[2]}}` : ""}`;
+    })
+    .join("");
+}
+
+/**
+ * LaTeX for one builder kind. Empty fields stay as empty groups so
+ * the preview still shows the shape.
+ */
+export function buildLatex(kind, values = {}) {
+  const def = BUILDER_KINDS[kind];
+  if (!def) return "";
+  const f = {};
+  def.fields.forEach(({ key }) => (f[key] = String(values[key] ?? "").trim()));
+  return def.latex(f);
+}
+
+function readBuilder() {
+  const values = {};
+  equationFields.querySelectorAll("[data-key]").forEach((input) => (values[input.dataset.key] = input.value));
+  return buildLatex(equationKind.value, values);
+}
+
+function renderBuilderFields() {
+  const def = BUILDER_KINDS[equationKind.value];
+  equationFields.innerHTML = def.fields
+    .map(
+      (f) => `
+      <div style="flex:1;min-width:120px">
+        <label>${escapeHtml(f.label)}</label>
+        <input type="text" data-key="${f.key}" placeholder="${escapeHtml(f.placeholder)}" autocomplete="off">
+      </div>`
+    )
+    .join("");
+  updateBuilderPreview();
+}
+
+function updateBuilderPreview() {
+  const latex = readBuilder();
+  equationLatex.textContent = latex ? `$${latex}$` : "";
+  equationPreview.innerHTML = latex ? renderMixedText(`$$${latex}$$`) : "";
+}
+
+function openEquationBuilder() {
+  if (!equationModal) return;
+  renderBuilderFields();
+  equationModal.style.display = "flex";
+  equationFields.querySelector("input")?.focus();
+}
+
+function onInsertEquation() {
+  const latex = readBuilder();
+  if (!latex) return;
+  if (insertIntoLastField(`$${latex}$`)) equationModal.style.display = "none";
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!toolbar) return;
+
+  // Remember the last editor field that had focus
+  (questionList || document).addEventListener("focusin", (e) => {
+    if (e.target.matches?.(FIELD_SELECTOR)) lastField = e.target;
+  });
+
+  // Keep focus (and the caret) in the field when a button is pressed
+  toolbar.addEventListener("mousedown", (e) => {
+    if (e.target.closest(".toolbtn")) e.preventDefault();
+  });
+  toolbar.addEventListener("click", (e) => {
+    const btn = e.target.closest(".toolbtn");
+    if (!btn) return;
+    if (btn.dataset.action === "builder") openEquationBuilder();
+    else if (btn.dataset.value) insertIntoLastField(btn.dataset.value);
+  });
+
+  if (!equationModal) return;
+  equationKind.innerHTML = Object.entries(BUILDER_KINDS)
+    .map(([key, def]) => `<option value="${key}">${escapeHtml(def.label)}</option>`)
+    .join("");
+  equationKind.addEventListener("change", renderBuilderFields);
+  equationFields.addEventListener("input", updateBuilderPreview);
+  equationFields.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") onInsertEquation();
+  });
+  insertEquation.addEventListener("click", onInsertEquation);
+  if (closeEquation) closeEquation.addEventListener("click", () => (equationModal.style.display = "none"));
+  equationModal.addEventListener("click", (ev) => {
+    if (ev.target === equationModal) equationModal.style.display = "none";
+  });
+})();
+
+export default { insertAtCaret, caretInsideMath, buildLatex, unitLatex };
@@ -0,0 +1,376 @@
+// ------------------------------------------------------
+// Offline Sync Module — queued writes, cached list, local images
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, local-store.js, auth.js
+// While offline, saves and workflow steps are queued in IndexedDB
+// and replayed in order when the connection returns. Assessments
+// created offline get a "local_" id until their first sync. Images
+// picked offline are kept as blobs under a "local-image:" reference
+// and uploaded before the first save that uses them. A queued save
+// whose server copy changed after it was loaded is held back as a
+// conflict for the teacher to resolve.
+// ------------------------------------------------------
+
+import { db, storage, doc, getDoc, ref, uploadBytes, getDownloadURL } from "../firebase-config.js";
+import { toast, escapeHtml, formatDateTime, confirmDialog, setIdleStatus } from "./utils.js";
+import { idbGet, idbPut, idbDelete, idbAll } from "./local-store.js";
+import { currentProfile, onProfile } from "./auth.js";
+
+const LOCAL_ID_PREFIX = "local_";
+const LOCAL_IMAGE_PREFIX = "local-image:";
+const CACHE_KEY = "assessments";
+
+// Main elements
+const statusArea = document.getElementById("statusArea");
+const syncModal = document.getElementById("syncModal");
+const syncList = document.getElementById("syncList");
+const syncNowBtn = document.getElementById("syncNowBtn");
+const closeSync = document.getElementById("closeSync");
+
+// kind → async (op) => result; registered by assessment-manager.js
+const handlers = {};
+let flushing = false;
+
+// ------------------------------------------------------
+// Connectivity
+// ------------------------------------------------------
+export function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * True for failures that mean "could not reach Firebase" rather than
+ * a rejected write (permissions, validation).
+ */
+export function isNetworkError(err) {
+  if (isOffline()) return true;
+  const code = String(err?.code || "");
+  return (
+    ["unavailable", "deadline-exceeded", "storage/retry-limit-exceeded"].includes(code) ||
+    /offline|network/i.test(String(err?.message || ""))
+  );
+}
+
+export function isLocalId(id) {
+  return String(id || "").startsWith(LOCAL_ID_PREFIX);
+}
+
+export function newLocalId() {
+  return `${LOCAL_ID_PREFIX}${Date.now()}`;
+}
+
+export function isLocalImage(url) {
+  return String(url || "").startsWith(LOCAL_IMAGE_PREFIX);
+}
+
+/**
+ * Milliseconds for a Firestore Timestamp, a cached { seconds,
+ * nanoseconds } copy, or a number; 0 when missing.
+ */
+export function timestampMillis(ts) {
+  if (!ts) return 0;
+  if (typeof ts === "number") return ts;
+  if (typeof ts.toMillis === "function") return ts.toMillis();
+  if (ts.seconds !== undefined) return ts.seconds * 1000 + Math.floor((ts.nanoseconds || 0) / 1e6);
+  return 0;
+}
+
+// Timestamps are class instances; IndexedDB keeps plain { seconds,
+// nanoseconds } down to the millisecond, since conflict checks
+// compare a cached updatedAt with the server's toMillis()
+function plainData(data = {}) {
+  const out = { ...data };
+  ["createdAt", "updatedAt"].forEach((k) => {
+    if (!out[k]) return;
+    const ms = timestampMillis(out[k]);
+    out[k] = { seconds: Math.floor(ms / 1000), nanoseconds: (ms % 1000) * 1e6 };
+  });
+  return out;
+}
+
+// ------------------------------------------------------
+// Cached assessment list
+// ------------------------------------------------------
+export async function cacheAssessments(list = []) {
+  try {
+    await idbPut("cache", CACHE_KEY, list.map((item) => ({ id: item.id, data: plainData(item.data) })));
+  } catch (err) {
+    console.error("cacheAssessments:", err);
+  }
+}
+
+export async function readCachedAssessments() {
+  try {
+    return (await idbGet("cache", CACHE_KEY)) || [];
+  } catch (err) {
+    console.error("readCachedAssessments:", err);
+    return [];
+  }
+}
+
+// ------------------------------------------------------
+// Local images
+// ------------------------------------------------------
+
+/**
+ * Keeps an image on this device until it can be uploaded.
+ * @returns {Promise<string>} a "local-image:" reference for imageUrl
+ */
+export async function storeLocalImage(file) {
+  const key = `${LOCAL_IMAGE_PREFIX}${Date.now()}_${file.name}`;
+  await idbPut("images", key, { key, name: file.name, blob: file });
+  return key;
+}
+
+/**
+ * Object URL for showing a local image, or "" when it is gone.
+ */
+export async function localImageUrl(key) {
+  const entry = await idbGet("images", key).catch(() => null);
+  return entry ? URL.createObjectURL(entry.blob) : "";
+}
+
+// Each image is uploaded, then the queued saves are pointed at its
+// URL, then the blob is dropped — a failure part way loses nothing
+async function uploadLocalImages() {
+  for (const entry of await idbAll("images")) {
+    const fileRef = ref(storage, `exam-images/${Date.now()}_${entry.name}`);
+    await uploadBytes(fileRef, entry.blob);
+    const url = await getDownloadURL(fileRef);
+    for (const op of await pendingOps()) {
+      if (!(op.data.questions || []).some((q) => q.imageUrl === entry.key)) continue;
+      const questions = op.data.questions.map((q) => (q.imageUrl === entry.key ? { ...q, imageUrl: url } : q));
+      await idbPut("queue", opKey(op), { ...op, data: { ...op.data, questions } });
+    }
+    await idbDelete("images", entry.key);
+    window.dispatchEvent(new CustomEvent("sync:image-uploaded", { detail: { key: entry.key, url } }));
+  }
+}
+
+// ------------------------------------------------------
+// Queue
+// ------------------------------------------------------
+function opKey(op) {
+  return `${op.kind}:${op.id}`;
+}
+
+export function registerSyncHandler(kind, fn) {
+  handlers[kind] = fn;
+}
+
+export async function pendingOps() {
+  const ops = await idbAll("queue").catch(() => []);
+  return ops.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Queues a write. A later save (or stage step) of the same assessment
+ * replaces the queued one but keeps its place and the server version
+ * it was based on, so conflicts are still detected.
+ * @param {{ kind: string, id: string, data: object, baseUpdatedAt?: number }} op
+ */
+export async function queueOp(op) {
+  const key = opKey(op);
+  const existing = await idbGet("queue", key).catch(() => null);
+  await idbPut("queue", key, {
+    ...op,
+    data: plainData(op.data),
+    baseUpdatedAt: existing ? existing.baseUpdatedAt : op.baseUpdatedAt || 0,
+    queuedAt: existing ? existing.queuedAt : Date.now(),
+    conflict: existing?.conflict || null
+  });
+  await updateSyncStatus();
+}
+
+// After a local assessment gets its real id, queued ops follow it
+async function renameQueued(localId, id) {
+  for (const op of await pendingOps()) {
+    if (op.id !== localId) continue;
+    await idbDelete("queue", opKey(op));
+    await idbPut("queue", opKey({ ...op, id }), { ...op, id });
+  }
+}
+
+async function findConflict(op) {
+  if (op.kind !== "save" || isLocalId(op.id) || !op.baseUpdatedAt) return null;
+  const snap = await getDoc(doc(db, "exams", op.id));
+  if (!snap.exists()) return { reason: "The assessment was deleted on the server." };
+  const serverUpdatedAt = timestampMillis(snap.data().updatedAt);
+  if (serverUpdatedAt > op.baseUpdatedAt) {
+    return { reason: "Someone saved this assessment after you loaded it.", serverUpdatedAt };
+  }
+  return null;
+}
+
+/**
+ * Replays queued writes in order. Stops at the first network failure
+ * and leaves the rest queued; other failures are reported and skipped
+ * over so one bad write does not block the queue.
+ * @returns {Promise<number>} writes applied
+ */
+export async function flushQueue() {
+  // writes need the signed-in user for firestore.rules
+  if (flushing || isOffline() || !currentProfile()) return 0;
+  let ops = (await pendingOps()).filter((op) => !op.conflict);
+  if (!ops.length && !(await idbAll("images").catch(() => [])).length) return 0;
+
+  flushing = true;
+  let applied = 0;
+  // later ops for an assessment already written here are not conflicts
+  const written = new Set();
+  try {
+    setIdleStatus(`Syncing ${ops.length} change(s)...`);
+    await uploadLocalImages();
+    ops = (await pendingOps()).filter((op) => !op.conflict);
+
+    while (ops.length) {
+      const op = ops.shift();
+      try {
+        const conflict = written.has(op.id) ? null : await findConflict(op);
+        if (conflict) {
+          await idbPut("queue", opKey(op), { ...op, conflict });
+          toast(`Sync conflict: "${op.data.title || op.id}" changed on the server. Review it in the sync list.`, "error");
+          window.dispatchEvent(new CustomEvent("sync:conflict", { detail: { op, conflict } }));
+          continue;
+        }
+
+        if (!handlers[op.kind]) throw new Error(`No sync handler for "${op.kind}".`);
+        const result = await handlers[op.kind](op);
+        await idbDelete("queue", opKey(op));
+        applied++;
+        written.add(result?.id || op.id);
+
+        if (isLocalId(op.id) && result?.id) {
+          await renameQueued(op.id, result.id);
+          ops = ops.map((o) => (o.id === op.id ? { ...o, id: result.id } : o));
+        }
+        window.dispatchEvent(new CustomEvent("sync:applied", { detail: { kind: op.kind, localId: op.id, id: result?.id || op.id, title: op.data.title } }));
+      } catch (err) {
+        if (isNetworkError(err)) throw err;
+        console.error("flushQueue:", op, err);
+        await idbPut("queue", opKey(op), { ...op, conflict: { reason: `Rejected by the server: ${err.message || err}` } });
+        toast(`Could not sync "${op.data.title || op.id}": ${err.message || err}`, "error");
+      }
+    }
+    if (applied) toast(`Synced ${applied} change(s).`, "success");
+  } catch (err) {
+    console.warn("flushQueue stopped:", err);
+  } finally {
+    flushing = false;
+    await updateSyncStatus();
+  }
+  return applied;
+}
+
+// ------------------------------------------------------
+// Status + review list
+// ------------------------------------------------------
+export async function updateSyncStatus() {
+  const ops = await pendingOps();
+  const conflicts = ops.filter((op) => op.conflict).length;
+  const waiting = ops.length - conflicts;
+  const parts = [];
+  if (isOffline()) parts.push("Offline");
+  if (waiting) parts.push(`${waiting} change(s) waiting to sync`);
+  if (conflicts) parts.push(`${conflicts} sync conflict(s) — click to review`);
+  setIdleStatus(parts.length ? parts.join(" · ") : "Ready");
+  if (statusArea) statusArea.style.cursor = ops.length ? "pointer" : "";
+  if (syncModal?.style.display === "flex") renderSyncList(ops);
+}
+
+function renderSyncList(ops) {
+  if (!syncList) return;
+  if (!ops.length) {
+    syncList.innerHTML = `<div class="small">Everything is synced.</div>`;
+    return;
+  }
+  syncList.innerHTML = ops
+    .map(
+      (op) => `
+      <div class="spaced" style="gap:8px;padding:8px 0;border-bottom:1px solid #eef2ff">
+        <div>
+          <div><strong>${op.kind === "stage" ? `Move to ${escapeHtml(op.data.status)}` : "Save"}</strong> —
+            ${escapeHtml(op.data.title || op.id)}${isLocalId(op.id) ? " (new)" : ""}</div>
+          <div class="small">Queued ${escapeHtml(formatDateTime(op.queuedAt))}</div>
+          ${op.conflict ? `<div class="small" style="color:#b91c1c">⚠ ${escapeHtml(op.conflict.reason)}</div>` : ""}
+        </div>
+        ${
+          op.conflict
+            ? `<div class="row">
+                <button class="btn small" data-sync-action="keep" data-key="${escapeHtml(opKey(op))}">Overwrite server copy</button>
+                <button class="btn ghost small" data-sync-action="discard" data-key="${escapeHtml(opKey(op))}">Discard mine</button>
+              </div>`
+            : ""
+        }
+      </div>`
+    )
+    .join("");
+}
+
+async function openSyncList() {
+  if (!syncModal) return;
+  renderSyncList(await pendingOps());
+  syncModal.style.display = "flex";
+}
+
+async function resolveConflict(key, action) {
+  const op = await idbGet("queue", key);
+  if (!op) return;
+  if (action === "discard") {
+    const ok = await confirmDialog("Discard your queued change? The server copy will be kept.");
+    if (!ok) return;
+    await idbDelete("queue", key);
+  } else {
+    // Base the write on the server copy we now know about
+    await idbPut("queue", key, { ...op, conflict: null, baseUpdatedAt: op.conflict?.serverUpdatedAt || Date.now() });
+  }
+  await updateSyncStatus();
+  if (action !== "discard") flushQueue();
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  window.addEventListener("online", () => {
+    toast("Back online. Syncing...", "info");
+    flushQueue();
+  });
+  window.addEventListener("offline", () => {
+    toast("You are offline. Changes will be kept on this device.", "info");
+    updateSyncStatus();
+  });
+
+  if (statusArea) statusArea.addEventListener("click", openSyncList);
+  if (syncNowBtn) syncNowBtn.addEventListener("click", () => (isOffline() ? toast("Still offline.", "error") : flushQueue()));
+  if (syncList) {
+    syncList.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-sync-action]");
+      if (btn) resolveConflict(btn.dataset.key, btn.dataset.syncAction);
+    });
+  }
+  if (syncModal) {
+    if (closeSync) closeSync.addEventListener("click", () => (syncModal.style.display = "none"));
+    syncModal.addEventListener("click", (ev) => {
+      if (ev.target === syncModal) syncModal.style.display = "none";
+    });
+  }
+
+  // handlers register when assessment-manager.js runs, well before
+  // sign-in completes; replay once someone is signed in
+  updateSyncStatus();
+  onProfile(() => flushQueue());
+})();
+
+export default {
+  isOffline,
+  isNetworkError,
+  queueOp,
+  flushQueue,
+  pendingOps,
+  registerSyncHandler,
+  cacheAssessments,
+  readCachedAssessments,
+  storeLocalImage,
+  localImageUrl
+};
@@ -0,0 +1,749 @@
+// ------------------------------------------------------
+// OMR Module — bubble answer sheets and scanned-sheet grading
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, print-layout.js,
+//               paper-versions.js, grading.js
+// A sheet has one row of bubbles per objective question (numbered as
+// on the printed paper), a candidate-number grid, paper-version
+// bubbles and four square alignment marks. The same `sheetLayout`
+// (millimetres on A4) draws the sheet and tells the reader where to
+// look, so the two cannot drift apart.
+// Reading runs in the browser: the photo is drawn on a canvas,
+// thresholded, the alignment marks located, and every bubble sampled
+// through the perspective transform they give. Faint or doubled marks
+// are left for the teacher on the review screen.
+// ------------------------------------------------------
+
+import { db, collection, addDoc, getDocs, query, where, serverTimestamp } from "../firebase-config.js";
+import { toast, escapeHtml, showLoader, hideLoader } from "./utils.js";
+import { paperOrder, printHtml } from "./print-layout.js";
+import { VERSION_LABELS, versionQuestions, versionRev, responsesFromPaper } from "./paper-versions.js";
+import { saveResult } from "./grading.js";
+
+// Sheet geometry (mm)
+const PAGE = { width: 210, height: 297 };
+const MARKER_SIZE = 7;
+const MARKERS = [
+  { x: 8, y: 8 },
+  { x: 195, y: 8 },
+  { x: 8, y: 282 },
+  { x: 195, y: 282 }
+];
+const BUBBLE_RADIUS = 2.3;
+const BUBBLE_STEP = 6.5;
+const ROW_HEIGHT = 6.5;
+const NUMBER_WIDTH = 9;
+const COLUMN_GAP = 6;
+const QUESTION_AREA = { left: 20, right: 192, top: 118, bottom: 275 };
+const CANDIDATE_DIGITS = 8;
+const CANDIDATE_GRID = { left: 22, top: 58, step: 6, rowStep: 5.5 };
+const VERSION_ROW = { left: 100, top: 58, step: 8 };
+
+// Fill ratios above the sheet's empty-bubble baseline
+const FILLED = 0.45;
+const FAINT = 0.2;
+// Long side of the working canvas (px)
+const WORK_SIZE = 1800;
+
+// Main elements
+const omrModal = document.getElementById("omrModal");
+const closeOmr = document.getElementById("closeOmr");
+const omrTitle = document.getElementById("omrTitle");
+const omrFiles = document.getElementById("omrFiles");
+const omrSheets = document.getElementById("omrSheets");
+const omrSaveBtn = document.getElementById("omrSaveBtn");
+
+// { id, data } of the exam being graded, attempts already on record
+// per candidate, and the sheets read so far
+let omrExam = null;
+let attemptsOnRecord = {};
+let sheets = [];
+
+const letter = (i) => String.fromCharCode(65 + i);
+const optionCountOf = (q) => ((q.type || "mcq") === "truefalse" ? 2 : (q.options || []).length);
+
+// ------------------------------------------------------
+// Layout
+// ------------------------------------------------------
+
+/**
+ * Objective questions in sheet order (printed numbering) for the
+ * master paper or a version.
+ */
+function objectiveQuestions(exam = {}, version = "") {
+  const questions = version ? versionQuestions(exam, version) : exam.questions || [];
+  return paperOrder(questions).filter((i) => i.objective);
+}
+
+/**
+ * Bubble positions for an exam's sheet. Depends only on the number of
+ * objective questions and the widest option list, so every version of
+ * the paper shares one sheet.
+ * @returns {{ optionCount, columns, capacity, questions: { number, bubbles: {letter,x,y}[] }[],
+ *   candidate: {digit,x,y}[][], versions: {label,x,y}[] }}
+ */
+export function sheetLayout(exam = {}) {
+  const objective = objectiveQuestions(exam);
+  const optionCount = Math.min(
+    VERSION_LABELS.length,
+    Math.max(4, ...objective.map(({ q }) => optionCountOf(q)))
+  );
+  const columnWidth = NUMBER_WIDTH + optionCount * BUBBLE_STEP + COLUMN_GAP;
+  const columns = Math.floor((QUESTION_AREA.right - QUESTION_AREA.left) / columnWidth);
+  const rowsPerColumn = Math.floor((QUESTION_AREA.bottom - QUESTION_AREA.top) / ROW_HEIGHT);
+
+  const questions = objective.map((_, i) => {
+    const col = Math.floor(i / rowsPerColumn);
+    const row = i % rowsPerColumn;
+    const x0 = QUESTION_AREA.left + col * columnWidth + NUMBER_WIDTH;
+    const y = QUESTION_AREA.top + row * ROW_HEIGHT + ROW_HEIGHT / 2;
+    return {
+      number: i + 1,
+      bubbles: Array.from({ length: optionCount }, (_, k) => ({ letter: letter(k), x: x0 + k * BUBBLE_STEP + BUBBLE_RADIUS, y }))
+    };
+  });
+
+  const candidate = Array.from({ length: CANDIDATE_DIGITS }, (_, c) =>
+    Array.from({ length: 10 }, (_, d) => ({
+      digit: String(d),
+      x: CANDIDATE_GRID.left + c * CANDIDATE_GRID.step,
+      y: CANDIDATE_GRID.top + d * CANDIDATE_GRID.rowStep
+    }))
+  );
+  const versions = VERSION_LABELS.map((label, i) => ({ label, x: VERSION_ROW.left + i * VERSION_ROW.step, y: VERSION_ROW.top }));
+
+  return { optionCount, columns, capacity: columns * rowsPerColumn, questions, candidate, versions };
+}
+
+// ------------------------------------------------------
+// Printing
+// ------------------------------------------------------
+const SHEET_CSS = `
+  @page { size: A4; margin: 0; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #0f172a; }
+  .sheet { position: relative; width: ${PAGE.width}mm; height: ${PAGE.height}mm; overflow: hidden; }
+  .abs { position: absolute; }
+  /* borders print even when the browser drops backgrounds */
+  .marker { width: 0; height: 0; border: ${MARKER_SIZE / 2}mm solid #000; }
+  .b { width: ${BUBBLE_RADIUS * 2}mm; height: ${BUBBLE_RADIUS * 2}mm; box-sizing: border-box; border: .3mm solid #334155;
+       border-radius: 50%; transform: translate(-50%, -50%); font-size: 2.6mm; color: #94a3b8;
+       display: flex; align-items: center; justify-content: center; }
+  .n { transform: translateY(-50%); font-size: 3.2mm; font-weight: 700; width: ${NUMBER_WIDTH - 1}mm; text-align: right; }
+  .box { border: .3mm solid #0f172a; height: 5mm; transform: translateX(-50%); width: 5mm; top: 50mm; }
+  .label { font-size: 3.2mm; font-weight: 700; }
+  .hint { font-size: 2.9mm; color: #334155; line-height: 1.35; }
+`;
+
+/**
+ * Full HTML document for an exam's bubble sheet.
+ * @param {string[]} [labels] - paper versions to offer (none = master only)
+ */
+export function bubbleSheetHtml(exam = {}, labels = []) {
+  const layout = sheetLayout(exam);
+  const at = (x, y) => `left:${x}mm;top:${y}mm`;
+  const title = [exam.assessmentName, exam.subject, exam.theclass, [exam.term, exam.year].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(" · ");
+
+  const markers = MARKERS.map((m) => `<div class="abs marker" style="${at(m.x, m.y)}"></div>`).join("");
+  const header = `
+    <div class="abs" style="${at(20, 9)};right:20mm;text-align:center">
+      <div style="font-size:5mm;font-weight:700">Orli International Academy</div>
+      <div style="font-size:3.6mm;margin-top:1mm">${escapeHtml(title)} — Answer sheet</div>
+    </div>
+    <div class="abs label" style="${at(20, 30)}">Candidate name: ______________________________________________</div>`;
+
+  const candidate = `
+    <div class="abs label" style="${at(CANDIDATE_GRID.left - 3, 44)}">Candidate number</div>
+    ${layout.candidate.map((col) => `<div class="abs box" style="left:${col[0].x}mm"></div>`).join("")}
+    ${layout.candidate.flat().map((b) => `<div class="abs b" style="${at(b.x, b.y)}">${b.digit}</div>`).join("")}`;
+
+  const versions = labels.length
+    ? `<div class="abs label" style="${at(VERSION_ROW.left - 3, 50)}">Paper version</div>
+       ${layout.versions.filter((v) => labels.includes(v.label)).map((v) => `<div class="abs b" style="${at(v.x, v.y)}">${v.label}</div>`).join("")}`
+    : "";
+
+  const hints = `
+    <div class="abs hint" style="${at(VERSION_ROW.left - 3, 68)};width:90mm">
+      Use a dark pencil or black pen. Fill each bubble completely; do not tick or cross.<br>
+      Write your candidate number in the boxes and fill the matching bubble below each digit.<br>
+      ${labels.length ? "Fill the bubble for the version printed on your question paper.<br>" : ""}
+      To change an answer, erase it completely. Do not fold or mark the black squares.
+    </div>`;
+
+  const questions = layout.questions
+    .map(
+      (row) => `
+      <div class="abs n" style="${at(row.bubbles[0].x - BUBBLE_RADIUS - NUMBER_WIDTH, row.bubbles[0].y)}">${row.number}</div>
+      ${row.bubbles.map((b) => `<div class="abs b" style="${at(b.x, b.y)}">${b.letter}</div>`).join("")}`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(exam.title || "Answer sheet")} — answer sheet</title>
+    <style>${SHEET_CSS}</style>
+  </head>
+  <body><div class="sheet">${markers}${header}${candidate}${versions}${hints}${questions}</div></body>
+</html>`;
+}
+
+export function printBubbleSheet(exam = {}) {
+  const layout = sheetLayout(exam);
+  if (!layout.questions.length) return toast("This assessment has no objective questions for a bubble sheet.", "error");
+  if (layout.questions.length > layout.capacity) {
+    return toast(`A bubble sheet holds ${layout.capacity} questions; this assessment has ${layout.questions.length} objective ones.`, "error");
+  }
+  const labels = VERSION_LABELS.filter((l) => exam.paperVersions?.[l]);
+  printHtml(bubbleSheetHtml(exam, labels));
+}
+
+// ------------------------------------------------------
+// Image processing
+// ------------------------------------------------------
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} is not an image this browser can open.`));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Grayscale copy of an image, scaled so its long side is WORK_SIZE.
+ * @returns {{ canvas, gray: Uint8Array, width, height }}
+ */
+function toGray(img) {
+  const scale = Math.min(1, WORK_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * scale);
+  const height = Math.round(img.naturalHeight * scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return { canvas, gray, width, height };
+}
+
+// Otsu's threshold: the gray level that best splits ink from paper
+function otsuThreshold(gray) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  const total = gray.length;
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (!weightB) continue;
+    const weightF = total - weightB;
+    if (!weightF) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Centre of the largest solid, square dark blob in a region — an
+ * alignment mark. Null when nothing square enough is found.
+ */
+function findMarker(img, threshold, region) {
+  const { gray, width } = img;
+  const { x0, y0, x1, y1 } = region;
+  const seen = new Uint8Array((x1 - x0) * (y1 - y0));
+  const local = (x, y) => (y - y0) * (x1 - x0) + (x - x0);
+  const minSide = width * 0.01;
+  const maxSide = width * 0.08;
+  let best = null;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (seen[local(x, y)] || gray[y * width + x] > threshold) continue;
+      // flood fill one dark component
+      const stack = [x, y];
+      seen[local(x, y)] = 1;
+      let area = 0;
+      let sx = 0;
+      let sy = 0;
+      let minX = x;
+      let maxX = x;
+      let minY = y;
+      let maxY = y;
+      while (stack.length) {
+        const cy = stack.pop();
+        const cx = stack.pop();
+        area++;
+        sx += cx;
+        sy += cy;
+        if (cx < minX) minX = cx;
+        if (cx > maxX) maxX = cx;
+        if (cy < minY) minY = cy;
+        if (cy > maxY) maxY = cy;
+        for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+          if (nx < x0 || nx >= x1 || ny < y0 || ny >= y1) continue;
+          const k = local(nx, ny);
+          if (seen[k] || gray[ny * width + nx] > threshold) continue;
+          seen[k] = 1;
+          stack.push(nx, ny);
+        }
+      }
+      const w = maxX - minX + 1;
+      const h = maxY - minY + 1;
+      const square = w >= minSide && h >= minSide && w <= maxSide && h <= maxSide && w / h > 0.6 && w / h < 1.6;
+      if (square && area / (w * h) > 0.7 && (!best || area > best.area)) {
+        best = { x: sx / area, y: sy / area, area };
+      }
+    }
+  }
+  return best;
+}
+
+function findMarkers(img, threshold) {
+  const { width, height } = img;
+  const rw = Math.round(width * 0.25);
+  const rh = Math.round(height * 0.2);
+  const regions = [
+    { x0: 0, y0: 0, x1: rw, y1: rh },
+    { x0: width - rw, y0: 0, x1: width, y1: rh },
+    { x0: 0, y0: height - rh, x1: rw, y1: height },
+    { x0: width - rw, y0: height - rh, x1: width, y1: height }
+  ];
+  const found = regions.map((r) => findMarker(img, threshold, r));
+  const missing = ["top-left", "top-right", "bottom-left", "bottom-right"].filter((_, i) => !found[i]);
+  if (missing.length) {
+    throw new Error(`Could not find the ${missing.join(", ")} alignment mark${missing.length > 1 ? "s" : ""}. Photograph the whole sheet, flat and upright.`);
+  }
+  return found;
+}
+
+/**
+ * Perspective transform taking `from` points to `to` points (4 each).
+ * @returns {(x: number, y: number) => { x: number, y: number }}
+ */
+function homography(from, to) {
+  const a = [];
+  from.forEach((p, i) => {
+    const { x: u, y: v } = to[i];
+    a.push([p.x, p.y, 1, 0, 0, 0, -u * p.x, -u * p.y, u]);
+    a.push([0, 0, 0, p.x, p.y, 1, -v * p.x, -v * p.y, v]);
+  });
+  // Gaussian elimination with partial pivoting
+  for (let c = 0; c < 8; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < 8; r++) if (Math.abs(a[r][c]) > Math.abs(a[pivot][c])) pivot = r;
+    [a[c], a[pivot]] = [a[pivot], a[c]];
+    if (Math.abs(a[c][c]) < 1e-12) throw new Error("The alignment marks are not in a usable position.");
+    for (let r = 0; r < 8; r++) {
+      if (r === c) continue;
+      const f = a[r][c] / a[c][c];
+      for (let k = c; k < 9; k++) a[r][k] -= f * a[c][k];
+    }
+  }
+  const h = a.map((row, i) => row[8] / row[i]);
+  return (x, y) => {
+    const d = h[6] * x + h[7] * y + 1;
+    return { x: (h[0] * x + h[1] * y + h[2]) / d, y: (h[3] * x + h[4] * y + h[5]) / d };
+  };
+}
+
+// Share of dark pixels inside the middle of a bubble
+function fillRatio(img, threshold, map, b) {
+  const c = map(b.x, b.y);
+  const edge = map(b.x + BUBBLE_RADIUS, b.y);
+  const r = Math.hypot(edge.x - c.x, edge.y - c.y);
+  const inner = r * 0.65;
+  let dark = 0;
+  let count = 0;
+  for (let y = Math.floor(c.y - inner); y <= Math.ceil(c.y + inner); y++) {
+    for (let x = Math.floor(c.x - inner); x <= Math.ceil(c.x + inner); x++) {
+      if (x < 0 || y < 0 || x >= img.width || y >= img.height) continue;
+      if ((x - c.x) ** 2 + (y - c.y) ** 2 > inner * inner) continue;
+      count++;
+      if (img.gray[y * img.width + x] <= threshold) dark++;
+    }
+  }
+  return { cx: c.x, cy: c.y, r, ratio: count ? dark / count : 0 };
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : 0;
+}
+
+/**
+ * Reads one group of bubbles (a question row, a digit column or the
+ * version row). `single` groups allow one mark only.
+ * @returns {{ picked: string[], ambiguous: boolean, suggestion: string[], marks: Object[] }}
+ */
+function classify(marks, baseline, single) {
+  const adj = marks.map((m) => ({ ...m, level: m.ratio - baseline }));
+  const filled = adj.filter((m) => m.level >= FILLED);
+  const faint = adj.filter((m) => m.level >= FAINT && m.level < FILLED);
+  adj.forEach((m) => (m.state = m.level >= FILLED ? "filled" : m.level >= FAINT ? "faint" : "empty"));
+  const darkest = [...adj].sort((a, b) => b.level - a.level)[0];
+  const ambiguous = faint.length > 0 || (single && filled.length > 1);
+  const suggestion = single ? (darkest && darkest.level >= FAINT ? [darkest.value] : []) : filled.map((m) => m.value);
+  return { picked: filled.map((m) => m.value), ambiguous, suggestion, marks: adj };
+}
+
+/**
+ * Reads a photo or scan of a filled sheet.
+ * @returns {Promise<Object>} sheet: { file, candidate, version,
+ *   answers: { number: letters }, flags: [{ kind, number?, reason,
+ *   suggestion, choices }], marks, canvas }
+ */
+export async function readSheet(file, exam = {}) {
+  const img = toGray(await loadImage(file));
+  return { file: file.name, ...readGray(img, exam), canvas: img.canvas };
+}
+
+/**
+ * Reads a grayscale sheet image ({ gray, width, height }).
+ */
+export function readGray(img, exam = {}) {
+  const threshold = otsuThreshold(img.gray);
+  const found = findMarkers(img, threshold);
+  const centre = (m) => ({ x: m.x + MARKER_SIZE / 2, y: m.y + MARKER_SIZE / 2 });
+  const map = homography(MARKERS.map(centre), found);
+  const layout = sheetLayout(exam);
+
+  const measure = (bubbles, valueOf) => bubbles.map((b) => ({ ...fillRatio(img, threshold, map, b), value: valueOf(b) }));
+  const candidateMarks = layout.candidate.map((col) => measure(col, (b) => b.digit));
+  const versionMarks = measure(layout.versions, (b) => b.label);
+  const questionMarks = layout.questions.map((row) => measure(row.bubbles, (b) => b.letter));
+  const baseline = median([...candidateMarks.flat(), ...versionMarks, ...questionMarks.flat()].map((m) => m.ratio));
+
+  const flags = [];
+  const allMarks = [];
+
+  // Paper version first: it decides which question sits on each row
+  const printed = VERSION_LABELS.filter((l) => exam.paperVersions?.[l]);
+  const v = classify(versionMarks, baseline, true);
+  allMarks.push(...v.marks);
+  let version = v.picked.length === 1 && !v.ambiguous ? v.picked[0] : "";
+  if (v.ambiguous) flags.push({ kind: "version", reason: "Unclear version mark", suggestion: v.suggestion.join(""), choices: ["", ...printed] });
+  else if (version && !printed.includes(version)) {
+    flags.push({ kind: "version", reason: `Version ${version} was never printed`, suggestion: "", choices: ["", ...printed] });
+    version = "";
+  } else if (!version && printed.length) {
+    // a blank version row on a shuffled paper would be graded as master
+    flags.push({ kind: "version", reason: "No paper version marked", suggestion: "", choices: ["", ...printed] });
+  }
+
+  // Candidate number: one digit per column, read until the first blank column
+  let candidate = "";
+  let ended = false;
+  candidateMarks.forEach((col, c) => {
+    const d = classify(col, baseline, true);
+    allMarks.push(...d.marks);
+    if (!d.picked.length && !d.ambiguous) {
+      ended = true;
+      return;
+    }
+    if (ended || d.ambiguous) {
+      flags.push({ kind: "candidate", number: c + 1, reason: ended ? "Digit after a blank column" : "Unclear digit" });
+      candidate += d.suggestion[0] ?? "?";
+      return;
+    }
+    candidate += d.picked[0];
+  });
+
+  const objective = objectiveQuestions(exam, version);
+  const answers = {};
+  questionMarks.forEach((row, i) => {
+    const q = objective[i]?.q;
+    const isMulti = q && (q.type || "mcq") === "multi";
+    const optionCount = q ? optionCountOf(q) : layout.optionCount;
+    const r = classify(row, baseline, !isMulti);
+    allMarks.push(...r.marks);
+    const outside = r.picked.filter((l) => l.charCodeAt(0) - 65 >= optionCount);
+    const number = i + 1;
+    if (r.ambiguous || outside.length) {
+      flags.push({
+        kind: "question",
+        number,
+        reason: outside.length ? `Mark on ${outside.join(", ")}, which this question does not have` : isMulti ? "Faint mark" : r.picked.length > 1 ? "More than one mark" : "Faint mark",
+        suggestion: r.suggestion.filter((l) => !outside.includes(l)).join(","),
+        choices: ["", ...Array.from({ length: optionCount }, (_, k) => letter(k))],
+        multi: isMulti
+      });
+    } else if (r.picked.length) {
+      answers[number] = r.picked.join(",");
+    }
+  });
+
+  return { candidate, version, answers, flags, marks: allMarks };
+}
+
+// ------------------------------------------------------
+// Review screen
+// ------------------------------------------------------
+function overlay(sheet) {
+  const { canvas, marks } = sheet;
+  const view = document.createElement("canvas");
+  const scale = 320 / canvas.width;
+  view.width = 320;
+  view.height = Math.round(canvas.height * scale);
+  const ctx = view.getContext("2d");
+  ctx.drawImage(canvas, 0, 0, view.width, view.height);
+  ctx.lineWidth = 2;
+  marks.forEach((m) => {
+    if (m.state === "empty") return;
+    ctx.strokeStyle = m.state === "filled" ? "#16a34a" : "#f59e0b";
+    ctx.beginPath();
+    ctx.arc(m.cx * scale, m.cy * scale, Math.max(3, m.r * scale), 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  view.style.cssText = "width:320px;border:1px solid #e6eefc;border-radius:6px";
+  return view;
+}
+
+function flagControl(flag, s, f) {
+  if (flag.kind === "candidate") return "";
+  if (flag.multi) {
+    return `<input type="text" class="omrFix" data-sheet="${s}" data-flag="${f}" style="width:90px"
+      placeholder="A,C or - for blank" value="${escapeHtml(flag.resolved ?? "")}">`;
+  }
+  return `
+    <select class="omrFix" data-sheet="${s}" data-flag="${f}" style="width:auto">
+      <option value="" ${flag.resolved === undefined ? "selected" : ""} disabled>Choose…</option>
+      ${flag.choices
+        .map((c) => `<option value="${c || "-"}" ${flag.resolved === (c || "-") ? "selected" : ""}>${c ? (flag.kind === "version" ? `Version ${c}` : c) : flag.kind === "version" ? "Master paper" : "Leave blank"}</option>`)
+        .join("")}
+    </select>`;
+}
+
+function renderSheets() {
+  if (!sheets.length) {
+    omrSheets.innerHTML = `<div class="small">No sheets read yet.</div>`;
+    omrSaveBtn.disabled = true;
+    return;
+  }
+  const counts = {};
+  sheets.forEach((s) => s.candidate && (counts[s.candidate] = (counts[s.candidate] || 0) + 1));
+
+  omrSheets.innerHTML = "";
+  sheets.forEach((sheet, s) => {
+    const card = document.createElement("div");
+    card.className = "row";
+    card.style.cssText = "align-items:flex-start;border:1px solid #e6eefc;border-radius:8px;padding:10px;margin-top:10px";
+    if (sheet.error) {
+      card.innerHTML = `<div><strong>${escapeHtml(sheet.file)}</strong><div class="small" style="color:#b91c1c">${escapeHtml(sheet.error)}</div></div>`;
+      omrSheets.appendChild(card);
+      return;
+    }
+    card.appendChild(overlay(sheet));
+    const side = document.createElement("div");
+    side.style.cssText = "flex:1;min-width:240px";
+    const duplicate = sheet.candidate && counts[sheet.candidate] > 1;
+    const previous = (!sheet.saved && attemptsOnRecord[sheet.candidate]) || 0;
+    side.innerHTML = `
+      <div><strong>${escapeHtml(sheet.file)}</strong>${sheet.saved ? ` <span class="small">— saved: ${escapeHtml(sheet.saved)}</span>` : ""}</div>
+      <div class="row" style="margin-top:8px;gap:8px">
+        <label class="small">Candidate no.
+          <input type="text" class="omrCandidate" data-sheet="${s}" value="${escapeHtml(sheet.candidate)}" style="width:120px">
+        </label>
+        <label class="small">Name
+          <input type="text" class="omrName" data-sheet="${s}" value="${escapeHtml(sheet.name || "")}" style="width:180px">
+        </label>
+        <span class="small">Version: ${escapeHtml(sheet.version || "master")}</span>
+      </div>
+      ${duplicate ? `<div class="small" style="color:#b91c1c;margin-top:4px">Another sheet has the same candidate number.</div>` : ""}
+      ${previous ? `<div class="small" style="color:#b91c1c;margin-top:4px">Candidate already has ${previous} result(s); saving adds attempt ${previous + 1}.</div>` : ""}
+      <div class="small" style="margin-top:6px">${Object.keys(sheet.answers).length} answer(s) read · green = filled, amber = unclear</div>
+      ${
+        sheet.flags.length
+          ? `<table style="margin-top:6px"><tbody>${sheet.flags
+              .map(
+                (flag, f) => `
+            <tr>
+              <td>${flag.kind === "question" ? `Q${flag.number}` : flag.kind === "candidate" ? `Digit ${flag.number}` : "Version"}</td>
+              <td class="small">${escapeHtml(flag.reason)}${flag.suggestion ? ` (looks like ${escapeHtml(flag.suggestion)})` : ""}</td>
+              <td>${flagControl(flag, s, f)}</td>
+            </tr>`
+              )
+              .join("")}</tbody></table>`
+          : `<div class="small" style="margin-top:6px">No unclear marks.</div>`
+      }`;
+    card.appendChild(side);
+    omrSheets.appendChild(card);
+  });
+  omrSaveBtn.disabled = !sheets.some((s) => !s.error && !s.saved);
+}
+
+async function onFiles() {
+  const files = Array.from(omrFiles.files || []);
+  if (!files.length || !omrExam) return;
+  showLoader("global", "Reading sheets...");
+  try {
+    for (const file of files) {
+      try {
+        sheets.push(await readSheet(file, omrExam.data));
+      } catch (err) {
+        console.error("readSheet:", err);
+        sheets.push({ file: file.name, error: err.message || String(err) });
+      }
+    }
+  } finally {
+    hideLoader("global");
+    omrFiles.value = "";
+  }
+  renderSheets();
+}
+
+// Answers and version after the teacher's choices ("-" = blank);
+// null while a choice is still open. Candidate digits are fixed in
+// the candidate number box instead.
+function resolved(sheet) {
+  let version = sheet.version;
+  const answers = { ...sheet.answers };
+  for (const flag of sheet.flags) {
+    if (flag.kind === "candidate") continue;
+    if (!flag.resolved) return null;
+    const value = flag.resolved === "-" ? "" : flag.resolved.toUpperCase();
+    if (flag.kind === "version") version = value;
+    else if (value) answers[flag.number] = value;
+  }
+  return { version, answers };
+}
+
+// Answers by number on the master paper, keyed by question id
+function masterResponses(exam, answers) {
+  const objective = objectiveQuestions(exam);
+  const out = {};
+  Object.entries(answers).forEach(([n, a]) => {
+    const q = objective[Number(n) - 1]?.q;
+    if (q) out[q.id] = a;
+  });
+  return out;
+}
+
+async function onSave() {
+  const { id, data } = omrExam;
+  const pending = sheets.filter((s) => !s.error && !s.saved);
+  const problems = [];
+  pending.forEach((s) => {
+    if (!/^\d+$/.test(s.candidate || "")) problems.push(`${s.file}: enter the candidate number`);
+    else if (!resolved(s)) problems.push(`${s.file}: choose an answer for every unclear mark`);
+  });
+  if (problems.length) {
+    toast(problems.slice(0, 3).join(" · "), "error");
+    return;
+  }
+
+  showLoader("global", "Saving results...");
+  let saved = 0;
+  try {
+    for (const sheet of pending) {
+      const { version, answers } = resolved(sheet);
+      const responses = version ? responsesFromPaper(data, version, answers) : masterResponses(data, answers);
+      const attempt = (attemptsOnRecord[sheet.candidate] || 0) + 1;
+      const submission = {
+        examId: id,
+        examTitle: data.title || "",
+        year: data.year || "",
+        term: data.term || "",
+        theclass: data.theclass || "",
+        subject: data.subject || "",
+        assessmentName: data.assessmentName || "",
+        studentName: sheet.name || "",
+        studentId: sheet.candidate,
+        responses,
+        paperVersion: version,
+        ...(version ? { paperVersionRev: versionRev(data.paperVersions?.[version]) } : {}),
+        source: "omr",
+        sourceFile: sheet.file,
+        attempt,
+        submittedAt: serverTimestamp()
+      };
+      const ref = await addDoc(collection(db, "submissions"), submission);
+      const result = await saveResult(id, data, ref.id, submission);
+      attemptsOnRecord[sheet.candidate] = attempt;
+      sheet.saved = `${result.score}/${result.total} (${result.grade})`;
+      saved++;
+    }
+    toast(`Saved ${saved} result(s).`, "success");
+  } catch (err) {
+    console.error("omr save:", err);
+    toast(`Saved ${saved} result(s), then failed: ${err.message || err}`, "error");
+  } finally {
+    hideLoader("global");
+    renderSheets();
+  }
+}
+
+async function openOmr(id, data = {}) {
+  if (!omrModal || !id) return;
+  omrExam = { id, data };
+  attemptsOnRecord = {};
+  sheets = [];
+  omrTitle.textContent = data.title || id;
+  renderSheets();
+  omrModal.style.display = "flex";
+  try {
+    const snap = await getDocs(query(collection(db, "submissions"), where("examId", "==", id)));
+    snap.forEach((d) => {
+      const sid = d.data().studentId;
+      if (sid) attemptsOnRecord[sid] = Math.max(attemptsOnRecord[sid] || 0, Number(d.data().attempt) || 1);
+    });
+  } catch (err) {
+    console.error("openOmr:", err);
+  }
+  if (sheets.length) renderSheets();
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!omrModal) return;
+
+  // "Grade scanned sheets" in the preview of a saved assessment
+  window.addEventListener("assessment:omr", (e) => openOmr(e.detail?.id, e.detail?.data));
+  omrFiles.addEventListener("change", onFiles);
+  omrSaveBtn.addEventListener("click", onSave);
+
+  omrSheets.addEventListener("change", (e) => {
+    const s = Number(e.target.dataset.sheet);
+    const sheet = sheets[s];
+    if (!sheet) return;
+    if (e.target.classList.contains("omrFix")) sheet.flags[Number(e.target.dataset.flag)].resolved = e.target.value.trim();
+    if (e.target.classList.contains("omrCandidate")) {
+      sheet.candidate = e.target.value.trim();
+      renderSheets();
+    }
+    if (e.target.classList.contains("omrName")) sheet.name = e.target.value.trim();
+  });
+
+  if (closeOmr) closeOmr.addEventListener("click", () => (omrModal.style.display = "none"));
+  omrModal.addEventListener("click", (ev) => {
+    if (ev.target === omrModal) omrModal.style.display = "none";
+  });
+})();
+
+export default { sheetLayout, bubbleSheetHtml, printBubbleSheet, readSheet, readGray };
@@ -0,0 +1,184 @@
+// ------------------------------------------------------
+// Paper Versions Module — A/B/C versions of a printed exam
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, randomize.js, print-layout.js,
+//               question-types.js
+// Each version shuffles question and option order (locked options stay
+// put) and is recorded on the exam so answers written on any version
+// can be graded later, even after the exam is edited:
+//   paperVersions: {
+//     B: { questionIds: [...printed order], optionMaps: { qid: [...] }, rev, createdAt }
+//   }
+// optionMaps follow randomize.js: map[printedIndex] = original index.
+// A layout is never changed once printed: regenerating one moves the
+// old layout to paperVersionHistory["B@<rev>"] and bumps rev, and paper
+// submissions keep the `paperVersionRev` they were written on. Layouts
+// without rev predate it and count as rev 1.
+// ------------------------------------------------------
+
+import { db, doc, updateDoc } from "../firebase-config.js";
+import { buildVariant, applyLayout, toOriginalResponses } from "./randomize.js";
+import { paperOrder } from "./print-layout.js";
+import { getType } from "./question-types.js";
+
+export const VERSION_LABELS = ["A", "B", "C", "D", "E", "F"];
+
+/**
+ * First `count` version labels ("A", "B", …).
+ */
+export function versionLabels(count = 3) {
+  return VERSION_LABELS.slice(0, Math.min(Math.max(1, count), VERSION_LABELS.length));
+}
+
+/**
+ * A fresh layout for version `label`, seeded from the exam id so the
+ * same exam always gives the same versions.
+ */
+export function generateVersion(examId, exam = {}, label = "A", rev = 1) {
+  const variant = buildVariant(exam, `${examId}:paper:${label}`, { shuffleQuestions: true, shuffleOptions: true });
+  return {
+    questionIds: paperOrder(variant.questions).map((i) => i.q.id),
+    optionMaps: variant.optionMaps,
+    rev,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Revision of a stored layout (1 for layouts saved before revisions).
+ */
+export function versionRev(version) {
+  return Number(version?.rev) || 1;
+}
+
+/**
+ * True when a stored version still covers exactly the exam's
+ * questions with the same number of options each.
+ */
+export function versionMatches(exam = {}, version) {
+  if (!version?.questionIds) return false;
+  const questions = exam.questions || [];
+  const ids = new Set(version.questionIds);
+  if (ids.size !== questions.length || !questions.every((q) => ids.has(q.id))) return false;
+  return questions.every((q) => {
+    const map = version.optionMaps?.[q.id];
+    return !map || map.length === (q.options || []).length;
+  });
+}
+
+/**
+ * Questions of a version in printed order, with options and answer
+ * keys remapped.
+ */
+export function versionQuestions(exam = {}, label = "A") {
+  const version = exam.paperVersions?.[label];
+  if (!version) return [];
+  return applyLayout(exam, version.questionIds, version.optionMaps || {});
+}
+
+/**
+ * Makes sure the exam has current layouts for `labels`, writing new
+ * ones to exams/{examId}. Replaced layouts are kept in
+ * paperVersionHistory. Returns the labels that were (re)generated;
+ * `exam.paperVersions` and `exam.paperVersionHistory` are updated in
+ * place.
+ */
+export async function ensurePaperVersions(examId, exam = {}, labels = versionLabels()) {
+  const stored = exam.paperVersions || {};
+  const stale = labels.filter((l) => !versionMatches(exam, stored[l]));
+  if (!stale.length) return [];
+
+  const next = { ...stored };
+  const history = { ...(exam.paperVersionHistory || {}) };
+  stale.forEach((l) => {
+    const old = stored[l];
+    if (old) history[`${l}@${versionRev(old)}`] = old;
+    next[l] = generateVersion(examId, exam, l, old ? versionRev(old) + 1 : 1);
+  });
+  // updatedAt is left alone: versions are not a content change, and a
+  // queued offline save must not see them as a conflict
+  await updateDoc(doc(db, "exams", examId), { paperVersions: next, paperVersionHistory: history });
+  exam.paperVersions = next;
+  exam.paperVersionHistory = history;
+  return stale;
+}
+
+/**
+ * The layout a paper submission was written on: the current one for
+ * its label, or the replaced one from paperVersionHistory.
+ */
+export function submissionLayout(exam = {}, submission = {}) {
+  const label = submission.paperVersion;
+  if (!label) return null;
+  const rev = versionRev({ rev: submission.paperVersionRev });
+  const current = exam.paperVersions?.[label];
+  if (current && versionRev(current) === rev) return current;
+  return exam.paperVersionHistory?.[`${label}@${rev}`] || null;
+}
+
+/**
+ * Answer-key rows for the combined table: one per printed question
+ * number, with each version's key and its number on the master paper.
+ * @returns {{ number: number, cells: Object<string, { key: string, masterNumber: number, objective: boolean }> }[]}
+ */
+export function answerKeyRows(exam = {}, labels = versionLabels()) {
+  const masterNumber = new Map(paperOrder(exam.questions || []).map((i) => [i.q.id, i.number]));
+  const byLabel = labels.map((l) => [l, versionQuestions(exam, l)]);
+  const count = Math.max(0, ...byLabel.map(([, qs]) => qs.length));
+  return Array.from({ length: count }, (_, i) => {
+    const cells = {};
+    byLabel.forEach(([label, qs]) => {
+      const q = qs[i];
+      if (!q) return;
+      const type = getType(q.type);
+      cells[label] = { key: type.objective ? type.keyOf(q) : "", masterNumber: masterNumber.get(q.id), objective: !!type.objective };
+    });
+    return { number: i + 1, cells };
+  });
+}
+
+// ------------------------------------------------------
+// Responses written on a version
+// ------------------------------------------------------
+
+/**
+ * Turns answers by printed question number (1-based) on version
+ * `label` into a responses map keyed by question id, still in that
+ * version's option letters. Store it with `paperVersion: label` and
+ * `paperVersionRev: versionRev(exam.paperVersions[label])`.
+ */
+export function responsesFromPaper(exam = {}, label = "A", answersByNumber = {}) {
+  const ids = exam.paperVersions?.[label]?.questionIds;
+  if (!ids) throw new Error(`Version ${label} has not been printed for this assessment.`);
+  const out = {};
+  Object.entries(answersByNumber).forEach(([n, response]) => {
+    const id = ids[Number(n) - 1];
+    if (id && response !== null && response !== undefined && response !== "") out[id] = response;
+  });
+  return out;
+}
+
+/**
+ * Responses of a submission in the exam's own option letters: paper
+ * submissions (`paperVersion`) are mapped back through the layout
+ * they were written on.
+ */
+export function toExamResponses(exam = {}, submission = {}) {
+  const responses = submission.responses || {};
+  const version = submissionLayout(exam, submission);
+  return version ? toOriginalResponses(version, responses) : responses;
+}
+
+export default {
+  VERSION_LABELS,
+  versionLabels,
+  generateVersion,
+  versionRev,
+  versionMatches,
+  versionQuestions,
+  ensurePaperVersions,
+  answerKeyRows,
+  submissionLayout,
+  responsesFromPaper,
+  toExamResponses
+};
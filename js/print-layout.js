@@ -0,0 +1,325 @@
+// ------------------------------------------------------
+// Print Layout Module — exam papers and marking schemes
+// ------------------------------------------------------
+// Dependencies: utils.js, question-types.js, schedule.js
+// Builds print-ready pages in a new window:
+//   paper   — school header, candidate boxes, time and instructions,
+//             objective questions in two columns, then the rest
+//   scheme  — the key and marks per question, for markers only
+//   key     — answer letters of every paper version side by side
+//             (paper-versions.js)
+// Math is rendered with KaTeX before the page is written, so the print
+// window only needs the KaTeX stylesheet. Page numbers come from
+// @page margin boxes, which need Chrome or Edge 131 or later; other
+// browsers print without them, and the print window says so.
+// ------------------------------------------------------
+
+import { escapeHtml, htmlToPlainText, renderMixedText, toast } from "./utils.js";
+import { getType } from "./question-types.js";
+import { scheduleOf } from "./schedule.js";
+
+const SCHOOL_NAME = "Orli International Academy";
+const KATEX_CSS = "https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css";
+const CANDIDATE_DIGITS = 8;
+
+const STANDARD_INSTRUCTIONS = [
+  "Write your name and candidate number in the boxes above.",
+  "Answer all questions.",
+  "For objective questions, circle the letter of the correct option.",
+  "Write your answers to the other questions in the spaces provided."
+];
+
+const PAPER_CSS = `
+  @page {
+    size: A4;
+    margin: 16mm 14mm 18mm;
+    @bottom-center { content: "Page " counter(page) " of " counter(pages); font: 10pt Arial, sans-serif; color: #475569; }
+  }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11.5pt; color: #0f172a; margin: 0; }
+  .paper-head { display: flex; align-items: center; gap: 14px; border-bottom: 2px solid #0f172a; padding-bottom: 10px; }
+  .paper-head img { height: 64px; width: 64px; object-fit: contain; }
+  .paper-head .school { font-size: 16pt; font-weight: 700; letter-spacing: .02em; }
+  .paper-head .title { font-size: 13pt; font-weight: 700; margin-top: 2px; }
+  .paper-head .meta { color: #334155; margin-top: 2px; }
+  .paper-head .facts { margin-left: auto; text-align: right; white-space: nowrap; }
+  .candidate { display: flex; gap: 18px; align-items: flex-end; margin: 12px 0; break-inside: avoid; }
+  .candidate .field { display: flex; flex-direction: column; gap: 4px; font-size: 10pt; }
+  .candidate .line { border: 1px solid #0f172a; height: 26px; min-width: 260px; }
+  .candidate .digits { display: flex; }
+  .candidate .digits span { border: 1px solid #0f172a; width: 22px; height: 26px; margin-left: -1px; }
+  .instructions { border: 1px solid #cbd5e1; border-radius: 4px; padding: 6px 12px; margin-bottom: 12px; break-inside: avoid; }
+  .instructions h3 { margin: 4px 0; font-size: 11pt; }
+  .instructions ol { margin: 4px 0; padding-left: 20px; }
+  h2.section { font-size: 12pt; margin: 14px 0 6px; border-bottom: 1px solid #cbd5e1; padding-bottom: 3px; }
+  .two-col { column-count: 2; column-gap: 8mm; column-rule: 1px solid #e2e8f0; }
+  .q { break-inside: avoid; page-break-inside: avoid; margin: 0 0 10px; }
+  .q-head { display: flex; gap: 6px; align-items: baseline; }
+  .q-num { font-weight: 700; min-width: 22px; }
+  .q-text { flex: 1; line-height: 1.4; }
+  .q-marks { white-space: nowrap; color: #334155; font-size: 10pt; }
+  .q img { max-width: 100%; max-height: 60mm; display: block; margin: 6px 0 0 28px; }
+  .q-lines { margin: 4px 0 0 28px; line-height: 1.5; }
+  .q-lines.grid { display: grid; grid-template-columns: 1fr 1fr; column-gap: 10px; }
+  .end { text-align: center; margin-top: 18px; font-weight: 700; letter-spacing: .1em; }
+  .print-note { background: #fef9c3; color: #854d0e; padding: 8px 12px; margin-bottom: 12px; font-size: 10.5pt; }
+  @media print { .print-note { display: none; } }
+  table.scheme { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  table.scheme th, table.scheme td { border: 1px solid #94a3b8; padding: 5px 8px; text-align: left; vertical-align: top; }
+  table.scheme tr { break-inside: avoid; }
+  table.scheme td.marks, table.scheme th.marks { width: 60px; text-align: center; }
+  .version { font-size: 18pt; font-weight: 700; border: 2px solid #0f172a; padding: 2px 10px; display: inline-block; margin-bottom: 4px; }
+  table.scheme td.key { text-align: center; }
+  table.scheme .orig { color: #64748b; font-size: 9pt; }
+  .confidential { color: #b91c1c; font-weight: 700; font-size: 10pt; text-transform: uppercase; letter-spacing: .08em; }
+`;
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+const math = (s, q) => renderMixedText(htmlToPlainText(s || ""), { shorthand: !!q?.mathShorthand });
+
+function marksOf(q) {
+  return Number(q.marks) || 1;
+}
+
+function formatDuration(minutes) {
+  if (!minutes) return "";
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  const parts = [];
+  if (h) parts.push(h === 1 ? "1 hour" : `${h} hours`);
+  if (m) parts.push(m === 1 ? "1 minute" : `${m} minutes`);
+  return parts.join(" ");
+}
+
+/**
+ * Questions in the order they are printed: objective ones first (they
+ * share the two-column section), then the rest, numbered 1..n. The
+ * paper and its marking scheme both use this numbering.
+ * @returns {{ number: number, q: Object, objective: boolean }[]}
+ */
+export function paperOrder(questions = []) {
+  const items = questions.map((q) => ({ q, objective: !!getType(q.type).objective }));
+  return [...items.filter((i) => i.objective), ...items.filter((i) => !i.objective)].map((item, i) => ({
+    ...item,
+    number: i + 1
+  }));
+}
+
+function headerHtml(meta = {}, questions = [], subtitle = "") {
+  const logo = new URL("logo.png", document.baseURI).href;
+  const title = [meta.assessmentName, meta.subject].filter(Boolean).join(" — ") || meta.title || "Assessment";
+  const line = [meta.theclass || meta.class, [meta.term, meta.year].filter(Boolean).join(" ")].filter(Boolean).join(" · ");
+  const duration = formatDuration(scheduleOf(meta).durationMinutes);
+  const total = questions.reduce((sum, q) => sum + marksOf(q), 0);
+  return `
+    <div class="paper-head">
+      <img src="${escapeHtml(logo)}" alt="" onerror="this.style.display='none'">
+      <div>
+        <div class="school">${escapeHtml(SCHOOL_NAME)}</div>
+        <div class="title">${escapeHtml(title)}</div>
+        ${line ? `<div class="meta">${escapeHtml(line)}</div>` : ""}
+        ${subtitle ? `<div class="meta">${subtitle}</div>` : ""}
+      </div>
+      <div class="facts">
+        ${meta.version ? `<div class="version">Version ${escapeHtml(meta.version)}</div>` : ""}
+        ${duration ? `<div><strong>Time allowed:</strong> ${escapeHtml(duration)}</div>` : ""}
+        <div><strong>Total:</strong> ${total} mark${total === 1 ? "" : "s"}</div>
+        <div><strong>Questions:</strong> ${questions.length}</div>
+      </div>
+    </div>`;
+}
+
+function candidateHtml() {
+  const digits = Array.from({ length: CANDIDATE_DIGITS }, () => "<span></span>").join("");
+  return `
+    <div class="candidate">
+      <div class="field" style="flex:1">Candidate name<div class="line"></div></div>
+      <div class="field">Candidate number<div class="digits">${digits}</div></div>
+    </div>`;
+}
+
+function instructionsHtml(meta = {}) {
+  const own = String(meta.instructions || "")
+    .split(/\r?\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const list = own.length ? own : STANDARD_INSTRUCTIONS;
+  return `
+    <div class="instructions">
+      <h3>Instructions</h3>
+      <ol>${list.map((s) => `<li>${escapeHtml(s)}</li>`).join("")}</ol>
+    </div>`;
+}
+
+// `seedKey` (the exam id) fixes the printed order of ordering items
+function questionHtml({ q, number }, seedKey = "") {
+  const lines = getType(q.type).printLines(q, seedKey);
+  // short options sit side by side; long ones get a row each
+  const grid = getType(q.type).objective && lines.every((l) => htmlToPlainText(l).length <= 28);
+  const marks = marksOf(q);
+  return `
+    <div class="q">
+      <div class="q-head">
+        <span class="q-num">${number}.</span>
+        <div class="q-text">${math(q.question, q)}</div>
+        <span class="q-marks">[${marks} mark${marks === 1 ? "" : "s"}]</span>
+      </div>
+      ${q.imageUrl ? `<img src="${escapeHtml(q.imageUrl)}" alt="">` : ""}
+      <div class="q-lines${grid ? " grid" : ""}">${lines.map((l) => `<div>${math(l, q)}</div>`).join("")}</div>
+    </div>`;
+}
+
+function pageHtml(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${KATEX_CSS}">
+    <style>${PAPER_CSS}</style>
+  </head>
+  <body>${body}</body>
+</html>`;
+}
+
+// ------------------------------------------------------
+// Documents
+// ------------------------------------------------------
+
+/**
+ * Full HTML document for the question paper.
+ * @param {Object[]} questions
+ * @param {Object} meta - exam fields (subject, theclass, term, year,
+ *   assessmentName, durationMinutes, instructions); `version` labels
+ *   the header of a paper version; `examId` seeds the printed order of
+ *   ordering items
+ */
+export function paperHtml(questions = [], meta = {}) {
+  const ordered = paperOrder(questions);
+  const objective = ordered.filter((i) => i.objective);
+  const written = ordered.filter((i) => !i.objective);
+  const sectioned = objective.length && written.length;
+
+  const body = `
+    ${headerHtml(meta, questions)}
+    ${candidateHtml()}
+    ${instructionsHtml(meta)}
+    ${objective.length ? `${sectioned ? `<h2 class="section">Section A — Objective questions</h2>` : ""}
+      <div class="two-col">${objective.map((i) => questionHtml(i, meta.examId)).join("")}</div>` : ""}
+    ${written.length ? `${sectioned ? `<h2 class="section">Section B</h2>` : ""}
+      ${written.map((i) => questionHtml(i, meta.examId)).join("")}` : ""}
+    <div class="end">— END OF PAPER —</div>`;
+  return pageHtml([meta.title || "Question paper", meta.version && `Version ${meta.version}`].filter(Boolean).join(" — "), body);
+}
+
+/**
+ * Full HTML document for the marking scheme, numbered like the paper.
+ */
+export function markingSchemeHtml(questions = [], meta = {}) {
+  const ordered = paperOrder(questions);
+  const total = questions.reduce((sum, q) => sum + marksOf(q), 0);
+  const rows = ordered
+    .map(({ q, number }) => {
+      const type = getType(q.type);
+      return `
+        <tr>
+          <td>${number}</td>
+          <td>${escapeHtml(type.label)}</td>
+          <td>${type.schemeLines(q).map((l) => `<div>${math(l, q)}</div>`).join("")}</td>
+          <td class="marks">${marksOf(q)}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const body = `
+    ${headerHtml(meta, questions, `<span class="confidential">Marking scheme — confidential</span>`)}
+    <table class="scheme">
+      <thead><tr><th>No.</th><th>Type</th><th>Answer</th><th class="marks">Marks</th></tr></thead>
+      <tbody>${rows}</tbody>
+      <tfoot><tr><th colspan="3" style="text-align:right">Total</th><th class="marks">${total}</th></tr></tfoot>
+    </table>`;
+  return pageHtml(`${meta.title || "Assessment"} — marking scheme`, body);
+}
+
+/**
+ * Full HTML document for the combined answer key of paper versions.
+ * @param {string[]} labels - e.g. ["A", "B", "C"]
+ * @param {{ number, cells }[]} rows - paper-versions.js answerKeyRows
+ */
+export function answerKeyHtml(questions = [], meta = {}, labels = [], rows = []) {
+  const cell = (c) => {
+    if (!c) return `<td class="key">—</td>`;
+    const orig = `<div class="orig">master Q${c.masterNumber}</div>`;
+    return `<td class="key">${c.objective ? `<strong>${escapeHtml(c.key || "?")}</strong>` : `<span class="orig">written</span>`}${orig}</td>`;
+  };
+  const body = `
+    ${headerHtml(meta, questions, `<span class="confidential">Answer key — versions ${escapeHtml(labels.join(", "))} — confidential</span>`)}
+    <table class="scheme">
+      <thead><tr><th>No.</th>${labels.map((l) => `<th class="key">Version ${escapeHtml(l)}</th>`).join("")}</tr></thead>
+      <tbody>${rows.map((r) => `<tr><td>${r.number}</td>${labels.map((l) => cell(r.cells[l])).join("")}</tr>`).join("")}</tbody>
+    </table>
+    <p class="meta">Written questions are marked with the marking scheme of the master paper, using the question number shown.</p>`;
+  return pageHtml(`${meta.title || "Assessment"} — answer key`, body);
+}
+
+// ------------------------------------------------------
+// Printing
+// ------------------------------------------------------
+
+// Browsers with @page margin boxes expose CSSMarginRule
+const PAGE_NUMBER_NOTE =
+  "This browser prints without page numbers. Use Chrome or Edge 131 or later for numbered pages.";
+
+/**
+ * Writes `html` into a new window and prints it once the stylesheet,
+ * images and KaTeX fonts have loaded.
+ */
+export function printHtml(html) {
+  // no "noopener": it makes window.open return null
+  const w = window.open("", "_blank");
+  if (!w) {
+    toast("Popup blocked. Allow popups to print.", "error");
+    return;
+  }
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  if (!("CSSMarginRule" in w)) {
+    w.document.body.insertAdjacentHTML("afterbegin", `<div class="print-note">${escapeHtml(PAGE_NUMBER_NOTE)}</div>`);
+    toast(PAGE_NUMBER_NOTE, "info");
+  }
+  w.addEventListener("load", () => {
+    const fonts = w.document.fonts ? w.document.fonts.ready : Promise.resolve();
+    fonts.then(() => {
+      w.focus();
+      w.print();
+    });
+  });
+}
+
+export function printPaper(questions = [], meta = {}) {
+  if (!questions.length) return toast("There are no questions to print.", "error");
+  printHtml(paperHtml(questions, meta));
+}
+
+export function printMarkingScheme(questions = [], meta = {}) {
+  if (!questions.length) return toast("There are no questions to print.", "error");
+  printHtml(markingSchemeHtml(questions, meta));
+}
+
+export function printAnswerKey(questions = [], meta = {}, labels = [], rows = []) {
+  if (!rows.length) return toast("There are no questions to print.", "error");
+  printHtml(answerKeyHtml(questions, meta, labels, rows));
+}
+
+export default {
+  paperOrder,
+  paperHtml,
+  markingSchemeHtml,
+  answerKeyHtml,
+  printHtml,
+  printPaper,
+  printMarkingScheme,
+  printAnswerKey
+};
@@ -0,0 +1,371 @@
+// ------------------------------------------------------
+// Question Bank Module — shared, tagged questions
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-editor.js,
+//               question-types.js, assessment-manager.js, auth.js,
+//               workflow.js
+// Bank questions live in "questionBank", tagged with subject,
+// class (theclass), topic and difficulty. Questions added to the
+// editor from the bank keep a `bankId` so later bank edits can be
+// pushed to the assessments that use them.
+// ------------------------------------------------------
+
+import {
+  db,
+  collection,
+  addDoc,
+  getDocs,
+  updateDoc,
+  doc,
+  query,
+  where,
+  serverTimestamp
+} from "../firebase-config.js";
+
+import {
+  toast,
+  showLoader,
+  hideLoader,
+  escapeHtml,
+  htmlToPlainText,
+  renderMixedText,
+  debounce,
+  uid,
+  deepClone
+} from "./utils.js";
+
+import { addQuestion, linkQuestionToBank } from "./question-editor.js";
+import { getType } from "./question-types.js";
+import { writeAssessment, fetchVisibleExams } from "./assessment-manager.js";
+import { currentProfile, onProfile, canModifyExam } from "./auth.js";
+import { STAGES, stageOf } from "./workflow.js";
+
+const BANK_COLLECTION = "questionBank";
+export const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+// Main elements
+const subjectSelect = document.getElementById("subjectSelect");
+const classSelect = document.getElementById("classSelect");
+const bankSubjectFilter = document.getElementById("bankSubjectFilter");
+const bankClassFilter = document.getElementById("bankClassFilter");
+const bankTopicFilter = document.getElementById("bankTopicFilter");
+const bankDifficultyFilter = document.getElementById("bankDifficultyFilter");
+const bankSearchInput = document.getElementById("bankSearchInput");
+const bankResults = document.getElementById("bankResults");
+const bankCount = document.getElementById("bankCount");
+
+const bankSaveModal = document.getElementById("bankSaveModal");
+const bankSaveSubject = document.getElementById("bankSaveSubject");
+const bankSaveClass = document.getElementById("bankSaveClass");
+const bankSaveTopic = document.getElementById("bankSaveTopic");
+const bankSaveDifficulty = document.getElementById("bankSaveDifficulty");
+const bankTopicList = document.getElementById("bankTopicList");
+const bankPropagateRow = document.getElementById("bankPropagateRow");
+const bankPropagate = document.getElementById("bankPropagate");
+const confirmBankSave = document.getElementById("confirmBankSave");
+const closeBankSave = document.getElementById("closeBankSave");
+
+let bankCache = []; // [{ id, data }] for the current subject/class
+let pendingSave = null; // editor question awaiting tags
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+const QUESTION_FIELDS = ["type", "question", "options", "answer", "marks", "imageUrl", "pairs", "tolerance", "lockedOptions", "mathShorthand"];
+
+function normalize(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+/**
+ * Picks the storable question fields (Firestore rejects undefined).
+ */
+export function bankQuestionFields(q = {}) {
+  const out = {};
+  QUESTION_FIELDS.forEach((k) => {
+    if (q[k] !== undefined) out[k] = deepClone(q[k]);
+  });
+  if (!out.type) out.type = "mcq";
+  return out;
+}
+
+function copySelectOptions(from, to, { includeAny = false, value = "" } = {}) {
+  if (!from || !to) return;
+  const opts = Array.from(from.options).map((o) => o.value || o.textContent);
+  to.innerHTML =
+    (includeAny ? `<option value="">Any</option>` : "") +
+    opts.map((o) => `<option>${escapeHtml(o)}</option>`).join("");
+  to.value = value;
+}
+
+// ------------------------------------------------------
+// Data access
+// ------------------------------------------------------
+
+/**
+ * Loads bank questions. `subject` and `theclass` are matched in the
+ * query; topic, difficulty and free-text search are applied locally.
+ * @returns {Promise<Array<{id: string, data: Object}>>}
+ */
+export async function fetchBankQuestions({ subject = "", theclass = "", topic = "", difficulty = "", search = "" } = {}) {
+  const clauses = [];
+  if (subject) clauses.push(where("subject", "==", subject));
+  if (theclass) clauses.push(where("theclass", "==", theclass));
+  const snap = await getDocs(query(collection(db, BANK_COLLECTION), ...clauses));
+
+  const list = [];
+  snap.forEach((d) => list.push({ id: d.id, data: d.data() }));
+  return filterBankQuestions(list, { topic, difficulty, search });
+}
+
+export function filterBankQuestions(list = [], { topic = "", difficulty = "", search = "" } = {}) {
+  const t = normalize(topic);
+  const s = normalize(search);
+  return list.filter(({ data }) => {
+    if (t && !normalize(data.topic).includes(t)) return false;
+    if (difficulty && data.difficulty !== difficulty) return false;
+    if (s) {
+      const haystack = normalize(
+        [htmlToPlainText(data.question), ...(data.options || []), data.topic].join(" ")
+      );
+      if (!haystack.includes(s)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Creates or updates a bank question. Returns the bank id.
+ */
+export async function saveToBank(q, tags = {}) {
+  const data = {
+    ...bankQuestionFields(q),
+    subject: tags.subject || "",
+    theclass: tags.theclass || "",
+    topic: String(tags.topic || "").trim(),
+    difficulty: tags.difficulty || "Medium",
+    updatedAt: serverTimestamp()
+  };
+
+  if (q.bankId) {
+    await updateDoc(doc(db, BANK_COLLECTION, q.bankId), data);
+    return q.bankId;
+  }
+  const ref = await addDoc(collection(db, BANK_COLLECTION), { ...data, createdAt: serverTimestamp() });
+  return ref.id;
+}
+
+/**
+ * Why a bank edit must not be copied into `exam`, or "" if it may.
+ * Only exams still being written (Draft, Changes requested) take bank
+ * edits; reviewed, live or printed exams keep the version they have.
+ */
+function propagationBlocker(exam) {
+  const stage = stageOf(exam);
+  if (stage !== STAGES.draft && stage !== STAGES.changes) return stage;
+  if (exam.paperVersions && Object.keys(exam.paperVersions).length) return "paper versions printed";
+  return "";
+}
+
+/**
+ * Copies an edited bank question into every Draft or Changes-requested
+ * exam of the same subject that uses it, keeping each exam's own
+ * question id. Each copy is saved like an editor save (writeAssessment):
+ * it is recorded in the exam's history and re-graded if its key changed.
+ * @returns {Promise<{ updated: number, skipped: { id: string, title: string, reason: string }[] }>}
+ */
+export async function propagateBankQuestion(bankId, q, subject) {
+  // only the exams this user may read (firestore.rules)
+  const exams = (await fetchVisibleExams()).filter(({ data }) => !subject || data.subject === subject);
+  const fields = bankQuestionFields(q);
+  let updated = 0;
+  const skipped = [];
+
+  for (const { id, data: exam } of exams) {
+    const previous = exam.questions || [];
+    // other teachers' classes are left alone (firestore.rules would refuse)
+    if (!previous.some((x) => x.bankId === bankId) || !canModifyExam(exam)) continue;
+    const reason = propagationBlocker(exam);
+    if (reason) {
+      skipped.push({ id, title: exam.title || exam.assessmentName || id, reason });
+      continue;
+    }
+
+    const questions = previous.map((x) =>
+      x.bankId === bankId ? { ...fields, id: x.id, bankId } : x
+    );
+    // a normal save: revision, approval reset and re-grading included
+    await writeAssessment(id, { ...exam, questions }, { note: "Updated from question bank" });
+    updated++;
+  }
+  return { updated, skipped };
+}
+
+// ------------------------------------------------------
+// Bank browser
+// ------------------------------------------------------
+async function refreshBank() {
+  // the bank is staff-only (firestore.rules): wait for sign-in
+  if (!bankResults || !currentProfile()) return;
+  const subject = bankSubjectFilter?.value || "";
+  const theclass = bankClassFilter?.value || "";
+  bankResults.innerHTML = "Loading...";
+  try {
+    bankCache = await fetchBankQuestions({ subject, theclass });
+    renderBankResults();
+  } catch (err) {
+    console.error("refreshBank:", err);
+    bankResults.innerHTML = "Failed to load the question bank.";
+    toast("Error loading question bank.", "error");
+  }
+}
+
+function renderBankResults() {
+  const items = filterBankQuestions(bankCache, {
+    topic: bankTopicFilter?.value,
+    difficulty: bankDifficultyFilter?.value,
+    search: bankSearchInput?.value
+  });
+  if (bankCount) bankCount.textContent = `${items.length} of ${bankCache.length}`;
+  updateTopicList();
+
+  if (items.length === 0) {
+    bankResults.innerHTML = `<div class="small">No matching questions.</div>`;
+    return;
+  }
+
+  bankResults.innerHTML = items
+    .map(({ id, data }) => `
+      <div style="padding:8px;border-bottom:1px solid #f0f3fb">
+        <div style="line-height:1.4;color:#0f172a">${renderMixedText(htmlToPlainText(data.question || ""), { shorthand: data.mathShorthand })}</div>
+        <div class="spaced" style="margin-top:6px">
+          <span class="small">${escapeHtml(getType(data.type).label)} • ${escapeHtml(data.topic || "No topic")} • ${escapeHtml(data.difficulty || "")} • ${escapeHtml(String(data.marks || 1))} mark(s)</span>
+          <button class="btn small bank-add-btn" data-id="${escapeHtml(id)}">Add</button>
+        </div>
+      </div>`)
+    .join("");
+
+  bankResults.querySelectorAll(".bank-add-btn").forEach((b) =>
+    b.addEventListener("click", onAddFromBank)
+  );
+}
+
+function updateTopicList() {
+  if (!bankTopicList) return;
+  const topics = Array.from(new Set(bankCache.map((x) => x.data.topic).filter(Boolean))).sort();
+  bankTopicList.innerHTML = topics.map((t) => `<option value="${escapeHtml(t)}">`).join("");
+}
+
+function onAddFromBank(e) {
+  const id = e.currentTarget.dataset.id;
+  const found = bankCache.find((x) => x.id === id);
+  if (!found) return toast("Question not found in bank.", "error");
+  addQuestion({ ...bankQuestionFields(found.data), id: uid("q"), bankId: id });
+  toast("Question added to the editor.", "success");
+}
+
+// ------------------------------------------------------
+// Save-to-bank modal
+// ------------------------------------------------------
+function openBankSaveModal(q) {
+  if (!bankSaveModal) return;
+  pendingSave = q;
+  const existing = q.bankId ? bankCache.find((x) => x.id === q.bankId)?.data : null;
+
+  copySelectOptions(subjectSelect, bankSaveSubject, { value: existing?.subject || subjectSelect?.value });
+  copySelectOptions(classSelect, bankSaveClass, { value: existing?.theclass || classSelect?.value });
+  bankSaveTopic.value = existing?.topic || bankTopicFilter?.value || "";
+  bankSaveDifficulty.value = existing?.difficulty || "Medium";
+  bankPropagate.checked = false;
+  bankPropagateRow.style.display = q.bankId ? "flex" : "none";
+  bankSaveModal.style.display = "flex";
+}
+
+function closeBankSaveModal() {
+  pendingSave = null;
+  if (bankSaveModal) bankSaveModal.style.display = "none";
+}
+
+async function onConfirmBankSave() {
+  if (!pendingSave) return;
+  const q = pendingSave;
+  const tags = {
+    subject: bankSaveSubject.value,
+    theclass: bankSaveClass.value,
+    topic: bankSaveTopic.value,
+    difficulty: bankSaveDifficulty.value
+  };
+  if (!tags.topic.trim()) {
+    toast("Please enter a topic.", "error");
+    return;
+  }
+
+  const propagate = !!q.bankId && bankPropagate.checked;
+  showLoader("global", "Saving to question bank...");
+  try {
+    const bankId = await saveToBank(q, tags);
+    linkQuestionToBank(q.id, bankId);
+    toast(q.bankId ? "Bank question updated." : "Saved to question bank.", "success");
+
+    if (propagate) {
+      const { updated, skipped } = await propagateBankQuestion(bankId, q, tags.subject);
+      toast(`Updated ${updated} assessment(s) that use this question.`, "info");
+      if (skipped.length) {
+        const list = skipped.map((x) => `"${x.title}" (${x.reason})`).join(", ");
+        toast(`Not updated (edit by hand if needed): ${list}.`, "info", 9000);
+      }
+    }
+    closeBankSaveModal();
+    await refreshBank();
+  } catch (err) {
+    console.error("onConfirmBankSave:", err);
+    toast("Bank save failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  copySelectOptions(subjectSelect, bankSubjectFilter, { value: subjectSelect?.value });
+  copySelectOptions(classSelect, bankClassFilter, { includeAny: true, value: classSelect?.value });
+
+  [bankSubjectFilter, bankClassFilter].forEach((el) => {
+    if (el) el.addEventListener("change", refreshBank);
+  });
+  const rerender = debounce(renderBankResults, 200);
+  [bankTopicFilter, bankSearchInput].forEach((el) => {
+    if (el) el.addEventListener("input", rerender);
+  });
+  if (bankDifficultyFilter) bankDifficultyFilter.addEventListener("change", renderBankResults);
+
+  // Follow the assessment metadata so the bank shows relevant questions
+  if (subjectSelect) {
+    subjectSelect.addEventListener("change", () => {
+      bankSubjectFilter.value = subjectSelect.value;
+      refreshBank();
+    });
+  }
+
+  window.addEventListener("question:bank-save", (e) => openBankSaveModal(e.detail));
+  if (confirmBankSave) confirmBankSave.addEventListener("click", onConfirmBankSave);
+  if (closeBankSave) closeBankSave.addEventListener("click", closeBankSaveModal);
+  if (bankSaveModal) {
+    bankSaveModal.addEventListener("click", (ev) => {
+      if (ev.target === bankSaveModal) closeBankSaveModal();
+    });
+  }
+
+  onProfile(() => refreshBank());
+})();
+
+export default {
+  DIFFICULTIES,
+  fetchBankQuestions,
+  filterBankQuestions,
+  bankQuestionFields,
+  saveToBank,
+  propagateBankQuestion
+};
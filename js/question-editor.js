@@ -1,235 +1,368 @@
-// ------------------------------------------------------
-// Question Editor Module — Final Complete Version (Vercel Safe)
-// ------------------------------------------------------
-// Dependencies: firebase-config.js, utils.js, preview.js
-// ------------------------------------------------------
-
-import { showToast, showLoader, hideLoader, confirmAction } from "./utils.js";
-import { renderMath } from "./preview.js";
-import { storage } from "../firebase-config.js"; // ✅ fixed import path for Vercel
-
-import {
-  getDownloadURL,
-  ref,
-  uploadBytesResumable
-} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
-
-// Main elements
-const questionList = document.getElementById("questionList");
-const addQuestionBtn = document.getElementById("addQuestionBtn");
-const saveAssessmentBtn = document.getElementById("saveAssessmentBtn");
-
-let questions = [];
-
-// ------------------------------------------------------
-// Add a new blank question
-// ------------------------------------------------------
-if (addQuestionBtn) {
-  addQuestionBtn.addEventListener("click", () => {
-    const q = {
-      id: `q_${Date.now()}`,
-      question: "",
-      options: ["", "", "", ""],
-      answer: "",
-      marks: 1,
-      imageUrl: ""
-    };
-    questions.push(q);
-    renderQuestionEditor(q);
-  });
-}
-
-// ------------------------------------------------------
-// Render question editor block
-// ------------------------------------------------------
-function renderQuestionEditor(q) {
-  const div = document.createElement("div");
-  div.className =
-    "p-4 bg-white rounded-xl shadow-md border border-gray-200 my-3 relative question-block";
-  div.setAttribute("data-id", q.id);
-
-  div.innerHTML = `
-    <div class="flex justify-between items-center mb-2">
-      <h3 class="text-lg font-semibold text-gray-700">Question</h3>
-      <button class="deleteBtn text-red-600 text-sm hover:underline">Delete</button>
-    </div>
-
-    <textarea class="questionInput w-full border rounded-md p-2 mb-2 text-gray-700" 
-      placeholder="Enter question text (you can use math: $a^2 + b^2 = c^2$)">${q.question}</textarea>
-
-    <div class="image-section flex items-center gap-2 mb-2">
-      <input type="file" class="imageInput hidden" accept="image/*">
-      <button class="uploadImageBtn bg-blue-50 text-blue-700 px-3 py-1 rounded-md border border-blue-200 hover:bg-blue-100 text-sm">Upload Image</button>
-      <span class="imageName text-sm text-gray-500">${q.imageUrl ? "Image uploaded ✓" : ""}</span>
-    </div>
-
-    <div class="grid grid-cols-2 gap-2 mb-2">
-      ${q.options
-        .map(
-          (opt, i) => `
-          <input type="text" class="optionInput border rounded-md p-2" 
-            data-index="${i}" placeholder="Option ${String.fromCharCode(65 + i)}"
-            value="${opt}">
-        `
-        )
-        .join("")}
-    </div>
-
-    <div class="flex items-center gap-2 mb-2">
-      <label class="font-medium text-gray-600">Correct Answer:</label>
-      <select class="answerSelect border rounded-md p-1">
-        <option value="">Select</option>
-        ${["A", "B", "C", "D"]
-          .map(
-            (letter) =>
-              `<option value="${letter}" ${
-                q.answer === letter ? "selected" : ""
-              }>${letter}</option>`
-          )
-          .join("")}
-      </select>
-
-      <label class="font-medium text-gray-600 ml-3">Marks:</label>
-      <input type="number" class="marksInput border rounded-md p-1 w-20" min="1" value="${q.marks}">
-    </div>
-
-    <div class="text-right">
-      <button class="previewBtn text-blue-600 hover:underline text-sm">Preview</button>
-    </div>
-
-    <div class="previewArea hidden bg-gray-50 border border-gray-200 p-3 mt-2 rounded-md"></div>
-  `;
-
-  // Append to container
-  questionList.appendChild(div);
-
-  // Event listeners
-  const deleteBtn = div.querySelector(".deleteBtn");
-  const previewBtn = div.querySelector(".previewBtn");
-  const imageBtn = div.querySelector(".uploadImageBtn");
-  const imageInput = div.querySelector(".imageInput");
-  const imageName = div.querySelector(".imageName");
-
-  // Delete Question
-  deleteBtn.addEventListener("click", () => {
-    confirmAction("Delete this question?", () => {
-      div.remove();
-      questions = questions.filter((x) => x.id !== q.id);
-      showToast("Question deleted.", "info");
-    });
-  });
-
-  // Preview Question (with Math Rendering)
-  previewBtn.addEventListener("click", () => {
-    const previewArea = div.querySelector(".previewArea");
-    const questionText = div.querySelector(".questionInput").value;
-    const options = Array.from(div.querySelectorAll(".optionInput")).map((i) => i.value);
-
-    previewArea.innerHTML = `
-      <p class="mb-2 font-semibold text-gray-700">${questionText}</p>
-      ${
-        q.imageUrl
-          ? `<img src="${q.imageUrl}" class="w-40 h-auto rounded-md mb-2 border border-gray-200">`
-          : ""
-      }
-      <ul class="list-disc ml-5 text-gray-600">
-        ${options.map((opt) => `<li>${opt}</li>`).join("")}
-      </ul>
-    `;
-    renderMath(previewArea);
-    previewArea.classList.toggle("hidden");
-  });
-
-  // Upload Image
-  imageBtn.addEventListener("click", () => imageInput.click());
-
-  imageInput.addEventListener("change", async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    showLoader("Uploading image...");
-    try {
-      const fileRef = ref(storage, `exam-images/${Date.now()}_${file.name}`);
-      const uploadTask = uploadBytesResumable(fileRef, file);
-
-      uploadTask.on(
-        "state_changed",
-        (snapshot) => {
-          const progress = Math.round(
-            (snapshot.bytesTransferred / snapshot.totalBytes) * 100
-          );
-          imageName.textContent = `Uploading... ${progress}%`;
-        },
-        (error) => {
-          console.error(error);
-          hideLoader();
-          showToast("Image upload failed.", "error");
-        },
-        async () => {
-          const url = await getDownloadURL(uploadTask.snapshot.ref);
-          q.imageUrl = url;
-          imageName.textContent = "Image uploaded ✓";
-          hideLoader();
-          showToast("Image uploaded successfully!", "success");
-        }
-      );
-    } catch (err) {
-      console.error(err);
-      hideLoader();
-      showToast("Error uploading image.", "error");
-    }
-  });
-}
-
-// ------------------------------------------------------
-// Add question from Excel or other imports
-// ------------------------------------------------------
-function addQuestion(q) {
-  questions.push(q);
-  renderQuestionEditor(q);
-}
-
-// ------------------------------------------------------
-// Collect all question data
-// ------------------------------------------------------
-function getQuestions() {
-  const all = [];
-  const blocks = document.querySelectorAll(".question-block");
-
-  blocks.forEach((div) => {
-    const id = div.dataset.id;
-    const questionText = div.querySelector(".questionInput").value.trim();
-    const options = Array.from(div.querySelectorAll(".optionInput")).map((i) =>
-      i.value.trim()
-    );
-    const answer = div.querySelector(".answerSelect").value;
-    const marks = parseInt(div.querySelector(".marksInput").value) || 1;
-
-    const current = questions.find((q) => q.id === id);
-    const imageUrl = current?.imageUrl || "";
-
-    if (questionText !== "") {
-      all.push({ id, question: questionText, options, answer, marks, imageUrl });
-    }
-  });
-
-  return all;
-}
-
-// ------------------------------------------------------
-// Save Assessment Button (stub — Firebase saving next)
-// ------------------------------------------------------
-if (saveAssessmentBtn) {
-  saveAssessmentBtn.addEventListener("click", () => {
-    const all = getQuestions();
-    if (all.length === 0) {
-      showToast("No questions to save.", "error");
-      return;
-    }
-
-    console.log("Questions ready to save:", all);
-    showToast(`${all.length} questions ready to save. (Firebase integration next)`, "success");
-  });
-}
-
-export { addQuestion, getQuestions, questions };
+// ------------------------------------------------------
+// Question Editor Module — Final Complete Version (Vercel Safe)
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-types.js
+// ------------------------------------------------------
+
+import { showToast, showLoader, hideLoader, confirmAction, escapeHtml, renderMixedText, findLatexErrors, debounce } from "./utils.js";
+import { QUESTION_TYPES, DEFAULT_TYPE, MAX_ROWS, getType, typeOptionsHtml } from "./question-types.js";
+import { isOffline, isNetworkError, isLocalImage, storeLocalImage, localImageUrl } from "./offline-sync.js";
+import { storage } from "../firebase-config.js"; // ✅ fixed import path for Vercel
+
+import {
+  getDownloadURL,
+  ref,
+  uploadBytesResumable
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
+
+const LOCAL_IMAGE_NOTE = "Image saved offline — uploads when back online";
+
+// Main elements
+const questionList = document.getElementById("questionList");
+const addQuestionBtn = document.getElementById("addQuestionBtn");
+
+let questions = [];
+
+// ------------------------------------------------------
+// Add a new blank question
+// ------------------------------------------------------
+if (addQuestionBtn) {
+  addQuestionBtn.addEventListener("click", () => {
+    const q = {
+      id: `q_${Date.now()}`,
+      type: DEFAULT_TYPE,
+      question: "",
+      ...getType(DEFAULT_TYPE).defaults(),
+      marks: 1,
+      imageUrl: ""
+    };
+    questions.push(q);
+    renderQuestionEditor(q);
+  });
+}
+
+// ------------------------------------------------------
+// Render question editor block
+// ------------------------------------------------------
+function renderQuestionEditor(q) {
+  const div = document.createElement("div");
+  div.className =
+    "p-4 bg-white rounded-xl shadow-md border border-gray-200 my-3 relative question-block";
+  div.setAttribute("data-id", q.id);
+  div.setAttribute("data-type", q.type || DEFAULT_TYPE);
+
+  div.innerHTML = `
+    <div class="flex justify-between items-center mb-2">
+      <h3 class="text-lg font-semibold text-gray-700">Question</h3>
+      <div class="flex items-center gap-2">
+        <select class="typeSelect border rounded-md p-1 text-sm">${typeOptionsHtml(q.type || DEFAULT_TYPE)}</select>
+        <button class="bankBtn text-blue-600 text-sm hover:underline">${q.bankId ? "Update in Bank" : "Save to Bank"}</button>
+        <button class="deleteBtn text-red-600 text-sm hover:underline">Delete</button>
+      </div>
+    </div>
+
+    <textarea class="questionInput w-full border rounded-md p-2 mb-2 text-gray-700" 
+      placeholder="Enter question text (you can use math: $a^2 + b^2 = c^2$)">${escapeHtml(q.question)}</textarea>
+
+    <div class="flex items-center gap-2 mb-2 text-sm text-gray-600">
+      <label class="flex items-center gap-1">
+        <input type="checkbox" class="shorthandInput" ${q.mathShorthand ? "checked" : ""}>
+        Render plain-text math shorthand (1/2, sqrt(81), x^2) outside $…$
+      </label>
+    </div>
+    <div class="mathErrors text-sm text-red-600 mb-2"></div>
+
+    <div class="image-section flex items-center gap-2 mb-2">
+      <input type="file" class="imageInput hidden" accept="image/*">
+      <button class="uploadImageBtn bg-blue-50 text-blue-700 px-3 py-1 rounded-md border border-blue-200 hover:bg-blue-100 text-sm">Upload Image</button>
+      <span class="imageName text-sm text-gray-500">${q.imageUrl ? (isLocalImage(q.imageUrl) ? LOCAL_IMAGE_NOTE : "Image uploaded ✓") : ""}</span>
+      <img class="imageThumb h-12 w-auto rounded-md border border-gray-200 ${q.imageUrl ? "" : "hidden"}" src="${isLocalImage(q.imageUrl) ? "" : escapeHtml(q.imageUrl || "")}" alt="">
+    </div>
+
+    <div class="typeBody">${getType(q.type).editorHtml(q)}</div>
+
+    <div class="flex items-center gap-2 mb-2">
+      <label class="font-medium text-gray-600">Marks:</label>
+      <input type="number" class="marksInput border rounded-md p-1 w-20" min="1" value="${escapeHtml(q.marks ?? 1)}">
+    </div>
+
+    <div class="text-right">
+      <button class="previewBtn text-blue-600 hover:underline text-sm">Preview</button>
+    </div>
+
+    <div class="previewArea hidden bg-gray-50 border border-gray-200 p-3 mt-2 rounded-md"></div>
+  `;
+
+  // Append to container
+  questionList.appendChild(div);
+  if (isLocalImage(q.imageUrl)) {
+    localImageUrl(q.imageUrl).then((url) => {
+      if (url) div.querySelector(".imageThumb").src = url;
+    });
+  }
+
+  // Event listeners
+  const deleteBtn = div.querySelector(".deleteBtn");
+  const previewBtn = div.querySelector(".previewBtn");
+  const imageBtn = div.querySelector(".uploadImageBtn");
+  const imageInput = div.querySelector(".imageInput");
+  const imageName = div.querySelector(".imageName");
+  const typeSelect = div.querySelector(".typeSelect");
+  const typeBody = div.querySelector(".typeBody");
+  const bankBtn = div.querySelector(".bankBtn");
+
+  // Report LaTeX problems while typing
+  const recheckMath = debounce(() => checkBlockMath(div), 400);
+  div.querySelector(".questionInput").addEventListener("input", recheckMath);
+  typeBody.addEventListener("input", recheckMath);
+
+  // Delete Question
+  deleteBtn.addEventListener("click", async () => {
+    if (!(await confirmAction("Delete this question?"))) return;
+    div.remove();
+    questions = questions.filter((x) => x.id !== q.id);
+    showToast("Question deleted.", "info");
+  });
+
+  // Save / update in the shared question bank (handled by question-bank.js)
+  bankBtn.addEventListener("click", () => {
+    const current = readQuestionBlock(div);
+    if (!current.question) {
+      showToast("Enter the question text first.", "error");
+      return;
+    }
+    window.dispatchEvent(new CustomEvent("question:bank-save", { detail: current }));
+  });
+
+  // Switch question type (question text, image and marks are kept)
+  typeSelect.addEventListener("change", () => {
+    const type = typeSelect.value;
+    div.setAttribute("data-type", type);
+    Object.assign(q, { type, pairs: undefined, tolerance: undefined, lockedOptions: undefined }, getType(type).defaults());
+    typeBody.innerHTML = getType(type).editorHtml(q);
+  });
+
+  // Add option / pair / item rows for row-based types
+  typeBody.addEventListener("click", (e) => {
+    if (!e.target.closest(".addRowBtn")) return;
+    const def = getType(div.dataset.type);
+    const wrap = typeBody.querySelector(".rowsWrap");
+    if (!def.rowHtml || !wrap) return;
+    if (wrap.children.length >= MAX_ROWS) {
+      showToast(`A question can have at most ${MAX_ROWS} rows.`, "error");
+      return;
+    }
+    wrap.insertAdjacentHTML("beforeend", def.rowHtml(wrap.children.length));
+  });
+
+  // Preview Question (with Math Rendering)
+  previewBtn.addEventListener("click", () => {
+    const previewArea = div.querySelector(".previewArea");
+    const current = readQuestionBlock(div);
+
+    previewArea.innerHTML = `
+      <p class="mb-2 font-semibold text-gray-700">${renderMixedText(current.question, { shorthand: current.mathShorthand })}</p>
+      ${
+        q.imageUrl
+          ? `<img src="${isLocalImage(q.imageUrl) ? div.querySelector(".imageThumb").src : q.imageUrl}" class="w-40 h-auto rounded-md mb-2 border border-gray-200">`
+          : ""
+      }
+      <div class="flex flex-col gap-1 text-gray-600">${getType(current.type).previewHtml(current)}</div>
+    `;
+    previewArea.classList.toggle("hidden");
+  });
+
+  // Upload Image
+  imageBtn.addEventListener("click", () => imageInput.click());
+
+  // Offline, the image waits on this device (offline-sync.js uploads it)
+  const keepImageLocally = async (file) => {
+    try {
+      q.imageUrl = await storeLocalImage(file);
+      imageName.textContent = LOCAL_IMAGE_NOTE;
+      const thumb = div.querySelector(".imageThumb");
+      thumb.src = URL.createObjectURL(file);
+      thumb.classList.remove("hidden");
+      div.dispatchEvent(new Event("change", { bubbles: true }));
+      showToast("Offline: image kept on this device.", "info");
+    } catch (err) {
+      console.error(err);
+      showToast("Could not keep the image on this device.", "error");
+    }
+  };
+
+  imageInput.addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (isOffline()) return keepImageLocally(file);
+
+    showLoader("global", "Uploading image...");
+    try {
+      const fileRef = ref(storage, `exam-images/${Date.now()}_${file.name}`);
+      const uploadTask = uploadBytesResumable(fileRef, file);
+
+      uploadTask.on(
+        "state_changed",
+        (snapshot) => {
+          const progress = Math.round(
+            (snapshot.bytesTransferred / snapshot.totalBytes) * 100
+          );
+          imageName.textContent = `Uploading... ${progress}%`;
+        },
+        (error) => {
+          console.error(error);
+          hideLoader("global");
+          if (isNetworkError(error)) keepImageLocally(file);
+          else showToast("Image upload failed.", "error");
+        },
+        async () => {
+          const url = await getDownloadURL(uploadTask.snapshot.ref);
+          q.imageUrl = url;
+          imageName.textContent = "Image uploaded ✓";
+          const thumb = div.querySelector(".imageThumb");
+          thumb.src = url;
+          thumb.classList.remove("hidden");
+          // no field changed, so tell autosave.js directly
+          div.dispatchEvent(new Event("change", { bubbles: true }));
+          hideLoader("global");
+          showToast("Image uploaded successfully!", "success");
+        }
+      );
+    } catch (err) {
+      console.error(err);
+      hideLoader("global");
+      showToast("Error uploading image.", "error");
+    }
+  });
+}
+
+// ------------------------------------------------------
+// Add question from Excel or other imports
+// ------------------------------------------------------
+function addQuestion(q) {
+  const type = q.type && QUESTION_TYPES[q.type] ? q.type : DEFAULT_TYPE;
+  const normalized = { ...getType(type).defaults(), ...q, type };
+  questions.push(normalized);
+  renderQuestionEditor(normalized);
+}
+
+// ------------------------------------------------------
+// Collect all question data
+// ------------------------------------------------------
+function readQuestionBlock(div) {
+  const id = div.dataset.id;
+  const type = div.dataset.type || DEFAULT_TYPE;
+  const questionText = div.querySelector(".questionInput").value.trim();
+  const marks = parseInt(div.querySelector(".marksInput").value) || 1;
+
+  const current = questions.find((q) => q.id === id);
+  const imageUrl = current?.imageUrl || "";
+
+  return {
+    id,
+    type,
+    question: questionText,
+    ...getType(type).readEditor(div.querySelector(".typeBody")),
+    marks,
+    imageUrl,
+    mathShorthand: !!div.querySelector(".shorthandInput")?.checked,
+    ...(current?.bankId ? { bankId: current.bankId } : {})
+  };
+}
+
+function getQuestions() {
+  const all = [];
+  const blocks = document.querySelectorAll(".question-block");
+
+  blocks.forEach((div) => {
+    const q = readQuestionBlock(div);
+    if (q.question !== "") all.push(q);
+  });
+
+  return all;
+}
+
+// ------------------------------------------------------
+// LaTeX checks
+// ------------------------------------------------------
+function mathTextsOf(q) {
+  return [
+    q.question,
+    ...(q.options || []),
+    ...(q.pairs || []).flatMap((p) => [p.left, p.right])
+  ].filter(Boolean);
+}
+
+function checkBlockMath(div) {
+  const errors = mathTextsOf(readQuestionBlock(div)).flatMap(findLatexErrors);
+  const box = div.querySelector(".mathErrors");
+  if (box) box.innerHTML = errors.map((e) => `⚠ ${escapeHtml(e)}`).join("<br>");
+  return errors;
+}
+
+/**
+ * Checks every question for LaTeX errors and shows them in place.
+ * @returns {Array<{ number: number, errors: string[] }>} questions
+ *   with problems (number is 1-based, in editor order)
+ */
+function checkMath() {
+  const problems = [];
+  Array.from(document.querySelectorAll(".question-block")).forEach((div, i) => {
+    const errors = checkBlockMath(div);
+    if (errors.length) problems.push({ number: i + 1, errors });
+  });
+  return problems;
+}
+
+// ------------------------------------------------------
+// Replace the editor contents (Edit from Saved Assessments, New)
+// ------------------------------------------------------
+function loadQuestions(list = []) {
+  questionList.innerHTML = "";
+  questions = [];
+  list.forEach((q) => addQuestion({ ...q }));
+}
+
+// Saving is handled by assessment-manager.js, which also dispatches
+// "assessment:edit" after filling in the metadata
+window.addEventListener("assessment:edit", (e) => loadQuestions(e.detail?.data?.questions || []));
+window.addEventListener("assessment:new", () => loadQuestions([]));
+
+// Item analysis links back to a question (assessment-manager.js loads
+// the exam first)
+window.addEventListener("question:focus", (e) => {
+  const block = questionList.querySelector(`.question-block[data-id="${e.detail?.questionId}"]`);
+  if (!block) return showToast("That question is no longer in this assessment.", "error");
+  block.scrollIntoView({ behavior: "smooth", block: "center" });
+  block.style.outline = "3px solid #f59e0b";
+  setTimeout(() => (block.style.outline = ""), 2500);
+  block.querySelector(".questionInput")?.focus({ preventScroll: true });
+});
+
+// An image kept offline has been uploaded; point its questions at the URL
+window.addEventListener("sync:image-uploaded", (e) => {
+  const { key, url } = e.detail || {};
+  questions
+    .filter((q) => q.imageUrl === key)
+    .forEach((q) => {
+      q.imageUrl = url;
+      const name = questionList.querySelector(`.question-block[data-id="${q.id}"] .imageName`);
+      if (name) name.textContent = "Image uploaded ✓";
+    });
+});
+
+// ------------------------------------------------------
+// Link an editor question to its question bank entry
+// ------------------------------------------------------
+function linkQuestionToBank(id, bankId) {
+  const current = questions.find((q) => q.id === id);
+  if (current) current.bankId = bankId;
+  const btn = questionList.querySelector(`.question-block[data-id="${id}"] .bankBtn`);
+  if (btn) btn.textContent = "Update in Bank";
+}
+
+// Shared with assessment-manager.js and preview.js, which look for it on window
+window.getQuestions = getQuestions;
+window.checkMath = checkMath;
+
+export { addQuestion, getQuestions, loadQuestions, linkQuestionToBank, checkMath, questions };
@@ -0,0 +1,615 @@
+// ------------------------------------------------------
+// Question Types — editor, preview, import and grading rules
+// ------------------------------------------------------
+// Dependencies: utils.js, randomize.js
+//
+// Every question object carries a `type` (missing = "mcq") and
+// keeps its key in `answer` as a string so it survives Excel
+// round-trips:
+//   mcq        options[4]          answer "B"
+//   truefalse  ["True", "False"]   answer "A" (True) / "B" (False)
+//   multi      options[2..6]       answer "A,C"
+//   short      —                   answer "12|twelve" (accepted list)
+//   numeric    —                   answer "3.5", tolerance 0.05
+//   matching   pairs[{left,right}] answer "" (key is the pairing)
+//   ordering   options in order    answer "" (key is the order)
+// `objective` types are answered by picking option letters; the
+// printed paper sets them in two columns (print-layout.js).
+// mcq and multi may also list `lockedOptions` (indices that stay in
+// place when options are shuffled per student, see randomize.js).
+// Ordering items are never shown in their stored (correct) order: the
+// printed paper and the student copy use itemOrder(), seeded by exam
+// and question id.
+// ------------------------------------------------------
+
+import { escapeHtml, htmlToPlainText, renderMixedText } from "./utils.js";
+import { seededRandom, seededPermutation } from "./randomize.js";
+
+export const MAX_ROWS = 6;
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+const letter = (i) => String.fromCharCode(65 + i);
+const math = (s, q) => renderMixedText(htmlToPlainText(s || ""), { shorthand: !!q?.mathShorthand });
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+function normalizeText(s) {
+  return String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Parses "A, c", "A;C", ["A","C"] or indices ("0,2") into sorted,
+ * de-duplicated option letters. Letters past `optionCount` are dropped.
+ */
+export function parseLetters(value, optionCount = MAX_ROWS) {
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(/[\s,;|/]+/);
+  const out = new Set();
+  parts.forEach((p) => {
+    const s = String(p).trim().toUpperCase();
+    if (/^[A-Z]$/.test(s) && s.charCodeAt(0) - 65 < optionCount) out.add(s);
+    else if (/^\d+$/.test(s) && Number(s) < optionCount) out.add(letter(Number(s)));
+  });
+  return Array.from(out).sort();
+}
+
+function singleLetter(value, optionCount) {
+  const letters = parseLetters(value, optionCount);
+  return letters.length === 1 ? letters[0] : "";
+}
+
+function acceptedList(answer) {
+  return String(answer ?? "")
+    .split("|")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parsePair(cell) {
+  const s = String(cell ?? "");
+  const at = s.indexOf("->");
+  if (at === -1) return null;
+  const left = s.slice(0, at).trim();
+  const right = s.slice(at + 2).trim();
+  return left && right ? { left, right } : null;
+}
+
+function rowsOf(body, selector) {
+  return Array.from(body.querySelectorAll(selector)).map((i) => i.value.trim());
+}
+
+function padOptions(options = [], min) {
+  const out = [...(options || [])];
+  while (out.length < min) out.push("");
+  return out;
+}
+
+function sortedCopy(list) {
+  return [...list].sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+// Original indices of ordering items in the order they are shown,
+// seeded by `seedKey` (the exam id) and the question id; never the
+// correct order itself
+function itemOrder(q, seedKey = "") {
+  const n = (q.options || []).length;
+  const order = seededPermutation(n, seededRandom(`${seedKey}:${q.id}`));
+  return n > 1 && order.every((v, i) => v === i) ? [...order.slice(1), order[0]] : order;
+}
+
+// ------------------------------------------------------
+// Shared renderers for option-based types
+// ------------------------------------------------------
+function lockBox(i, locked) {
+  return `
+      <label class="small" title="Keep this option in place when options are shuffled" style="white-space:nowrap">
+        <input type="checkbox" class="lockCheck" value="${i}" ${locked.includes(i) ? "checked" : ""}> Lock
+      </label>`;
+}
+
+function optionInputs(options, locked = []) {
+  return options
+    .map(
+      (opt, i) => `
+      <div class="flex items-center gap-1">
+        <input type="text" class="optionInput border rounded-md p-2 flex-1"
+          data-index="${i}" placeholder="Option ${letter(i)}"
+          value="${escapeHtml(opt)}">${lockBox(i, locked)}
+      </div>`
+    )
+    .join("");
+}
+
+function lockedOf(body) {
+  return Array.from(body.querySelectorAll(".lockCheck:checked")).map((c) => Number(c.value));
+}
+
+function answerSelect(count, current, labels = []) {
+  return `
+    <label class="font-medium text-gray-600">Correct Answer:</label>
+    <select class="answerSelect border rounded-md p-1">
+      <option value="">Select</option>
+      ${Array.from({ length: count }, (_, i) => letter(i))
+        .map((l, i) => `<option value="${l}" ${current === l ? "selected" : ""}>${labels[i] || l}</option>`)
+        .join("")}
+    </select>`;
+}
+
+function previewOptions(q, correctLetters) {
+  return (q.options || [])
+    .map((opt, i) => {
+      const l = letter(i);
+      const isCorrect = correctLetters.includes(l);
+      return `
+      <div style="padding:8px;border-radius:6px;border:1px solid ${isCorrect ? "#d1fae5" : "#eef4ff"};background:${
+        isCorrect ? "#ecfdf5" : "#fbfdff"
+      };display:flex;gap:8px;align-items:flex-start;">
+        <strong style="width:28px;display:inline-block">${l}.</strong> ${math(opt, q)}
+      </div>`;
+    })
+    .join("");
+}
+
+// "B. Paris" lines for the correct options (marking schemes)
+function keyOptionLines(q, correctLetters) {
+  const lines = correctLetters
+    .filter(Boolean)
+    .map((l) => `${l}. ${htmlToPlainText((q.options || [])[l.charCodeAt(0) - 65] ?? "")}`);
+  return lines.length ? lines : ["(no key set)"];
+}
+
+function studentChoices(q, name, inputType) {
+  return (q.options || [])
+    .map(
+      (opt, i) => `
+      <label class="exam-option">
+        <input type="${inputType}" name="${escapeHtml(name)}" value="${letter(i)}">
+        <strong style="width:22px;display:inline-block">${letter(i)}.</strong>
+        <span>${math(opt, q)}</span>
+      </label>`
+    )
+    .join("");
+}
+
+function rowEditor(rowsHtml, addLabel) {
+  return `
+    <div class="rowsWrap flex flex-col gap-2 mb-2">${rowsHtml}</div>
+    <button type="button" class="addRowBtn text-blue-600 hover:underline text-sm mb-2">${addLabel}</button>`;
+}
+
+// ------------------------------------------------------
+// Type registry
+// ------------------------------------------------------
+export const QUESTION_TYPES = {
+  mcq: {
+    label: "Multiple choice (A–D)",
+    aliases: ["mcq", "multiple choice", "objective", "single"],
+    objective: true,
+    defaults: () => ({ options: ["", "", "", ""], answer: "" }),
+    editorHtml: (q) => `
+      <div class="grid grid-cols-2 gap-2 mb-2">${optionInputs(padOptions(q.options, 4), q.lockedOptions || [])}</div>
+      <div class="flex items-center gap-2 mb-2">${answerSelect(4, q.answer)}</div>`,
+    readEditor: (body) => ({
+      options: rowsOf(body, ".optionInput"),
+      answer: body.querySelector(".answerSelect")?.value || "",
+      lockedOptions: lockedOf(body)
+    }),
+    previewHtml: (q) => previewOptions(q, [singleLetter(q.answer, (q.options || []).length)]),
+    printLines: (q) => (q.options || []).map((o, i) => `${letter(i)}. ${htmlToPlainText(o)}`),
+    schemeLines: (q) => keyOptionLines(q, [singleLetter(q.answer, (q.options || []).length)]),
+    studentHtml: (q, name) => studentChoices(q, name, "radio"),
+    readResponse: (card) => card.querySelector("input[type='radio']:checked")?.value || null,
+    fromCells: (c) => ({ options: c.options.slice(0, 4), answer: singleLetter(c.answer, 4) }),
+    toCells: (q) => ({ options: padOptions(q.options, 4), answer: q.answer || "" }),
+    grade: (q, response) => {
+      const correctAnswer = singleLetter(q.answer, (q.options || []).length);
+      const given = singleLetter(response, (q.options || []).length);
+      return { given, correctAnswer, fraction: given && given === correctAnswer ? 1 : 0 };
+    },
+    keyOf: (q) => singleLetter(q.answer, (q.options || []).length),
+    validate: (q, rawAnswer) => {
+      const errors = [];
+      const filled = (q.options || []).filter((o) => String(o).trim() !== "").length;
+      if (filled < 2) errors.push("Needs at least two options");
+      if (isBlank(rawAnswer)) errors.push("Missing answer");
+      else if (!q.answer) errors.push(`Answer "${rawAnswer}" is not one of A–D`);
+      else if (!String(q.options[LETTERS.indexOf(q.answer)] ?? "").trim()) errors.push(`Answer ${q.answer} points to an empty option`);
+      return errors;
+    }
+  },
+
+  truefalse: {
+    label: "True / False",
+    aliases: ["truefalse", "true/false", "true false", "tf", "t/f"],
+    objective: true,
+    defaults: () => ({ options: ["True", "False"], answer: "" }),
+    editorHtml: (q) => `
+      <div class="flex items-center gap-2 mb-2">${answerSelect(2, q.answer, ["True", "False"])}</div>`,
+    readEditor: (body) => ({
+      options: ["True", "False"],
+      answer: body.querySelector(".answerSelect")?.value || ""
+    }),
+    previewHtml: (q) => previewOptions({ ...q, options: ["True", "False"] }, [singleLetter(q.answer, 2)]),
+    printLines: () => ["A. True", "B. False"],
+    schemeLines: (q) => keyOptionLines({ ...q, options: ["True", "False"] }, [singleLetter(q.answer, 2)]),
+    studentHtml: (q, name) => studentChoices({ ...q, options: ["True", "False"] }, name, "radio"),
+    readResponse: (card) => card.querySelector("input[type='radio']:checked")?.value || null,
+    fromCells: (c) => {
+      const s = normalizeText(c.answer);
+      const answer = ["true", "t", "a", "yes"].includes(s) ? "A" : ["false", "f", "b", "no"].includes(s) ? "B" : "";
+      return { options: ["True", "False"], answer };
+    },
+    toCells: (q) => ({ options: [], answer: { A: "True", B: "False" }[singleLetter(q.answer, 2)] || "" }),
+    grade: (q, response) => {
+      const correctAnswer = singleLetter(q.answer, 2);
+      const given = singleLetter(response, 2);
+      return { given, correctAnswer, fraction: given && given === correctAnswer ? 1 : 0 };
+    },
+    keyOf: (q) => singleLetter(q.answer, 2),
+    validate: (q, rawAnswer) => {
+      if (isBlank(rawAnswer)) return ["Missing answer"];
+      return q.answer ? [] : [`Answer "${rawAnswer}" is not True or False`];
+    }
+  },
+
+  multi: {
+    label: "Multi-select (several correct)",
+    aliases: ["multi", "multi-select", "multiselect", "multiple answer", "multiple response", "checkbox"],
+    objective: true,
+    defaults: () => ({ options: ["", "", "", ""], answer: "" }),
+    rowHtml: (i, value = "", checked = false, locked = []) => `
+      <div class="flex items-center gap-2">
+        <input type="checkbox" class="answerCheck" value="${letter(i)}" ${checked ? "checked" : ""} title="Correct">
+        <input type="text" class="optionInput border rounded-md p-2 flex-1" data-index="${i}"
+          placeholder="Option ${letter(i)}" value="${escapeHtml(value)}">${lockBox(i, locked)}
+      </div>`,
+    editorHtml: (q) => {
+      const key = parseLetters(q.answer);
+      const rows = padOptions(q.options, 4)
+        .map((opt, i) => QUESTION_TYPES.multi.rowHtml(i, opt, key.includes(letter(i)), q.lockedOptions || []))
+        .join("");
+      return `<div class="small mb-1">Tick every correct option.</div>${rowEditor(rows, "+ Option")}`;
+    },
+    readEditor: (body) => {
+      const options = rowsOf(body, ".optionInput");
+      while (options.length > 2 && !options[options.length - 1]) options.pop();
+      const answer = Array.from(body.querySelectorAll(".answerCheck:checked"))
+        .map((c) => c.value)
+        .filter((l) => LETTERS.indexOf(l) < options.length)
+        .join(",");
+      const lockedOptions = lockedOf(body).filter((i) => i < options.length);
+      return { options, answer, lockedOptions };
+    },
+    previewHtml: (q) => previewOptions(q, parseLetters(q.answer, (q.options || []).length)),
+    printLines: (q) => [
+      "(Select all that apply)",
+      ...(q.options || []).map((o, i) => `${letter(i)}. ${htmlToPlainText(o)}`)
+    ],
+    schemeLines: (q) => keyOptionLines(q, parseLetters(q.answer, (q.options || []).length)),
+    studentHtml: (q, name) =>
+      `<div class="small">Select all that apply.</div>${studentChoices(q, name, "checkbox")}`,
+    readResponse: (card) => {
+      const picked = Array.from(card.querySelectorAll("input[type='checkbox']:checked")).map((c) => c.value);
+      return picked.length ? picked.join(",") : null;
+    },
+    fromCells: (c) => {
+      const options = c.options.filter((o) => String(o).trim() !== "");
+      return { options, answer: parseLetters(c.answer, options.length).join(",") };
+    },
+    toCells: (q) => ({ options: q.options || [], answer: q.answer || "" }),
+    grade: (q, response) => {
+      const count = (q.options || []).length;
+      const correctAnswer = parseLetters(q.answer, count).join(",");
+      const given = parseLetters(response, count).join(",");
+      return { given, correctAnswer, fraction: given && given === correctAnswer ? 1 : 0 };
+    },
+    keyOf: (q) => parseLetters(q.answer, (q.options || []).length).join(","),
+    validate: (q, rawAnswer) => {
+      const errors = [];
+      const count = (q.options || []).length;
+      if (count < 2) errors.push("Needs at least two options");
+      if (isBlank(rawAnswer)) return [...errors, "Missing answer"];
+      const letters = parseLetters(rawAnswer, MAX_ROWS);
+      const outside = letters.filter((l) => LETTERS.indexOf(l) >= count);
+      if (letters.length === 0) errors.push(`Answer "${rawAnswer}" is not a list of option letters`);
+      else if (outside.length) errors.push(`Answer ${outside.join(",")} is outside A–${letter(Math.max(count - 1, 0))}`);
+      return errors;
+    }
+  },
+
+  short: {
+    label: "Short answer",
+    aliases: ["short", "short answer", "shortanswer", "text", "fill in the blank", "fill"],
+    defaults: () => ({ options: [], answer: "" }),
+    editorHtml: (q) => `
+      <label class="font-medium text-gray-600">Accepted answers (separate with |):</label>
+      <input type="text" class="acceptedInput border rounded-md p-2 w-full mb-2"
+        placeholder="e.g. 12 | twelve" value="${escapeHtml(q.answer || "")}">`,
+    readEditor: (body) => ({
+      options: [],
+      answer: acceptedList(body.querySelector(".acceptedInput")?.value).join(" | ")
+    }),
+    previewHtml: (q) => `<div class="small">Accepted: ${acceptedList(q.answer).map((a) => math(a, q)).join(" &nbsp;|&nbsp; ")}</div>`,
+    printLines: () => ["Answer: ______________________"],
+    schemeLines: (q) => [`Accept: ${acceptedList(q.answer).map(htmlToPlainText).join(" | ")}`],
+    studentHtml: () =>
+      `<input type="text" class="responseText" autocomplete="off" placeholder="Type your answer">`,
+    readResponse: (card) => card.querySelector(".responseText")?.value.trim() || null,
+    fromCells: (c) => ({ options: [], answer: acceptedList(c.answer).join(" | ") }),
+    toCells: (q) => ({ options: [], answer: q.answer || "" }),
+    grade: (q, response) => {
+      const accepted = acceptedList(q.answer);
+      const given = String(response ?? "").trim();
+      const ok = !!given && accepted.some((a) => normalizeText(a) === normalizeText(given));
+      return { given, correctAnswer: accepted.join(" | "), fraction: ok ? 1 : 0 };
+    },
+    keyOf: (q) => acceptedList(q.answer).map(normalizeText).join("|"),
+    validate: (q) => (acceptedList(q.answer).length ? [] : ["Missing accepted answer(s)"])
+  },
+
+  numeric: {
+    label: "Numeric (with tolerance)",
+    aliases: ["numeric", "number", "numerical"],
+    defaults: () => ({ options: [], answer: "", tolerance: 0 }),
+    editorHtml: (q) => `
+      <div class="flex items-center gap-2 mb-2">
+        <label class="font-medium text-gray-600">Answer:</label>
+        <input type="text" inputmode="decimal" class="numericAnswerInput border rounded-md p-1 w-32" value="${escapeHtml(q.answer ?? "")}">
+        <label class="font-medium text-gray-600 ml-3">± Tolerance:</label>
+        <input type="number" class="toleranceInput border rounded-md p-1 w-24" min="0" step="any" value="${escapeHtml(q.tolerance ?? 0)}">
+      </div>`,
+    readEditor: (body) => ({
+      options: [],
+      answer: body.querySelector(".numericAnswerInput")?.value.trim() || "",
+      tolerance: Math.abs(parseFloat(body.querySelector(".toleranceInput")?.value)) || 0
+    }),
+    previewHtml: (q) =>
+      `<div class="small">Answer: ${math(String(q.answer ?? ""), q)}${Number(q.tolerance) ? ` (± ${escapeHtml(q.tolerance)})` : ""}</div>`,
+    printLines: () => ["Answer: ______________"],
+    schemeLines: (q) => [`${q.answer ?? ""}${Number(q.tolerance) ? ` (± ${q.tolerance})` : ""}`],
+    studentHtml: () =>
+      `<input type="text" inputmode="decimal" class="responseText" autocomplete="off" placeholder="Enter a number">`,
+    readResponse: (card) => card.querySelector(".responseText")?.value.trim() || null,
+    fromCells: (c) => ({
+      options: [],
+      answer: String(c.answer ?? "").trim(),
+      tolerance: Math.abs(parseFloat(c.tolerance)) || 0
+    }),
+    toCells: (q) => ({ options: [], answer: q.answer ?? "", tolerance: Number(q.tolerance) || 0 }),
+    grade: (q, response) => {
+      const expected = parseFloat(String(q.answer).replace(/,/g, ""));
+      const given = String(response ?? "").trim();
+      const value = parseFloat(given.replace(/,/g, ""));
+      const tolerance = Math.abs(Number(q.tolerance)) || 0;
+      const ok = given !== "" && !isNaN(value) && !isNaN(expected) && Math.abs(value - expected) <= tolerance + 1e-9;
+      return { given, correctAnswer: String(q.answer ?? ""), fraction: ok ? 1 : 0 };
+    },
+    keyOf: (q) => `${q.answer}±${Number(q.tolerance) || 0}`,
+    validate: (q, rawAnswer, rawTolerance) => {
+      const errors = [];
+      if (isBlank(rawAnswer)) errors.push("Missing answer");
+      else if (isNaN(Number(String(q.answer).replace(/,/g, "")))) errors.push(`Answer "${rawAnswer}" is not a number`);
+      if (!isBlank(rawTolerance) && isNaN(Number(rawTolerance))) errors.push(`Tolerance "${rawTolerance}" is not a number`);
+      return errors;
+    }
+  },
+
+  matching: {
+    label: "Matching pairs",
+    aliases: ["matching", "match", "pairs"],
+    defaults: () => ({ options: [], answer: "", pairs: [{ left: "", right: "" }, { left: "", right: "" }, { left: "", right: "" }] }),
+    rowHtml: (i, pair = { left: "", right: "" }) => `
+      <div class="flex items-center gap-2">
+        <input type="text" class="pairLeft border rounded-md p-2 flex-1" placeholder="Item ${i + 1}" value="${escapeHtml(pair.left)}">
+        <span>→</span>
+        <input type="text" class="pairRight border rounded-md p-2 flex-1" placeholder="Matches" value="${escapeHtml(pair.right)}">
+      </div>`,
+    editorHtml: (q) => {
+      const pairs = q.pairs && q.pairs.length ? q.pairs : QUESTION_TYPES.matching.defaults().pairs;
+      return rowEditor(pairs.map((p, i) => QUESTION_TYPES.matching.rowHtml(i, p)).join(""), "+ Pair");
+    },
+    readEditor: (body) => {
+      const lefts = rowsOf(body, ".pairLeft");
+      const rights = rowsOf(body, ".pairRight");
+      const pairs = lefts
+        .map((left, i) => ({ left, right: rights[i] || "" }))
+        .filter((p) => p.left || p.right);
+      return { options: [], answer: "", pairs };
+    },
+    previewHtml: (q) => `
+      <table style="width:auto">${(q.pairs || [])
+        .map((p) => `<tr><td>${math(p.left, q)}</td><td>→</td><td style="color:#047857">${math(p.right, q)}</td></tr>`)
+        .join("")}</table>`,
+    printLines: (q) => {
+      const rights = sortedCopy((q.pairs || []).map((p) => htmlToPlainText(p.right)));
+      return [
+        ...(q.pairs || []).map((p, i) => `${i + 1}. ${htmlToPlainText(p.left)}  → ______`),
+        `Choose from: ${rights.join(" ; ")}`
+      ];
+    },
+    schemeLines: (q) => (q.pairs || []).map((p, i) => `${i + 1}. ${htmlToPlainText(p.left)} → ${htmlToPlainText(p.right)}`),
+    // the student copy blanks each pair's right side and lists them apart
+    studentCopy: (q) => ({
+      ...q,
+      pairs: (q.pairs || []).map((p) => ({ left: p.left, right: "" })),
+      rights: sortedCopy((q.pairs || []).map((p) => p.right))
+    }),
+    studentHtml: (q) => {
+      const rights = q.rights || sortedCopy((q.pairs || []).map((p) => p.right));
+      return (q.pairs || [])
+        .map(
+          (p, i) => `
+          <div class="exam-option" style="cursor:default">
+            <span style="flex:1">${math(p.left, q)}</span>
+            <select class="matchSelect" data-index="${i}" style="width:auto;min-width:140px">
+              <option value="">Select</option>
+              ${rights.map((r) => `<option value="${escapeHtml(r)}">${escapeHtml(htmlToPlainText(r))}</option>`).join("")}
+            </select>
+          </div>`
+        )
+        .join("");
+    },
+    readResponse: (card) => {
+      const picks = Array.from(card.querySelectorAll(".matchSelect")).map((s) => s.value);
+      return picks.some(Boolean) ? picks : null;
+    },
+    fromCells: (c) => ({
+      options: [],
+      answer: "",
+      pairs: c.options.map(parsePair).filter(Boolean)
+    }),
+    toCells: (q) => ({ options: (q.pairs || []).map((p) => `${p.left} -> ${p.right}`), answer: "" }),
+    grade: (q, response) => {
+      const pairs = q.pairs || [];
+      const picks = Array.isArray(response) ? response : [];
+      const hits = pairs.filter((p, i) => picks[i] !== undefined && normalizeText(picks[i]) === normalizeText(p.right)).length;
+      return {
+        given: picks.join(" ; "),
+        correctAnswer: pairs.map((p) => p.right).join(" ; "),
+        fraction: pairs.length ? hits / pairs.length : 0
+      };
+    },
+    keyOf: (q) => (q.pairs || []).map((p) => `${normalizeText(p.left)}>${normalizeText(p.right)}`).join("|"),
+    validate: (q) => ((q.pairs || []).length >= 2 ? [] : ['Needs at least two "left -> right" pairs in A–F'])
+  },
+
+  ordering: {
+    label: "Ordering",
+    aliases: ["ordering", "order", "sequence", "sort"],
+    defaults: () => ({ options: ["", "", ""], answer: "" }),
+    rowHtml: (i, value = "") => `
+      <div class="flex items-center gap-2">
+        <span class="small" style="width:20px">${i + 1}.</span>
+        <input type="text" class="optionInput border rounded-md p-2 flex-1" data-index="${i}"
+          placeholder="Item in position ${i + 1}" value="${escapeHtml(value)}">
+      </div>`,
+    editorHtml: (q) => {
+      const rows = padOptions(q.options, 3).map((opt, i) => QUESTION_TYPES.ordering.rowHtml(i, opt)).join("");
+      return `<div class="small mb-1">Enter the items in their correct order.</div>${rowEditor(rows, "+ Item")}`;
+    },
+    readEditor: (body) => ({ options: rowsOf(body, ".optionInput").filter(Boolean), answer: "" }),
+    previewHtml: (q) =>
+      `<ol style="margin:0;padding-left:20px">${(q.options || []).map((o) => `<li>${math(o, q)}</li>`).join("")}</ol>`,
+    printLines: (q, seedKey = "") => [
+      "(Number the items in the correct order)",
+      ...itemOrder(q, seedKey).map((i) => `[   ] ${htmlToPlainText(q.options[i])}`)
+    ],
+    schemeLines: (q) => (q.options || []).map((o, i) => `${i + 1}. ${htmlToPlainText(o)}`),
+    // items are stored in their correct order, so the student copy
+    // reorders them and responses are mapped back before grading
+    studentCopy: (q, seedKey) => ({ ...q, options: itemOrder(q, seedKey).map((i) => q.options[i]) }),
+    fromStudentResponse: (q, response, seedKey) => {
+      if (!Array.isArray(response)) return response;
+      const order = itemOrder(q, seedKey);
+      return response.map((i) => (Number(i) >= 0 && order[Number(i)] !== undefined ? order[Number(i)] : -1));
+    },
+    // items in the order given (the student copy, reshuffled per
+    // student by randomize.js)
+    studentHtml: (q) => {
+      const positions = (q.options || []).map((_, i) => `<option value="${i}">${i + 1}</option>`).join("");
+      return (q.options || [])
+        .map((text, index) => ({ text, index }))
+        .map(
+          (item) => `
+          <div class="exam-option" style="cursor:default">
+            <select class="orderSelect" data-item="${item.index}" style="width:auto">
+              <option value="">#</option>${positions}
+            </select>
+            <span style="flex:1">${math(item.text, q)}</span>
+          </div>`
+        )
+        .join("");
+    },
+    readResponse: (card) => {
+      const selects = Array.from(card.querySelectorAll(".orderSelect"));
+      if (!selects.some((s) => s.value !== "")) return null;
+      const order = [];
+      selects.forEach((s) => {
+        if (s.value !== "") order[Number(s.value)] = Number(s.dataset.item);
+      });
+      return Array.from({ length: selects.length }, (_, i) => (order[i] === undefined ? -1 : order[i]));
+    },
+    fromCells: (c) => ({ options: c.options.filter((o) => String(o).trim() !== ""), answer: "" }),
+    toCells: (q) => ({ options: q.options || [], answer: "" }),
+    grade: (q, response) => {
+      const items = q.options || [];
+      const order = Array.isArray(response) ? response.map(Number) : [];
+      const ok = items.length > 0 && order.length === items.length && order.every((v, i) => v === i);
+      return {
+        given: order.map((i) => (i >= 0 ? i + 1 : "?")).join("-"),
+        correctAnswer: items.map((_, i) => i + 1).join("-"),
+        fraction: ok ? 1 : 0
+      };
+    },
+    keyOf: (q) => (q.options || []).map(normalizeText).join("|"),
+    validate: (q) => ((q.options || []).length >= 2 ? [] : ["Needs at least two items in A–F"])
+  }
+};
+
+export const DEFAULT_TYPE = "mcq";
+
+// ------------------------------------------------------
+// Lookup helpers
+// ------------------------------------------------------
+export function getType(name) {
+  return QUESTION_TYPES[name] || QUESTION_TYPES[DEFAULT_TYPE];
+}
+
+/**
+ * Maps a free-text type name (e.g. from an Excel "Type" column)
+ * to a registry key. Unknown or empty names fall back to mcq.
+ */
+export function resolveType(name) {
+  const s = normalizeText(name);
+  if (!s) return DEFAULT_TYPE;
+  if (QUESTION_TYPES[s]) return s;
+  const found = Object.entries(QUESTION_TYPES).find(([, t]) => t.aliases.includes(s));
+  return found ? found[0] : DEFAULT_TYPE;
+}
+
+/**
+ * Copy of a question for the student page, with nothing that gives
+ * the key away: answers and tolerances are dropped, and types whose
+ * layout is the key (matching, ordering) are rearranged. `seedKey`
+ * is the exam id.
+ */
+export function studentCopy(q, seedKey = "") {
+  const { answer, tolerance, ...rest } = q;
+  const type = getType(q.type);
+  return type.studentCopy ? type.studentCopy(rest, seedKey) : rest;
+}
+
+/**
+ * Responses given on the student copies of `questions` (made with the
+ * same `seedKey`), mapped back to the questions themselves.
+ */
+export function fromStudentResponses(questions = [], responses = {}, seedKey = "") {
+  const out = { ...responses };
+  questions.forEach((q) => {
+    const type = getType(q.type);
+    if (type.fromStudentResponse && out[q.id] !== undefined) out[q.id] = type.fromStudentResponse(q, out[q.id], seedKey);
+  });
+  return out;
+}
+
+export function typeOptionsHtml(current = DEFAULT_TYPE) {
+  return Object.entries(QUESTION_TYPES)
+    .map(([key, t]) => `<option value="${key}" ${key === current ? "selected" : ""}>${t.label}</option>`)
+    .join("");
+}
+
+export default {
+  QUESTION_TYPES,
+  DEFAULT_TYPE,
+  MAX_ROWS,
+  getType,
+  resolveType,
+  parseLetters,
+  studentCopy,
+  fromStudentResponses,
+  typeOptionsHtml
+};
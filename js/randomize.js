@@ -0,0 +1,207 @@
+// ------------------------------------------------------
+// Randomize Module — per-student question/option order
+// ------------------------------------------------------
+// Dependencies: none
+// Variants are seeded from a string (e.g. "<studentId>:<examId>")
+// so the same student always gets the same paper back. Option
+// letters in a variant are remapped; `toOriginalResponses` turns a
+// variant's answers back into the exam's own letters for grading.
+// ------------------------------------------------------
+
+// Types whose options can be shuffled (letters are remapped)
+const SHUFFLABLE_TYPES = ["mcq", "multi"];
+
+// Options like "All of the above" only make sense in place
+const AUTO_LOCK_PATTERN = /\b(all|none|both|neither) of the (above|options)\b|^(both|all)\b.*\band\b/i;
+
+// ------------------------------------------------------
+// Seeded PRNG
+// ------------------------------------------------------
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  const s = String(str ?? "");
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Mulberry32 — small, fast, good enough for shuffling.
+ * @returns {() => number} generator of floats in [0, 1)
+ */
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a permutation of 0..n-1 (Fisher–Yates). Indices listed in
+ * `locked` keep their position.
+ */
+export function seededPermutation(n, rand, locked = []) {
+  const fixed = new Set(locked.filter((i) => i >= 0 && i < n));
+  const free = [];
+  for (let i = 0; i < n; i++) if (!fixed.has(i)) free.push(i);
+
+  for (let i = free.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [free[i], free[j]] = [free[j], free[i]];
+  }
+
+  const out = [];
+  let k = 0;
+  for (let i = 0; i < n; i++) out.push(fixed.has(i) ? i : free[k++]);
+  return out;
+}
+
+// ------------------------------------------------------
+// Variants
+// ------------------------------------------------------
+const letter = (i) => String.fromCharCode(65 + i);
+const indexOf = (l) => String(l).trim().toUpperCase().charCodeAt(0) - 65;
+
+export function lockedOptionsOf(q) {
+  const locked = new Set((q.lockedOptions || []).map(Number));
+  (q.options || []).forEach((opt, i) => {
+    if (AUTO_LOCK_PATTERN.test(String(opt || "").trim())) locked.add(i);
+  });
+  return Array.from(locked);
+}
+
+function remapLetters(answer, optionMap) {
+  // optionMap[newIndex] = originalIndex → invert for the key
+  return String(answer ?? "")
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map((l) => {
+      const original = indexOf(l);
+      const position = optionMap.indexOf(original);
+      return position === -1 ? l : letter(position);
+    })
+    .sort()
+    .join(",");
+}
+
+/**
+ * Builds a deterministic variant of an exam.
+ * @param {Object} exam - exams document data
+ * @param {string} seedKey - e.g. `${studentId}:${examId}`
+ * @param {{ shuffleQuestions?: boolean, shuffleOptions?: boolean }} [opts]
+ *   defaults come from the exam's own settings (both on unless false)
+ * @returns {{ seedKey, questions, questionOrder, optionMaps, itemMaps }}
+ *   questionOrder[i] = original index of the i-th question shown;
+ *   optionMaps[qid][newIndex] = original option index;
+ *   itemMaps[qid][newIndex] = original index of an ordering item
+ */
+export function buildVariant(exam = {}, seedKey = "", opts = {}) {
+  const shuffleQuestions = opts.shuffleQuestions ?? exam.shuffleQuestions !== false;
+  const shuffleOptions = opts.shuffleOptions ?? exam.shuffleOptions !== false;
+  const rand = seededRandom(seedKey);
+  const source = exam.questions || [];
+
+  const questionOrder = shuffleQuestions
+    ? seededPermutation(source.length, rand)
+    : source.map((_, i) => i);
+
+  const optionMaps = {};
+  const itemMaps = {};
+  const questions = questionOrder.map((qi) => {
+    const q = source[qi];
+    const type = q.type || "mcq";
+    const count = (q.options || []).length;
+    // ordering items get their own stream (student, exam and question),
+    // so adding one never moves another question's options; two items
+    // stay as given, which is never the correct order (question-types.js)
+    if (type === "ordering" && shuffleOptions && count > 2) {
+      const map = seededPermutation(count, seededRandom(`${seedKey}:${q.id}`));
+      itemMaps[q.id] = map;
+      return { ...q, options: map.map((orig) => q.options[orig]) };
+    }
+    if (!shuffleOptions || !SHUFFLABLE_TYPES.includes(type) || count < 2) {
+      return { ...q };
+    }
+
+    const map = seededPermutation(count, rand, lockedOptionsOf(q));
+    optionMaps[q.id] = map;
+    return applyOptionMap(q, map);
+  });
+
+  return { seedKey, questions, questionOrder, optionMaps, itemMaps };
+}
+
+function applyOptionMap(q, map) {
+  return {
+    ...q,
+    options: map.map((orig) => q.options[orig]),
+    answer: remapLetters(q.answer, map)
+  };
+}
+
+/**
+ * Rebuilds a variant's questions from a stored layout: question ids
+ * in the order shown and the option maps of buildVariant. Ids no
+ * longer in the exam are skipped.
+ */
+export function applyLayout(exam = {}, questionIds = [], optionMaps = {}) {
+  const byId = new Map((exam.questions || []).map((q) => [q.id, q]));
+  return questionIds
+    .filter((id) => byId.has(id))
+    .map((id) => {
+      const q = byId.get(id);
+      const map = optionMaps[id];
+      return map && map.length === (q.options || []).length ? applyOptionMap(q, map) : { ...q };
+    });
+}
+
+/**
+ * Maps responses given on a variant back to the exam's own letters
+ * (and ordering items back to their original indices). Responses to
+ * questions without a map are returned as-is.
+ */
+export function toOriginalResponses(variant, responses = {}) {
+  const out = {};
+  Object.entries(responses).forEach(([qid, response]) => {
+    const items = variant.itemMaps?.[qid];
+    if (items && Array.isArray(response)) {
+      out[qid] = response.map((i) => items[Number(i)] ?? -1);
+      return;
+    }
+    const map = variant.optionMaps?.[qid];
+    if (!map || typeof response !== "string") {
+      out[qid] = response;
+      return;
+    }
+    out[qid] = response
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map((l) => {
+        const original = map[indexOf(l)];
+        return original === undefined ? l : letter(original);
+      })
+      .sort()
+      .join(",");
+  });
+  return out;
+}
+
+export default {
+  hashSeed,
+  seededRandom,
+  seededPermutation,
+  lockedOptionsOf,
+  buildVariant,
+  applyLayout,
+  toOriginalResponses
+};
@@ -0,0 +1,438 @@
+// ------------------------------------------------------
+// Response Import Module — paper answers from CSV / Excel
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-types.js,
+//               print-layout.js, paper-versions.js, grading.js
+// One row per student: an ID column, an optional name and paper
+// version column, and one column per question holding the chosen
+// letter (or option text, as Google Forms exports it). Question
+// columns are numbered as on the printed paper (print-layout.js
+// paperOrder) of the row's version; Forms-style headers holding the
+// question text are matched to the question itself. Rows are checked
+// against the assessment and scored with its stored keys before
+// anything is saved.
+// ------------------------------------------------------
+
+import {
+  db,
+  collection,
+  addDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp
+} from "../firebase-config.js";
+import { toast, escapeHtml, htmlToPlainText, showLoader, hideLoader } from "./utils.js";
+import { parseLetters } from "./question-types.js";
+import { paperOrder } from "./print-layout.js";
+import { VERSION_LABELS, versionQuestions, versionRev, toExamResponses } from "./paper-versions.js";
+import { gradeSubmission, saveResult } from "./grading.js";
+
+const ID_ALIASES = [
+  "student id", "studentid", "id", "admission number", "admission no", "adm no", "reg no",
+  "registration number", "candidate number", "candidate no", "student number", "email address", "email"
+];
+const NAME_ALIASES = ["student name", "name", "full name", "student", "candidate name", "your name"];
+const VERSION_ALIASES = ["version", "paper version", "paper"];
+// "Q1", "q 1", "Question 1", "1", "1."
+const NUMBERED_HEADER = /^(?:q(?:uestion)?\s*\.?\s*)?(\d+)\s*[.)]?$/i;
+
+// Main elements
+const responsesModal = document.getElementById("responsesModal");
+const closeResponses = document.getElementById("closeResponses");
+const responsesTitle = document.getElementById("responsesTitle");
+const responsesFile = document.getElementById("responsesFile");
+const responsesMapping = document.getElementById("responsesMapping");
+const responsesReport = document.getElementById("responsesReport");
+const responsesSaveBtn = document.getElementById("responsesSaveBtn");
+
+// { id, data } of the exam, attempts already on record per student,
+// and the loaded sheet (with `saved`: score text by student ID, kept
+// across re-checks so a row is never saved twice)
+let target = null;
+let attemptsOnRecord = {};
+let state = null;
+
+function normalize(s) {
+  return htmlToPlainText(String(s ?? "")).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// ------------------------------------------------------
+// Mapping
+// ------------------------------------------------------
+
+/**
+ * Questions as numbered on the printed paper of `version` ("" = the
+ * master paper).
+ */
+export function numberedQuestions(exam = {}, version = "") {
+  const questions = version ? versionQuestions(exam, version) : exam.questions || [];
+  return paperOrder(questions).map((i) => i.q);
+}
+
+/**
+ * Guesses which header holds the ID, name and version, and which
+ * question each other header answers: a printed number ("Q3", read on
+ * each row's own version) or, for a header that repeats the question
+ * text (Google Forms), that question's id.
+ * @returns {{ id: string, name: string, version: string, questions: Object<string, number|string> }}
+ */
+export function guessResponseMapping(headers = [], exam = {}) {
+  const find = (aliases) => aliases.map((a) => headers.find((h) => normalize(h) === a)).find((h) => h !== undefined) || "";
+  const id = find(ID_ALIASES);
+  const name = find(NAME_ALIASES.filter((a) => a !== normalize(id)));
+  const version = find(VERSION_ALIASES);
+
+  const byText = new Map((exam.questions || []).map((q) => [normalize(q.question), q.id]));
+  const questions = {};
+  headers.forEach((h) => {
+    if ([id, name, version].includes(h)) return;
+    const numbered = String(h).trim().match(NUMBERED_HEADER);
+    if (numbered) questions[h] = Number(numbered[1]);
+    else if (byText.has(normalize(h))) questions[h] = byText.get(normalize(h));
+  });
+  return { id, name, version, questions };
+}
+
+// ------------------------------------------------------
+// Cell values
+// ------------------------------------------------------
+function optionLetter(q, raw, count) {
+  const s = String(raw).trim();
+  const single = s.match(/^([A-Za-z])(?:[.)]\s.*)?$/);
+  if (single) {
+    const l = single[1].toUpperCase();
+    return l.charCodeAt(0) - 65 < count ? l : null;
+  }
+  const i = (q.options || []).findIndex((o) => normalize(o) === normalize(s));
+  return i === -1 ? null : String.fromCharCode(65 + i);
+}
+
+/**
+ * A cell as a response to `q` (as printed on the row's version).
+ * @returns {{ value: *, error?: string }} value null when blank
+ */
+export function cellResponse(q, raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return { value: null };
+  const type = q.type || "mcq";
+
+  if (type === "mcq") {
+    const l = optionLetter(q, s, (q.options || []).length);
+    return l ? { value: l } : { value: null, error: `"${s}" is not one of A–${String.fromCharCode(64 + (q.options || []).length)}` };
+  }
+  if (type === "truefalse") {
+    const t = s.toLowerCase();
+    if (["a", "true", "t", "yes"].includes(t)) return { value: "A" };
+    if (["b", "false", "f", "no"].includes(t)) return { value: "B" };
+    return { value: null, error: `"${s}" is not True or False` };
+  }
+  if (type === "multi") {
+    const count = (q.options || []).length;
+    // letters ("A, C") or option texts separated by ";" (Google Forms)
+    const letters = /^[A-Za-z](\s*[,;/\s]\s*[A-Za-z])*$/.test(s)
+      ? parseLetters(s, 26).map((l) => (l.charCodeAt(0) - 65 < count ? l : null))
+      : s.split(";").map((part) => optionLetter(q, part, count));
+    if (!letters.length || letters.includes(null)) {
+      return { value: null, error: `"${s}" is not a list of options A–${String.fromCharCode(64 + count)}` };
+    }
+    return { value: Array.from(new Set(letters)).sort().join(",") };
+  }
+  if (type === "short" || type === "numeric") return { value: s };
+  return { value: null, error: "Matching and ordering answers cannot be imported; mark them by hand" };
+}
+
+// ------------------------------------------------------
+// Rows
+// ------------------------------------------------------
+
+/**
+ * Checks every row against the exam.
+ * @param {Object[]} rows - sheet_to_json objects (header → cell)
+ * @returns {{ problems: string[], notes: string[], rows: Object[] }}
+ *   problems block saving; notes do not; each row carries its own
+ *   errors and warnings
+ */
+export function checkResponseRows(rows = [], mapping = {}, exam = {}) {
+  const problems = [];
+  const notes = [];
+  const master = numberedQuestions(exam);
+  const printed = VERSION_LABELS.filter((l) => exam.paperVersions?.[l]);
+  if (!mapping.id) problems.push("Choose the column that holds the student ID.");
+
+  // numbers are printed positions; strings are question ids
+  const targets = Object.entries(mapping.questions || {});
+  const masterNumber = new Map(master.map((q, i) => [q.id, i + 1]));
+  const numbers = targets.map(([, n]) => n).filter((n) => typeof n === "number");
+  const ids = targets.map(([, n]) => n).filter((n) => typeof n === "string");
+  const outside = numbers.filter((n) => n < 1 || n > master.length);
+  if (outside.length) problems.push(`The sheet has answers for question ${outside.join(", ")}, but this assessment has ${master.length} questions.`);
+  if (ids.some((qid) => !masterNumber.has(qid))) problems.push("A column is matched to a question that is no longer in this assessment.");
+  const doubled = [...numbers, ...ids].filter((n, i, all) => all.indexOf(n) !== i).map((n) => masterNumber.get(n) ?? n);
+  if (doubled.length) problems.push(`More than one column answers question ${Array.from(new Set(doubled)).join(", ")}.`);
+  const missing = master.map((_, i) => i + 1).filter((n) => !numbers.includes(n) && !ids.includes(master[n - 1].id));
+  if (missing.length) notes.push(`No column for Q${missing.join(", Q")}; scored as unanswered.`);
+
+  const seen = new Set();
+  const out = rows.map((row, i) => {
+    const errors = [];
+    const warnings = [];
+    const studentId = String(row[mapping.id] ?? "").trim();
+    const studentName = mapping.name ? String(row[mapping.name] ?? "").trim() : "";
+    const version = mapping.version ? String(row[mapping.version] ?? "").trim().toUpperCase() : "";
+
+    if (!studentId) errors.push("Missing student ID");
+    else if (seen.has(studentId.toLowerCase())) errors.push(`Student ID ${studentId} appears more than once`);
+    seen.add(studentId.toLowerCase());
+    if (version && !printed.includes(version)) errors.push(`Version "${version}" was never printed for this assessment`);
+
+    // the row's own paper, so option letters are the ones it printed
+    const questions = version && printed.includes(version) ? numberedQuestions(exam, version) : master;
+    const responses = {};
+    targets.forEach(([header, n]) => {
+      const q = typeof n === "number" ? questions[n - 1] : questions.find((x) => x.id === n);
+      if (!q) return;
+      const { value, error } = cellResponse(q, row[header]);
+      if (error) warnings.push(`Q${typeof n === "number" ? n : masterNumber.get(n)}: ${error} (scored as unanswered)`);
+      else if (value !== null) responses[q.id] = value;
+    });
+    if (!Object.keys(responses).length && !errors.length) warnings.push("No answers");
+
+    const paperVersion = printed.includes(version) ? version : "";
+    const submission = { studentId, studentName, paperVersion, responses };
+    if (paperVersion) submission.paperVersionRev = versionRev(exam.paperVersions[paperVersion]);
+    const result = errors.length ? null : gradeSubmission(exam, toExamResponses(exam, submission));
+    return { rowNumber: (row.__rowNum__ ?? i + 1) + 1, submission, errors, warnings, result };
+  });
+  return { problems, notes, rows: out };
+}
+
+// ------------------------------------------------------
+// UI
+// ------------------------------------------------------
+function headersOf(workbook, sheetName) {
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: "" });
+  const first = rows.find((r) => r.some((c) => String(c).trim() !== "")) || [];
+  return first.map((h) => String(h).trim()).filter(Boolean);
+}
+
+function columnSelect(field, current, headers) {
+  return `
+    <select data-field="${field}" style="width:auto">
+      <option value="">(none)</option>
+      ${headers.map((h) => `<option value="${escapeHtml(h)}" ${h === current ? "selected" : ""}>${escapeHtml(h)}</option>`).join("")}
+    </select>`;
+}
+
+function renderMapping() {
+  const { workbook, sheetName, headers, mapping } = state;
+  const master = numberedQuestions(target.data);
+  const versioned = VERSION_LABELS.some((l) => target.data.paperVersions?.[l]);
+  const questionHeaders = headers.filter((h) => ![mapping.id, mapping.name, mapping.version].includes(h));
+  responsesMapping.innerHTML = `
+    <div class="row" style="margin-top:10px">
+      ${workbook.SheetNames.length > 1 ? `<label class="small">Sheet
+        <select data-field="sheet" style="width:auto">${workbook.SheetNames.map((n) => `<option ${n === sheetName ? "selected" : ""}>${escapeHtml(n)}</option>`).join("")}</select>
+      </label>` : ""}
+      <label class="small">Student ID ${columnSelect("id", mapping.id, headers)}</label>
+      <label class="small">Name ${columnSelect("name", mapping.name, headers)}</label>
+      <label class="small">Paper version ${columnSelect("version", mapping.version, headers)}</label>
+    </div>
+    <details style="margin-top:8px" ${Object.keys(mapping.questions).length ? "" : "open"}>
+      <summary class="small">Question columns (${Object.keys(mapping.questions).length} of ${master.length} matched)</summary>
+      <table style="margin-top:6px">
+        <thead><tr><th>Column</th><th>Answers</th><th>Question</th></tr></thead>
+        <tbody>${questionHeaders
+          .map((h) => {
+            const n = mapping.questions[h];
+            const byId = typeof n === "string" ? master.find((q) => q.id === n) : null;
+            const shown = byId || (versioned ? null : master[n - 1]);
+            return `<tr>
+              <td>${escapeHtml(h)}</td>
+              <td><select data-question="${escapeHtml(h)}" style="width:auto">
+                <option value="">Ignore</option>
+                ${n > master.length ? `<option value="${n}" selected>Q${n} (not in this assessment)</option>` : ""}
+                <optgroup label="Number on the student's paper">
+                  ${master.map((_, i) => `<option value="${i + 1}" ${n === i + 1 ? "selected" : ""}>Q${i + 1}</option>`).join("")}
+                </optgroup>
+                <optgroup label="Question">
+                  ${master.map((q, i) => `<option value="id:${escapeHtml(q.id)}" ${n === q.id ? "selected" : ""}>Q${i + 1} on the master: ${escapeHtml(htmlToPlainText(q.question || "").slice(0, 40))}</option>`).join("")}
+                </optgroup>
+              </select></td>
+              <td class="small">${
+                shown
+                  ? escapeHtml(htmlToPlainText(shown.question || "").slice(0, 80))
+                  : typeof n === "number"
+                    ? "Question printed at this number on each row's version"
+                    : ""
+              }</td>
+            </tr>`;
+          })
+          .join("")}</tbody>
+      </table>
+    </details>`;
+}
+
+function renderReport() {
+  const { problems, notes, rows } = state.report;
+  const ready = rows.filter((r) => !r.errors.length && !r.saved);
+  responsesReport.innerHTML = `
+    ${problems.map((p) => `<div class="small" style="color:#b91c1c;margin-top:6px">${escapeHtml(p)}</div>`).join("")}
+    ${notes.map((n) => `<div class="small" style="margin-top:6px">${escapeHtml(n)}</div>`).join("")}
+    <div class="small" style="margin-top:8px">${rows.length} row(s): ${ready.length} ready, ${rows.filter((r) => r.errors.length).length} with errors${
+      rows.some((r) => r.saved) ? `, ${rows.filter((r) => r.saved).length} saved` : ""
+    }.</div>
+    <table style="margin-top:6px">
+      <thead><tr><th>Row</th><th>Student</th><th>Version</th><th>Score</th><th>Issues</th></tr></thead>
+      <tbody>${rows
+        .map((r) => {
+          const { studentId, studentName, paperVersion } = r.submission;
+          const previous = (!r.saved && attemptsOnRecord[studentId]) || 0;
+          const issues = [
+            ...r.errors.map((e) => `<div style="color:#b91c1c">${escapeHtml(e)}</div>`),
+            ...r.warnings.map((w) => `<div>${escapeHtml(w)}</div>`),
+            previous ? `<div>Already has ${previous} result(s); this adds attempt ${previous + 1}</div>` : ""
+          ].join("");
+          return `<tr>
+            <td>${r.rowNumber}</td>
+            <td>${escapeHtml(studentName)} <span class="small">${escapeHtml(studentId)}</span></td>
+            <td>${escapeHtml(paperVersion || "—")}</td>
+            <td>${r.saved ? `<strong>${escapeHtml(r.saved)}</strong>` : r.result ? `${r.result.score}/${r.result.total} (${r.result.grade})` : "—"}</td>
+            <td class="small">${issues || "OK"}</td>
+          </tr>`;
+        })
+        .join("")}</tbody>
+    </table>`;
+  responsesSaveBtn.disabled = problems.length > 0 || ready.length === 0;
+  responsesSaveBtn.textContent = ready.length ? `Save ${ready.length} result(s)` : "Save results";
+}
+
+function recheck() {
+  const { workbook, sheetName, mapping } = state;
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: "", raw: false });
+  state.report = checkResponseRows(rows, mapping, target.data);
+  state.report.rows.forEach((r) => {
+    const saved = state.saved[r.submission.studentId.toLowerCase()];
+    if (saved) r.saved = saved;
+  });
+  renderMapping();
+  renderReport();
+}
+
+function loadSheet(sheetName) {
+  const headers = headersOf(state.workbook, sheetName);
+  state = { ...state, sheetName, headers, mapping: guessResponseMapping(headers, target.data) };
+  recheck();
+}
+
+async function onFile() {
+  const file = responsesFile.files?.[0];
+  if (!file || !target) return;
+  if (typeof XLSX === "undefined") return toast("The spreadsheet reader has not loaded yet. Try again in a moment.", "error");
+  showLoader("global", "Reading responses...");
+  try {
+    const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: "array" });
+    state = { file: file.name, workbook, saved: {} };
+    loadSheet(workbook.SheetNames[0]);
+  } catch (err) {
+    console.error("onFile:", err);
+    toast("Could not read that file: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+async function onSave() {
+  const { id, data } = target;
+  const ready = state.report.rows.filter((r) => !r.errors.length && !r.saved);
+  showLoader("global", "Saving results...");
+  let saved = 0;
+  try {
+    for (const row of ready) {
+      const attempt = (attemptsOnRecord[row.submission.studentId] || 0) + 1;
+      const submission = {
+        examId: id,
+        examTitle: data.title || "",
+        year: data.year || "",
+        term: data.term || "",
+        theclass: data.theclass || "",
+        subject: data.subject || "",
+        assessmentName: data.assessmentName || "",
+        ...row.submission,
+        source: "import",
+        sourceFile: state.file,
+        attempt,
+        submittedAt: serverTimestamp()
+      };
+      const ref = await addDoc(collection(db, "submissions"), submission);
+      const result = await saveResult(id, data, ref.id, submission);
+      attemptsOnRecord[row.submission.studentId] = attempt;
+      row.saved = `${result.score}/${result.total} (${result.grade})`;
+      state.saved[row.submission.studentId.toLowerCase()] = row.saved;
+      saved++;
+    }
+    toast(`Saved ${saved} result(s).`, "success");
+  } catch (err) {
+    console.error("response import:", err);
+    toast(`Saved ${saved} result(s), then failed: ${err.message || err}`, "error");
+  } finally {
+    hideLoader("global");
+    renderReport();
+  }
+}
+
+async function openResponses(id, data = {}) {
+  if (!responsesModal || !id) return;
+  target = { id, data };
+  state = null;
+  attemptsOnRecord = {};
+  responsesTitle.textContent = data.title || id;
+  responsesFile.value = "";
+  responsesMapping.innerHTML = "";
+  responsesReport.innerHTML = "";
+  responsesSaveBtn.disabled = true;
+  responsesModal.style.display = "flex";
+  try {
+    const snap = await getDocs(query(collection(db, "submissions"), where("examId", "==", id)));
+    snap.forEach((d) => {
+      const sid = d.data().studentId;
+      if (sid) attemptsOnRecord[sid] = Math.max(attemptsOnRecord[sid] || 0, Number(d.data().attempt) || 1);
+    });
+  } catch (err) {
+    console.error("openResponses:", err);
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!responsesModal) return;
+
+  // "Responses" button in the Saved Assessments table (assessment-manager.js)
+  window.addEventListener("assessment:responses", (e) => openResponses(e.detail?.id, e.detail?.data));
+  responsesFile.addEventListener("change", onFile);
+  responsesSaveBtn.addEventListener("click", onSave);
+
+  responsesMapping.addEventListener("change", (e) => {
+    if (!state) return;
+    const { field, question } = e.target.dataset;
+    if (field === "sheet") return loadSheet(e.target.value);
+    if (field) state.mapping[field] = e.target.value;
+    if (question !== undefined) {
+      const value = e.target.value;
+      if (value) state.mapping.questions[question] = value.startsWith("id:") ? value.slice(3) : Number(value);
+      else delete state.mapping.questions[question];
+    }
+    // a header picked for the ID, name or version no longer answers a question
+    [state.mapping.id, state.mapping.name, state.mapping.version].forEach((h) => delete state.mapping.questions[h]);
+    recheck();
+  });
+
+  if (closeResponses) closeResponses.addEventListener("click", () => (responsesModal.style.display = "none"));
+  responsesModal.addEventListener("click", (ev) => {
+    if (ev.target === responsesModal) responsesModal.style.display = "none";
+  });
+})();
+
+export default { numberedQuestions, guessResponseMapping, cellResponse, checkResponseRows };
@@ -0,0 +1,338 @@
+// ------------------------------------------------------
+// Revisions Module — history, diff and restore per assessment
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-types.js,
+//               grading.js, auth.js, workflow.js
+// Every save of an exams document adds a full snapshot to
+// exams/{id}/revisions. The History panel diffs consecutive
+// snapshots question by question (matched on question id) and can
+// restore any of them; a restore is itself recorded as a revision.
+// ------------------------------------------------------
+
+import { db, collection, addDoc, getDocs, getDoc, updateDoc, doc, serverTimestamp } from "../firebase-config.js";
+import { toast, showLoader, hideLoader, escapeHtml, formatDateTime, confirmDialog, htmlToPlainText } from "./utils.js";
+import { getType } from "./question-types.js";
+import { answerKeyChanged, regradeExam } from "./grading.js";
+import { currentProfile, canModifyExam } from "./auth.js";
+import { contentLockedReason, approvalResetFields } from "./workflow.js";
+
+// Exam fields kept in a snapshot besides the questions
+const SNAPSHOT_FIELDS = [
+  "year", "term", "theclass", "subject", "assessmentName", "title",
+  "shuffleQuestions", "shuffleOptions"
+];
+
+// Settings shown in the diff, with their labels
+const DIFFED_SETTINGS = {
+  title: "Title",
+  shuffleQuestions: "Shuffle questions",
+  shuffleOptions: "Shuffle options"
+};
+
+// Main elements
+const historyModal = document.getElementById("historyModal");
+const closeHistory = document.getElementById("closeHistory");
+const historyTitle = document.getElementById("historyTitle");
+const historyList = document.getElementById("historyList");
+const historyDiff = document.getElementById("historyDiff");
+
+let historyExamId = null;
+let historyCanRestore = false;
+let historyRevisions = [];
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+function revisionsRef(examId) {
+  return collection(db, "exams", examId, "revisions");
+}
+
+function toMillis(ts) {
+  if (!ts) return 0;
+  if (typeof ts.toMillis === "function") return ts.toMillis();
+  if (ts.seconds) return ts.seconds * 1000;
+  return new Date(ts).getTime() || 0;
+}
+
+function plain(s) {
+  return htmlToPlainText(String(s ?? ""));
+}
+
+function totalMarks(questions = []) {
+  return questions.reduce((sum, q) => sum + (Number(q.marks) || 1), 0);
+}
+
+/**
+ * Name recorded as "who" on revisions (the signed-in user, auth.js).
+ */
+export function currentEditorName() {
+  return currentProfile()?.name || "Unknown";
+}
+
+// ------------------------------------------------------
+// Recording
+// ------------------------------------------------------
+
+/**
+ * Adds a snapshot of `exam` to the exam's revision history.
+ * @param {string} examId
+ * @param {Object} exam - exams document data (questions + metadata)
+ * @param {{ note?: string }} [opts]
+ */
+export async function recordRevision(examId, exam = {}, { note = "" } = {}) {
+  const snapshot = { questions: exam.questions || [] };
+  SNAPSHOT_FIELDS.forEach((k) => exam[k] !== undefined && (snapshot[k] = exam[k]));
+  return addDoc(revisionsRef(examId), {
+    ...snapshot,
+    note,
+    savedBy: currentEditorName(),
+    savedByUid: currentProfile()?.uid || "",
+    savedAt: serverTimestamp()
+  });
+}
+
+/**
+ * Revisions for an exam, newest first.
+ * @returns {Promise<Array<{ id, data }>>}
+ */
+export async function fetchRevisions(examId) {
+  const snap = await getDocs(revisionsRef(examId));
+  const list = [];
+  snap.forEach((d) => list.push({ id: d.id, data: d.data() }));
+  return list.sort((a, b) => toMillis(b.data.savedAt) - toMillis(a.data.savedAt));
+}
+
+/**
+ * Exams saved before history existed get their current state
+ * recorded once, so the first tracked save never loses it.
+ */
+export async function ensureBaseline(examId, exam) {
+  const snap = await getDocs(revisionsRef(examId));
+  if (snap.empty) await recordRevision(examId, exam, { note: "Version before history was kept" });
+}
+
+// ------------------------------------------------------
+// Diff
+// ------------------------------------------------------
+
+function pairsText(q) {
+  return (q.pairs || []).map((p) => `${plain(p.left)} → ${plain(p.right)}`).join(" | ");
+}
+
+/**
+ * Question-level differences between two snapshots.
+ * @returns {{ meta: Array<{field, before, after}>, questions: Array<{ number, kind, changes }> }}
+ *   kind is "added", "removed" or "changed"; changes lists
+ *   { field, before, after } for text, type, options, pairs, answer
+ *   key, marks
+ */
+export function diffRevisions(older = {}, newer = {}) {
+  const meta = [];
+  Object.entries(DIFFED_SETTINGS).forEach(([key, field]) => {
+    if (older[key] !== undefined && String(older[key]) !== String(newer[key])) {
+      meta.push({ field, before: String(older[key]), after: String(newer[key]) });
+    }
+  });
+
+  const before = older.questions || [];
+  const after = newer.questions || [];
+  const beforeById = new Map(before.map((q) => [q.id, q]));
+  const afterIds = new Set(after.map((q) => q.id));
+  const questions = [];
+
+  after.forEach((q, i) => {
+    const prev = beforeById.get(q.id);
+    if (!prev) {
+      questions.push({ number: i + 1, kind: "added", text: plain(q.question), changes: [] });
+      return;
+    }
+    const changes = [];
+    const push = (field, a, b) => a !== b && changes.push({ field, before: a, after: b });
+    push("Text", plain(prev.question), plain(q.question));
+    push("Type", getType(prev.type).label, getType(q.type).label);
+    push("Options", (prev.options || []).map(plain).join(" | "), (q.options || []).map(plain).join(" | "));
+    push("Pairs", pairsText(prev), pairsText(q));
+    // a matching key is its pairs, shown readably just above
+    if (prev.type !== "matching" || q.type !== "matching") {
+      push("Answer key", getType(prev.type).keyOf(prev), getType(q.type).keyOf(q));
+    }
+    push("Marks", String(Number(prev.marks) || 1), String(Number(q.marks) || 1));
+    if ((prev.imageUrl || "") !== (q.imageUrl || "")) {
+      changes.push({ field: "Image", before: prev.imageUrl ? "image" : "none", after: q.imageUrl ? "new image" : "none" });
+    }
+    if (changes.length) questions.push({ number: i + 1, kind: "changed", text: plain(q.question), changes });
+  });
+
+  before.forEach((q, i) => {
+    if (!afterIds.has(q.id)) questions.push({ number: i + 1, kind: "removed", text: plain(q.question), changes: [] });
+  });
+
+  return { meta, questions };
+}
+
+// ------------------------------------------------------
+// Restore
+// ------------------------------------------------------
+
+/**
+ * Writes a revision's snapshot back to the exams document. Only
+ * exams whose content may change are restored, and an Approved exam
+ * returns to Draft (workflow.js); submissions are re-graded if the
+ * key changed.
+ */
+export async function restoreRevision(examId, revision) {
+  const ref = doc(db, "exams", examId);
+  const current = await getDoc(ref);
+  if (!current.exists()) throw new Error("Assessment no longer exists.");
+  const exam = current.data();
+  const locked = contentLockedReason(exam);
+  if (locked) throw new Error(locked);
+
+  const restored = {};
+  SNAPSHOT_FIELDS.forEach((k) => revision[k] !== undefined && (restored[k] = revision[k]));
+  restored.questions = revision.questions || [];
+
+  Object.assign(restored, approvalResetFields(exam));
+
+  await updateDoc(ref, { ...restored, updatedAt: serverTimestamp() });
+  const when = formatDateTime(toMillis(revision.savedAt));
+  await recordRevision(examId, { ...exam, ...restored }, { note: `Restored from ${when}` });
+
+  let regraded = 0;
+  if (answerKeyChanged(exam.questions || [], restored.questions)) {
+    regraded = await regradeExam(examId, { ...exam, ...restored });
+  }
+  return { data: { ...exam, ...restored }, regraded };
+}
+
+// ------------------------------------------------------
+// History panel
+// ------------------------------------------------------
+function renderDiff(older, newer) {
+  if (!older) {
+    historyDiff.innerHTML = `<div class="small">This is the earliest revision — nothing to compare with.</div>`;
+    return;
+  }
+  const { meta, questions } = diffRevisions(older.data, newer.data);
+  if (!meta.length && !questions.length) {
+    historyDiff.innerHTML = `<div class="small">No changes to questions or settings.</div>`;
+    return;
+  }
+
+  const KIND_COLORS = { added: "#047857", removed: "#b91c1c", changed: "#b45309" };
+  const metaHtml = meta
+    .map((m) => `<tr><td>Settings</td><td>${escapeHtml(m.field)}</td><td>${escapeHtml(m.before)}</td><td>${escapeHtml(m.after)}</td></tr>`)
+    .join("");
+  const rowsHtml = questions
+    .map((q) => {
+      const label = `<span style="color:${KIND_COLORS[q.kind]};font-weight:700">Q${q.number} ${q.kind}</span>`;
+      if (q.kind !== "changed") {
+        return `<tr><td>${label}</td><td colspan="3">${escapeHtml(q.text)}</td></tr>`;
+      }
+      return q.changes
+        .map((c, i) => `
+          <tr>
+            <td>${i === 0 ? label : ""}</td>
+            <td>${escapeHtml(c.field)}</td>
+            <td style="color:#b91c1c">${escapeHtml(c.before)}</td>
+            <td style="color:#047857">${escapeHtml(c.after)}</td>
+          </tr>`)
+        .join("");
+    })
+    .join("");
+
+  historyDiff.innerHTML = `
+    <div class="small" style="margin-bottom:6px">Changes from ${escapeHtml(formatDateTime(toMillis(older.data.savedAt)))} to ${escapeHtml(formatDateTime(toMillis(newer.data.savedAt)))}</div>
+    <table>
+      <thead><tr><th style="width:120px">Question</th><th style="width:100px">Field</th><th>Before</th><th>After</th></tr></thead>
+      <tbody>${metaHtml}${rowsHtml}</tbody>
+    </table>`;
+}
+
+function renderHistoryList() {
+  if (historyRevisions.length === 0) {
+    historyList.innerHTML = `<tr><td colspan="4" class="small">No revisions recorded yet. One is added on every save.</td></tr>`;
+    return;
+  }
+  historyList.innerHTML = historyRevisions
+    .map(({ id, data }, i) => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(toMillis(data.savedAt)))}${i === 0 ? ` <span class="small">(current)</span>` : ""}</td>
+        <td>${escapeHtml(data.savedBy || "Unknown")}</td>
+        <td>${(data.questions || []).length} • ${totalMarks(data.questions)} marks${data.note ? `<div class="small">${escapeHtml(data.note)}</div>` : ""}</td>
+        <td style="white-space:nowrap">
+          <button class="btn ghost small histDiff" data-index="${i}">Changes</button>
+          ${i === 0 || !historyCanRestore ? "" : `<button class="btn small histRestore" data-id="${id}">Restore</button>`}
+        </td>
+      </tr>`)
+    .join("");
+}
+
+async function openHistory(examId, exam = {}) {
+  if (!historyModal) return;
+  historyExamId = examId;
+  historyCanRestore = canModifyExam(exam);
+  historyTitle.textContent = exam.title || examId;
+  historyList.innerHTML = `<tr><td colspan="4" class="small">Loading...</td></tr>`;
+  historyDiff.innerHTML = "";
+  historyModal.style.display = "flex";
+  try {
+    historyRevisions = await fetchRevisions(examId);
+    renderHistoryList();
+  } catch (err) {
+    console.error("openHistory:", err);
+    historyList.innerHTML = `<tr><td colspan="4">Failed to load history.</td></tr>`;
+  }
+}
+
+async function onRestore(revisionId) {
+  const revision = historyRevisions.find((r) => r.id === revisionId);
+  if (!revision) return;
+  const when = formatDateTime(toMillis(revision.data.savedAt));
+  const ok = await confirmDialog(`Restore the version saved ${when}? The current version stays in the history.`);
+  if (!ok) return;
+
+  showLoader("global", "Restoring...");
+  try {
+    const { data, regraded } = await restoreRevision(historyExamId, revision.data);
+    toast("Revision restored.", "success");
+    if (regraded > 0) toast(`Re-graded ${regraded} submission(s).`, "info");
+    window.dispatchEvent(new CustomEvent("assessment:restored", { detail: { id: historyExamId, data } }));
+    historyRevisions = await fetchRevisions(historyExamId);
+    renderHistoryList();
+    historyDiff.innerHTML = "";
+  } catch (err) {
+    console.error("onRestore:", err);
+    toast("Restore failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  if (!historyModal) return;
+
+  // History button in the Saved Assessments table (assessment-manager.js)
+  window.addEventListener("assessment:history", (e) => openHistory(e.detail?.id, e.detail?.data));
+
+  historyList.addEventListener("click", (e) => {
+    const diffBtn = e.target.closest(".histDiff");
+    if (diffBtn) {
+      const i = Number(diffBtn.dataset.index);
+      renderDiff(historyRevisions[i + 1], historyRevisions[i]);
+      return;
+    }
+    const restoreBtn = e.target.closest(".histRestore");
+    if (restoreBtn) onRestore(restoreBtn.dataset.id);
+  });
+
+  if (closeHistory) closeHistory.addEventListener("click", () => (historyModal.style.display = "none"));
+  historyModal.addEventListener("click", (ev) => {
+    if (ev.target === historyModal) historyModal.style.display = "none";
+  });
+})();
+
+export default { recordRevision, fetchRevisions, ensureBaseline, diffRevisions, restoreRevision, currentEditorName };
@@ -0,0 +1,117 @@
+// ------------------------------------------------------
+// Schedule Module — availability windows, durations, attempts
+// ------------------------------------------------------
+// Dependencies: utils.js
+// Shared by the teacher page (Saved Assessments) and the student
+// page (delivery). Exams carry:
+//   opensAt / closesAt  — epoch milliseconds, or null for no limit
+//   durationMinutes     — per attempt, 0 = untimed
+//   maxAttempts         — per student, at least 1
+// A Published exam is upcoming before opensAt, live until closesAt
+// and closed after it; other stages are not delivered at all.
+// firestore.rules holds questions and submissions to the window and
+// maxAttempts to the attempts counter; durationMinutes is only
+// enforced by the student page's timer.
+// ------------------------------------------------------
+
+import { escapeHtml, formatDateTime } from "./utils.js";
+
+export const AVAILABILITY = {
+  upcoming: "Upcoming",
+  live: "Live",
+  closed: "Closed"
+};
+
+/**
+ * Schedule fields with defaults applied.
+ * @returns {{ opensAt: number|null, closesAt: number|null, durationMinutes: number, maxAttempts: number }}
+ */
+export function scheduleOf(exam = {}) {
+  const num = (v) => (v === null || v === undefined || v === "" || isNaN(Number(v)) ? null : Number(v));
+  return {
+    opensAt: num(exam.opensAt),
+    closesAt: num(exam.closesAt),
+    durationMinutes: Math.max(0, num(exam.durationMinutes) || 0),
+    maxAttempts: Math.max(1, num(exam.maxAttempts) || 1)
+  };
+}
+
+/**
+ * "upcoming" | "live" | "closed" for a Published exam, null otherwise.
+ */
+export function availabilityOf(exam = {}, now = Date.now()) {
+  if (exam.status !== "Published") return null;
+  const { opensAt, closesAt } = scheduleOf(exam);
+  if (opensAt && now < opensAt) return "upcoming";
+  if (closesAt && now >= closesAt) return "closed";
+  return "live";
+}
+
+/**
+ * Latest time an attempt started at `startedAt` may be submitted:
+ * the end of its duration or the close of the window, whichever is
+ * first. Null when neither applies.
+ */
+export function attemptDeadline(exam = {}, startedAt = Date.now()) {
+  const { closesAt, durationMinutes } = scheduleOf(exam);
+  const limits = [closesAt, durationMinutes ? startedAt + durationMinutes * 60000 : null].filter(Boolean);
+  return limits.length ? Math.min(...limits) : null;
+}
+
+/**
+ * "Opens …, closes … · 40 min · 2 attempts"
+ */
+export function scheduleSummary(exam = {}) {
+  const { opensAt, closesAt, durationMinutes, maxAttempts } = scheduleOf(exam);
+  const parts = [];
+  if (opensAt) parts.push(`Opens ${formatDateTime(opensAt)}`);
+  if (closesAt) parts.push(`Closes ${formatDateTime(closesAt)}`);
+  parts.push(durationMinutes ? `${durationMinutes} min` : "Untimed");
+  parts.push(maxAttempts === 1 ? "1 attempt" : `${maxAttempts} attempts`);
+  return parts.join(" · ");
+}
+
+export function availabilityHtml(exam = {}, now = Date.now()) {
+  const state = availabilityOf(exam, now);
+  if (!state) return "";
+  return `<span class="availability-badge" data-availability="${state}" title="${escapeHtml(scheduleSummary(exam))}">${AVAILABILITY[state]}</span>`;
+}
+
+/**
+ * "mm:ss" (or "h:mm:ss") for a remaining time in milliseconds.
+ */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// ------------------------------------------------------
+// <input type="datetime-local"> values (local time)
+// ------------------------------------------------------
+export function toLocalInputValue(ms) {
+  if (!ms) return "";
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function fromLocalInputValue(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+export default {
+  AVAILABILITY,
+  scheduleOf,
+  availabilityOf,
+  attemptDeadline,
+  scheduleSummary,
+  availabilityHtml,
+  formatCountdown,
+  toLocalInputValue,
+  fromLocalInputValue
+};
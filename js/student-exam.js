@@ -0,0 +1,552 @@
+// ------------------------------------------------------
+// Student Exam Module — take Published assessments
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, question-types.js,
+//               randomize.js, schedule.js
+// Students sign in with a student account (users/{uid}.role
+// "student", set up by an admin); submissions and the attempts counter
+// carry their uid, which firestore.rules checks.
+// Lists Published exams for the student's class/term/year from the
+// key-less copies in examsPublic / examPapers (exam-delivery.js),
+// renders them in a per-student shuffled order with the KaTeX
+// pipeline used by the preview, and writes one document per attempt to
+// "submissions"; staff grade them later (grading.js), since results
+// are staff-only. Exams can only be started while live and with
+// attempts left; timed attempts show a countdown and submit
+// themselves when time runs out.
+// ------------------------------------------------------
+
+import {
+  auth,
+  db,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  signOut,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+  writeBatch
+} from "../firebase-config.js";
+
+import {
+  toast,
+  showLoader,
+  hideLoader,
+  escapeHtml,
+  htmlToPlainText,
+  renderMixedText,
+  confirmDialog,
+  setStatus
+} from "./utils.js";
+
+import { getType } from "./question-types.js";
+import { buildVariant, toOriginalResponses } from "./randomize.js";
+import {
+  AVAILABILITY,
+  scheduleOf,
+  availabilityOf,
+  attemptDeadline,
+  scheduleSummary,
+  availabilityHtml,
+  formatCountdown
+} from "./schedule.js";
+
+// Main elements
+const signInCard = document.getElementById("studentSignInCard");
+const signInEmail = document.getElementById("studentEmailInput");
+const signInPassword = document.getElementById("studentPasswordInput");
+const signInBtn = document.getElementById("studentSignInBtn");
+const signInError = document.getElementById("studentSignInError");
+const studentDetailsCard = document.getElementById("studentDetailsCard");
+const studentWho = document.getElementById("studentWho");
+const signOutBtn = document.getElementById("studentSignOutBtn");
+const yearInput = document.getElementById("studentYearInput");
+const termSelect = document.getElementById("studentTermSelect");
+const classSelect = document.getElementById("studentClassSelect");
+const findExamsBtn = document.getElementById("findExamsBtn");
+const publishedExamsBody = document.getElementById("publishedExamsBody");
+const examListCard = document.getElementById("examListCard");
+const examCard = document.getElementById("examCard");
+const examTitle = document.getElementById("examTitle");
+const examMeta = document.getElementById("examMeta");
+const examProgress = document.getElementById("examProgress");
+const examQuestions = document.getElementById("examQuestions");
+const submitExamBtn = document.getElementById("submitExamBtn");
+const leaveExamBtn = document.getElementById("leaveExamBtn");
+
+const STUDENT_STORAGE_KEY = "orli.student";
+// start time of an attempt in progress, so a reload keeps the clock
+const ATTEMPT_STORAGE_PREFIX = "orli.attempt.";
+
+let student = null; // signed-in student: { uid, name, studentNumber, theclass }
+let publishedExams = [];
+let attemptsUsed = {}; // examId → attempts submitted by this student
+let attemptsAbandoned = {}; // examId → timed-out attempts on this device, never submitted
+let attemptStartedAt = null;
+let attemptTimer = null;
+let activeExam = null; // { id, data }
+let activeVariant = null; // this student's question/option order
+let responses = {}; // keyed by question id, in the variant's letters
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+function safe(v) {
+  return v === undefined || v === null ? "" : String(v).trim();
+}
+
+function totalMarks(questions = []) {
+  return questions.reduce((sum, q) => sum + (Number(q.marks) || 1), 0);
+}
+
+function readStudent() {
+  return {
+    studentName: safe(student?.name),
+    studentId: safe(student?.uid),
+    studentNumber: safe(student?.studentNumber),
+    year: safe(yearInput?.value),
+    term: safe(termSelect?.value),
+    theclass: safe(classSelect?.value)
+  };
+}
+
+function rememberStudent({ year, term, theclass }) {
+  try {
+    localStorage.setItem(STUDENT_STORAGE_KEY, JSON.stringify({ year, term, theclass }));
+  } catch (e) {
+    // storage may be unavailable (private mode) — not fatal
+  }
+}
+
+function restoreStudent() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STUDENT_STORAGE_KEY) || "null");
+    if (!saved) return;
+    if (yearInput && saved.year) yearInput.value = saved.year;
+    if (termSelect && saved.term) termSelect.value = saved.term;
+    if (classSelect && saved.theclass) classSelect.value = saved.theclass;
+  } catch (e) {
+    // ignore corrupt storage
+  }
+}
+
+// ------------------------------------------------------
+// Load Published exams for the student's class/term/year
+// ------------------------------------------------------
+async function loadPublishedExams() {
+  if (!student) {
+    toast("Please sign in first.", "error");
+    return [];
+  }
+  const details = readStudent();
+  rememberStudent(details);
+
+  publishedExamsBody.innerHTML = `<tr><td colspan="6" class="small">Loading...</td></tr>`;
+  try {
+    const q = query(
+      collection(db, "examsPublic"),
+      where("status", "==", "Published"),
+      where("year", "==", details.year),
+      where("term", "==", details.term),
+      where("theclass", "==", details.theclass)
+    );
+    const snap = await getDocs(q);
+    publishedExams = [];
+    snap.forEach((d) => publishedExams.push({ id: d.id, data: d.data() }));
+    attemptsUsed = await countAttempts(details.studentId, publishedExams);
+    renderExamList(publishedExams);
+    return publishedExams;
+  } catch (err) {
+    console.error("loadPublishedExams:", err);
+    publishedExamsBody.innerHTML = `<tr><td colspan="6">Failed to load exams.</td></tr>`;
+    toast("Error loading exams.", "error");
+    return [];
+  }
+}
+
+function renderExamList(items = []) {
+  if (items.length === 0) {
+    publishedExamsBody.innerHTML = `<tr><td colspan="6" class="small">No published exams for your class yet.</td></tr>`;
+    return;
+  }
+
+  publishedExamsBody.innerHTML = items
+    .map((item) => {
+      const d = item.data || {};
+      const blocked = startBlockedReason(item);
+      return `
+      <tr>
+        <td>${escapeHtml(d.assessmentName || "")}</td>
+        <td>${escapeHtml(d.subject || "")}</td>
+        <td>${Number(d.questionCount) || 0}</td>
+        <td>${Number(d.totalMarks) || 0}</td>
+        <td>${availabilityHtml(d)}<div class="small">${escapeHtml(scheduleSummary(d))}</div></td>
+        <td style="text-align:right">
+          ${
+            blocked
+              ? `<span class="small">${escapeHtml(blocked)}</span>`
+              : `<button class="btn start-btn" data-id="${escapeHtml(item.id)}">${resumableStart(item) ? "Resume" : "Start"}</button>`
+          }
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  publishedExamsBody.querySelectorAll(".start-btn").forEach((b) =>
+    b.addEventListener("click", onStart)
+  );
+}
+
+// ------------------------------------------------------
+// Start / render an exam
+// ------------------------------------------------------
+function attemptsRef(examId, studentId) {
+  return doc(db, "attempts", `${examId}_${studentId}`);
+}
+
+// Submissions are staff-only; the per-exam counter written with each
+// submission (firestore.rules checks it, and lets only its own
+// student read it) says how many were used
+async function countAttempts(studentId, exams = []) {
+  const counts = {};
+  const snaps = await Promise.all(exams.map((item) => getDoc(attemptsRef(item.id, studentId))));
+  snaps.forEach((snap, i) => {
+    if (snap.exists()) counts[exams[i].id] = Number(snap.data().count) || 0;
+  });
+  return counts;
+}
+
+function attemptKey(examId) {
+  return `${ATTEMPT_STORAGE_PREFIX}${examId}.${readStudent().studentId}`;
+}
+
+function storedStart(item) {
+  return Number(localStorage.getItem(attemptKey(item.id))) || null;
+}
+
+function timedOut(item, started, now = Date.now()) {
+  const deadline = started && attemptDeadline(item.data, started);
+  return !!deadline && now > deadline;
+}
+
+// Start time of an unfinished attempt on this device that still has time
+function resumableStart(item) {
+  const started = storedStart(item);
+  return started && !timedOut(item, started) ? started : null;
+}
+
+/**
+ * Why the exam cannot be started now, or "" when it can.
+ */
+function startBlockedReason(item, now = Date.now()) {
+  const d = item.data || {};
+  const state = availabilityOf(d, now);
+  if (state !== "live") return state ? AVAILABILITY[state] : "Not available";
+  // an attempt abandoned until its time ran out still counts
+  const abandoned = timedOut(item, storedStart(item), now) ? 1 : 0;
+  if ((attemptsUsed[item.id] || 0) + (attemptsAbandoned[item.id] || 0) + abandoned >= scheduleOf(d).maxAttempts) {
+    return abandoned ? "Time ran out" : "No attempts left";
+  }
+  return "";
+}
+
+async function onStart(e) {
+  const id = e.currentTarget.dataset.id;
+  const found = publishedExams.find((x) => x.id === id);
+  if (!found) return toast("Exam not found.", "error");
+
+  showLoader("global", "Opening exam...");
+  try {
+    const { studentId } = readStudent();
+    attemptsUsed = await countAttempts(studentId, publishedExams);
+    const blocked = startBlockedReason(found);
+    if (blocked) {
+      toast(`You cannot start this exam: ${blocked}.`, "error");
+      renderExamList(publishedExams);
+      return;
+    }
+    // key-less questions, readable only while the exam is live (firestore.rules)
+    const paper = await getDoc(doc(db, "examPapers", found.id));
+    if (!paper.exists()) {
+      toast("This exam is not available right now.", "error");
+      return;
+    }
+    found.data = { ...found.data, questions: paper.data().questions || [] };
+    activeExam = found;
+    activeVariant = buildVariant(found.data, `${studentId}:${found.id}`);
+    responses = {};
+    // the attempt number stays next on the server counter (firestore.rules)
+    if (timedOut(found, storedStart(found))) attemptsAbandoned[found.id] = (attemptsAbandoned[found.id] || 0) + 1;
+    attemptStartedAt = resumableStart(found) || Date.now();
+    localStorage.setItem(attemptKey(found.id), String(attemptStartedAt));
+    renderExam(found, activeVariant);
+    startTimer();
+  } catch (err) {
+    console.error("onStart:", err);
+    toast("Failed to open exam.", "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+function renderExam(item, variant) {
+  const d = item.data || {};
+  const questions = variant.questions;
+
+  examTitle.textContent = d.title || `${d.subject || ""} — ${d.assessmentName || ""}`;
+  examMeta.textContent = `${d.theclass || ""} • ${d.term || ""} • ${d.year || ""} • ${questions.length} questions • ${totalMarks(questions)} marks`;
+  examQuestions.innerHTML = "";
+
+  questions.forEach((q, idx) => {
+    const card = document.createElement("div");
+    card.className = "exam-question";
+    card.dataset.qid = q.id;
+
+    const type = getType(q.type);
+
+    card.innerHTML = `
+      <div class="spaced">
+        <div style="font-weight:700">Q${idx + 1}</div>
+        <div class="small">Marks: ${escapeHtml(String(q.marks || 1))}</div>
+      </div>
+      <div style="margin-top:8px;line-height:1.45">${renderMixedText(htmlToPlainText(q.question || ""), { shorthand: q.mathShorthand })}</div>
+      ${
+        q.imageUrl
+          ? `<div style="margin-top:10px"><img src="${escapeHtml(q.imageUrl)}" style="max-width:320px;display:block;border-radius:6px;border:1px solid #eef2ff"></div>`
+          : ""
+      }
+      <div style="margin-top:10px">${type.studentHtml(q, `q_${q.id}`)}</div>
+    `;
+
+    const onAnswer = () => {
+      const response = type.readResponse(card);
+      if (response === null) delete responses[q.id];
+      else responses[q.id] = response;
+      updateProgress();
+    };
+    card.addEventListener("change", onAnswer);
+    card.addEventListener("input", onAnswer);
+
+    examQuestions.appendChild(card);
+  });
+
+  examListCard.style.display = "none";
+  examCard.style.display = "";
+  updateProgress();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+function updateProgress() {
+  const total = activeExam?.data?.questions?.length || 0;
+  const answered = Object.keys(responses).length;
+  const deadline = activeExam && attemptDeadline(activeExam.data, attemptStartedAt);
+  examProgress.textContent = `${answered} of ${total} answered${
+    deadline ? ` • ${formatCountdown(deadline - Date.now())} left` : ""
+  }`;
+}
+
+// ------------------------------------------------------
+// Timer — the attempt submits itself at its deadline
+// ------------------------------------------------------
+function startTimer() {
+  stopTimer();
+  const deadline = attemptDeadline(activeExam.data, attemptStartedAt);
+  if (!deadline) return;
+  attemptTimer = setInterval(() => {
+    updateProgress();
+    if (Date.now() >= deadline) {
+      stopTimer();
+      toast("Time is up. Submitting your answers...", "info");
+      submitExam({ auto: true });
+    }
+  }, 1000);
+}
+
+function stopTimer() {
+  clearInterval(attemptTimer);
+  attemptTimer = null;
+}
+
+function closeExam() {
+  stopTimer();
+  attemptStartedAt = null;
+  activeExam = null;
+  activeVariant = null;
+  responses = {};
+  examQuestions.innerHTML = "";
+  examCard.style.display = "none";
+  examListCard.style.display = "";
+}
+
+// ------------------------------------------------------
+// Submit
+// ------------------------------------------------------
+async function submitExam({ auto = false } = {}) {
+  if (!activeExam) return;
+  const d = activeExam.data || {};
+  const questions = d.questions || [];
+  const unanswered = questions.length - Object.keys(responses).length;
+
+  if (!auto) {
+    const message = unanswered > 0
+      ? `You have ${unanswered} unanswered question(s). Submit anyway? You cannot change your answers afterwards.`
+      : "Submit your answers? You cannot change them afterwards.";
+    const ok = await confirmDialog(message, { title: "Submit Exam" });
+    if (!ok) return;
+  }
+
+  const details = readStudent();
+  showLoader("global", "Submitting...");
+  try {
+    const submission = {
+      examId: activeExam.id,
+      examTitle: d.title || "",
+      year: d.year || "",
+      term: d.term || "",
+      theclass: d.theclass || "",
+      subject: d.subject || "",
+      assessmentName: d.assessmentName || "",
+      studentName: details.studentName,
+      studentId: details.studentId,
+      studentNumber: details.studentNumber,
+      responses: toOriginalResponses(activeVariant, responses),
+      // answered on the key-less copy; grading.js maps them back
+      studentCopy: true,
+      variantSeed: activeVariant.seedKey,
+      attempt: (attemptsUsed[activeExam.id] || 0) + 1,
+      startedAt: attemptStartedAt,
+      autoSubmitted: auto,
+      submittedAt: serverTimestamp()
+    };
+    // the submission and its attempts counter are written together
+    const ref = doc(collection(db, "submissions"));
+    const batch = writeBatch(db);
+    batch.set(ref, submission);
+    batch.set(attemptsRef(activeExam.id, details.studentId), {
+      examId: activeExam.id,
+      studentId: details.studentId,
+      count: submission.attempt,
+      lastSubmissionId: ref.id,
+      updatedAt: serverTimestamp()
+    });
+    await batch.commit();
+    localStorage.removeItem(attemptKey(activeExam.id));
+    attemptsUsed[activeExam.id] = submission.attempt;
+    toast("Your answers have been submitted.", "success");
+    setStatus("Submitted");
+    closeExam();
+    renderExamList(publishedExams);
+  } catch (err) {
+    console.error("submitExam:", err);
+    toast("Submission failed: " + (err.message || err), "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// ------------------------------------------------------
+// Sign-in
+// ------------------------------------------------------
+async function onSignIn() {
+  const email = safe(signInEmail?.value);
+  const password = signInPassword?.value || "";
+  if (!email || !password) {
+    if (signInError) signInError.textContent = "Enter your email and password.";
+    return;
+  }
+  showLoader("global", "Signing in...");
+  try {
+    await signInWithEmailAndPassword(auth, email, password);
+    if (signInPassword) signInPassword.value = "";
+  } catch (err) {
+    console.error("onSignIn:", err);
+    if (signInError) {
+      signInError.textContent = /invalid-credential|wrong-password|user-not-found/.test(err.code || "")
+        ? "Email or password is incorrect."
+        : "Sign-in failed: " + (err.message || err);
+    }
+  } finally {
+    hideLoader("global");
+  }
+}
+
+function showSignedOut(message = "") {
+  student = null;
+  publishedExams = [];
+  closeExam();
+  publishedExamsBody.innerHTML = `<tr><td colspan="6" class="small">Sign in to see your exams.</td></tr>`;
+  if (signInError) signInError.textContent = message;
+  if (signInCard) signInCard.style.display = "";
+  if (studentDetailsCard) studentDetailsCard.style.display = "none";
+}
+
+function showSignedIn() {
+  if (signInCard) signInCard.style.display = "none";
+  if (studentDetailsCard) studentDetailsCard.style.display = "";
+  if (studentWho) {
+    studentWho.innerHTML = `${escapeHtml(student.name)}${student.studentNumber ? ` <span class="small">(${escapeHtml(student.studentNumber)})</span>` : ""}`;
+  }
+  if (classSelect && student.theclass) classSelect.value = student.theclass;
+  publishedExamsBody.innerHTML = `<tr><td colspan="6" class="small">Choose your year, term and class and click “Find Exams”.</td></tr>`;
+}
+
+async function onAuthChange(user) {
+  if (!user) return showSignedOut();
+  try {
+    const snap = await getDoc(doc(db, "users", user.uid));
+    const data = snap.exists() ? snap.data() : null;
+    if (data?.role !== "student") {
+      await signOut(auth);
+      showSignedOut("Only student accounts can take exams here.");
+      return;
+    }
+    student = {
+      uid: user.uid,
+      name: data.name || user.displayName || user.email || "Student",
+      studentNumber: data.studentNumber || "",
+      theclass: data.theclass || ""
+    };
+    showSignedIn();
+  } catch (err) {
+    console.error("student auth:", err);
+    showSignedOut("Could not load your account: " + (err.message || err));
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  restoreStudent();
+  onAuthStateChanged(auth, onAuthChange);
+  if (signInBtn) signInBtn.addEventListener("click", onSignIn);
+  if (signInPassword) {
+    signInPassword.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") onSignIn();
+    });
+  }
+  if (signOutBtn) {
+    signOutBtn.addEventListener("click", async () => {
+      await signOut(auth);
+      // start clean so nothing from this account stays on screen
+      location.reload();
+    });
+  }
+  if (findExamsBtn) findExamsBtn.addEventListener("click", loadPublishedExams);
+  if (submitExamBtn) submitExamBtn.addEventListener("click", () => submitExam());
+  if (leaveExamBtn) {
+    leaveExamBtn.addEventListener("click", async () => {
+      const ok = await confirmDialog("Leave this exam? Your answers will not be saved, and the timer keeps running.");
+      if (ok) {
+        closeExam();
+        renderExamList(publishedExams);
+      }
+    });
+  }
+})();
+
+export { loadPublishedExams };
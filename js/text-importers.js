@@ -0,0 +1,540 @@
+// --------------------------------------------
+// Text Importers — Aiken, Moodle GIFT, plain CSV and pasted text
+// --------------------------------------------
+// Dependencies: utils.js, question-types.js, import-wizard.js,
+//               excel-handler.js
+// Each parser returns { questions, errors } where errors are
+// { line, message } for blocks that could not be read. Parsed
+// questions go to the same preview table and "Load to Editor"
+// path as an Excel upload.
+// --------------------------------------------
+
+import { showToast, showLoader, hideLoader, escapeHtml } from "./utils.js";
+import { getType } from "./question-types.js";
+import { guessMapping, cellsFromRow, validateRows } from "./import-wizard.js";
+import { showImportedQuestions } from "./excel-handler.js";
+
+const MAX_MCQ_OPTIONS = 4;
+const MAX_OPTIONS = 6;
+
+// DOM Elements
+const textImportInput = document.getElementById("textImportInput");
+const textImportFormat = document.getElementById("textImportFormat");
+const pasteInput = document.getElementById("pasteInput");
+const parsePasteBtn = document.getElementById("parsePasteBtn");
+const reportContainer = document.getElementById("importWizardContainer");
+
+// --------------------------------------------
+// Helpers
+// --------------------------------------------
+const letter = (i) => String.fromCharCode(65 + i);
+
+function toLines(text) {
+  return String(text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+}
+
+function newId(n) {
+  return `q_${Date.now()}_${n}`;
+}
+
+function padOptions(options) {
+  const out = [...options];
+  while (out.length < MAX_MCQ_OPTIONS) out.push("");
+  return out;
+}
+
+function choiceQuestion(stem, options, correct, n) {
+  if (correct.length === 1) {
+    if (options.length > MAX_MCQ_OPTIONS) {
+      return { error: `Multiple choice supports at most ${MAX_MCQ_OPTIONS} options (found ${options.length})` };
+    }
+    return {
+      question: { id: newId(n), type: "mcq", question: stem, options: padOptions(options), answer: letter(correct[0]), marks: 1, imageUrl: "" }
+    };
+  }
+  if (options.length > MAX_OPTIONS) {
+    return { error: `Multi-select supports at most ${MAX_OPTIONS} options (found ${options.length})` };
+  }
+  return {
+    question: { id: newId(n), type: "multi", question: stem, options, answer: correct.map(letter).join(","), marks: 1, imageUrl: "" }
+  };
+}
+
+// --------------------------------------------
+// Aiken
+// --------------------------------------------
+
+/**
+ * Aiken: a question line, lettered options ("A." or "A)"), then
+ * "ANSWER: B". Blank lines between questions are optional.
+ */
+export function parseAiken(text) {
+  const questions = [];
+  const errors = [];
+  let cur = null;
+
+  const finish = () => {
+    const { line, stem, options, answer } = cur;
+    cur = null;
+    if (!stem.length) return errors.push({ line, message: "Options found without a question" });
+    if (options.length < 2) return errors.push({ line, message: "Needs at least two lettered options (A. …)" });
+    const index = String(answer).trim().toUpperCase().charCodeAt(0) - 65;
+    if (!/^[A-Z]$/i.test(String(answer).trim()) || index >= options.length) {
+      return errors.push({ line, message: `ANSWER "${answer}" does not match an option` });
+    }
+    const built = choiceQuestion(stem.join(" "), options, [index], questions.length);
+    if (built.error) errors.push({ line, message: built.error });
+    else questions.push(built.question);
+  };
+
+  toLines(text).forEach((raw, i) => {
+    const n = i + 1;
+    const line = raw.trim();
+    if (!line) return;
+
+    const answer = line.match(/^ANSWER\s*:\s*(.*)$/i);
+    if (answer) {
+      if (!cur) errors.push({ line: n, message: "ANSWER line without a question" });
+      else {
+        cur.answer = answer[1];
+        finish();
+      }
+      return;
+    }
+
+    const option = line.match(/^([A-Z])\s*[.)]\s+(.*)$/);
+    if (option && cur && cur.stem.length) {
+      const expected = letter(cur.options.length);
+      if (option[1] !== expected) {
+        errors.push({ line: n, message: `Expected option ${expected}, found ${option[1]}` });
+      }
+      cur.options.push(option[2].trim());
+      return;
+    }
+
+    if (cur && cur.options.length) {
+      // a new question started before the previous one had an ANSWER
+      errors.push({ line: cur.line, message: "Missing ANSWER: line" });
+      cur = null;
+    }
+    if (!cur) cur = { line: n, stem: [], options: [], answer: null };
+    cur.stem.push(line);
+  });
+
+  if (cur) errors.push({ line: cur.line, message: "Missing ANSWER: line" });
+  return { questions, errors };
+}
+
+// --------------------------------------------
+// GIFT
+// --------------------------------------------
+// Escaped GIFT control characters are swapped for private-use
+// placeholders while parsing, then restored in the text
+const GIFT_ESCAPES = { "~": "\uE000", "=": "\uE001", "#": "\uE002", "{": "\uE003", "}": "\uE004", ":": "\uE005" };
+
+function giftProtect(s) {
+  return s.replace(/\\([~=#{}:])/g, (_, c) => GIFT_ESCAPES[c]).replace(/\\n/g, "\n");
+}
+
+function giftRestore(s) {
+  let out = String(s);
+  Object.entries(GIFT_ESCAPES).forEach(([c, ph]) => (out = out.split(ph).join(c)));
+  return out.replace(/\[(html|moodle|plain|markdown)\]/gi, "").trim();
+}
+
+function giftBlocks(lines) {
+  const blocks = [];
+  let cur = null;
+  let depth = 0;
+  lines.forEach((line, i) => {
+    // comments and $CATEGORY lines are skipped
+    if (/^\s*(\/\/|\$CATEGORY:)/i.test(line)) return;
+    if (!line.trim() && depth === 0) {
+      if (cur) blocks.push(cur);
+      cur = null;
+      return;
+    }
+    if (!cur) cur = { line: i + 1, text: "" };
+    cur.text += (cur.text ? "\n" : "") + line;
+    const protectedLine = giftProtect(line);
+    depth += (protectedLine.match(/{/g) || []).length - (protectedLine.match(/}/g) || []).length;
+  });
+  if (cur) blocks.push(cur);
+  return blocks;
+}
+
+function giftAnswers(body) {
+  const tokens = [];
+  const re = /([=~])([^=~]*)/g;
+  let m;
+  while ((m = re.exec(body))) {
+    let text = m[2].replace(/#.*$/s, "");
+    let weight = m[1] === "=" ? 100 : 0;
+    const w = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (w) {
+      weight = Number(w[1]);
+      text = text.slice(w[0].length);
+    }
+    tokens.push({ mark: m[1], weight, text: giftRestore(text) });
+  }
+  return tokens;
+}
+
+function giftNumeric(body) {
+  const first = body.replace(/^#/, "").trim().split(/(?<!^)=/)[0].replace(/^=/, "").replace(/^%\d+%/, "").replace(/#.*$/s, "").trim();
+  const range = first.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const lo = Number(range[1]);
+    const hi = Number(range[2]);
+    if (isNaN(lo) || isNaN(hi)) return null;
+    return { answer: String((lo + hi) / 2), tolerance: Math.abs(hi - lo) / 2 };
+  }
+  const [value, tol] = first.split(":");
+  if (value === undefined || isNaN(Number(value)) || value.trim() === "") return null;
+  return { answer: value.trim(), tolerance: tol !== undefined && !isNaN(Number(tol)) ? Math.abs(Number(tol)) : 0 };
+}
+
+/**
+ * Moodle GIFT subset: multiple choice (one "=" or %weights% for
+ * several correct), true/false, short answer, numeric (#value:tol or
+ * #min..max) and matching ("=a -> b"). Essay and description
+ * questions are reported as unsupported.
+ */
+export function parseGift(text) {
+  const questions = [];
+  const errors = [];
+
+  giftBlocks(toLines(text)).forEach(({ line, text: block }) => {
+    const src = giftProtect(block.trim()).replace(/^::.*?::/s, "").trim();
+
+    const open = src.indexOf("{");
+    const close = src.lastIndexOf("}");
+    if (open === -1 && close === -1) {
+      return errors.push({ line, message: "No answer block { … } (descriptions are not supported)" });
+    }
+    if (open === -1 || close < open) return errors.push({ line, message: "Unbalanced { } in answer block" });
+
+    const before = src.slice(0, open).trim();
+    const after = src.slice(close + 1).trim();
+    const stem = giftRestore(after ? `${before} ____${/^[.,;:!?]/.test(after) ? "" : " "}${after}` : before);
+    const body = src.slice(open + 1, close).trim();
+    const n = questions.length;
+
+    if (!stem) return errors.push({ line, message: "Missing question text" });
+    if (!body) return errors.push({ line, message: "Essay questions are not supported" });
+
+    if (/^(T|TRUE|F|FALSE)\s*(#.*)?$/is.test(body)) {
+      const isTrue = /^T/i.test(body);
+      questions.push({ id: newId(n), type: "truefalse", question: stem, options: ["True", "False"], answer: isTrue ? "A" : "B", marks: 1, imageUrl: "" });
+      return;
+    }
+
+    if (body.startsWith("#")) {
+      const num = giftNumeric(body);
+      if (!num) return errors.push({ line, message: "Could not read the numeric answer" });
+      questions.push({ id: newId(n), type: "numeric", question: stem, options: [], ...num, marks: 1, imageUrl: "" });
+      return;
+    }
+
+    const tokens = giftAnswers(body);
+    if (tokens.length === 0) return errors.push({ line, message: "Answer block has no = or ~ answers" });
+
+    const hasWrong = tokens.some((t) => t.mark === "~");
+    if (!hasWrong && tokens.every((t) => t.text.includes("->"))) {
+      const pairs = tokens.map((t) => {
+        const [left, right] = t.text.split("->").map((x) => x.trim());
+        return { left, right };
+      });
+      if (pairs.length < 2 || pairs.some((p) => !p.left || !p.right)) {
+        return errors.push({ line, message: "Matching needs at least two complete \"a -> b\" pairs" });
+      }
+      questions.push({ id: newId(n), type: "matching", question: stem, options: [], answer: "", pairs, marks: 1, imageUrl: "" });
+      return;
+    }
+
+    if (!hasWrong) {
+      questions.push({ id: newId(n), type: "short", question: stem, options: [], answer: tokens.map((t) => t.text).join(" | "), marks: 1, imageUrl: "" });
+      return;
+    }
+
+    const options = tokens.map((t) => t.text);
+    const correct = tokens.map((t, i) => (t.weight > 0 ? i : -1)).filter((i) => i >= 0);
+    if (correct.length === 0) return errors.push({ line, message: "No correct answer marked with = or a positive %weight%" });
+    const built = choiceQuestion(stem, options, correct, n);
+    if (built.error) errors.push({ line, message: built.error });
+    else questions.push(built.question);
+  });
+
+  return { questions, errors };
+}
+
+// --------------------------------------------
+// CSV
+// --------------------------------------------
+
+/**
+ * Splits CSV text into records (quoted fields may contain the
+ * delimiter, "" and newlines). The delimiter (, ; or tab) is taken
+ * from the header line.
+ * @returns {Array<{ line: number, cells: string[] }>}
+ */
+export function splitCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const header = src.split("\n", 1)[0];
+  const counts = [",", ";", "\t"].map((d) => [d, header.split(d).length]);
+  const delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+
+  const records = [];
+  let cells = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === "\n") line++;
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      cells.push(field);
+      field = "";
+    } else if (c === "\n") {
+      cells.push(field);
+      records.push({ line: start, cells });
+      cells = [];
+      field = "";
+      line++;
+      start = line;
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || cells.length) {
+    cells.push(field);
+    records.push({ line: start, cells });
+  }
+  return records.filter((r) => r.cells.some((c) => c.trim() !== ""));
+}
+
+/**
+ * CSV with the same headers as the Excel template.
+ */
+export function parseCsv(text) {
+  const records = splitCsv(text);
+  if (records.length < 2) return { questions: [], errors: [{ line: 1, message: "Expected a header row and at least one question" }] };
+
+  const headers = records[0].cells.map((h) => h.trim());
+  const mapping = guessMapping(headers);
+  if (!mapping.question) {
+    return { questions: [], errors: [{ line: 1, message: `No "Question" column in header (found: ${headers.join(", ")})` }] };
+  }
+
+  const rows = records.slice(1).map(({ line, cells }) => {
+    const row = {};
+    headers.forEach((h, i) => (row[h] = cells[i] ?? ""));
+    return { sheet: "CSV", rowNumber: line, cells: cellsFromRow(row, mapping) };
+  });
+
+  const questions = [];
+  const errors = [];
+  validateRows(rows).forEach((r, i) => {
+    if (r.errors.length) r.errors.forEach((message) => errors.push({ line: r.rowNumber, message }));
+    else questions.push({ ...r.question, id: newId(i) });
+  });
+  return { questions, errors };
+}
+
+// --------------------------------------------
+// Pasted numbered text
+// --------------------------------------------
+const PASTE_NUMBER = /^[ \t]*(?:Q(?:uestion)?\s*)?(\d+)\s*[.):]\s+/gim;
+const PASTE_ANSWER = /\b(?:correct\s+answer|answer|ans)\s*[:=\-]\s*([^\n]*)/i;
+const PASTE_MARKS = /[([]\s*(\d+(?:\.\d+)?)\s*marks?\s*[)\]]/i;
+const PASTE_OPTION = /(^|\s)\(?([A-Fa-f])[.)]\s+/g;
+
+// Lettered options must run A, B, C… in order; anything else
+// ("a. " mid-sentence, a stray "D)") stays part of the text.
+function splitOptions(text) {
+  const markers = [];
+  let m;
+  PASTE_OPTION.lastIndex = 0;
+  while ((m = PASTE_OPTION.exec(text))) {
+    const expected = markers.length === 0 ? "A" : letter(markers.length);
+    const sameCase = markers.length === 0 || (m[2] === m[2].toUpperCase()) === markers[0].upper;
+    if (m[2].toUpperCase() === expected && sameCase) {
+      markers.push({ start: m.index + m[1].length, end: m.index + m[0].length, upper: m[2] === m[2].toUpperCase() });
+    }
+  }
+  if (markers.length < 2) return { stem: text.trim(), options: [] };
+  return {
+    stem: text.slice(0, markers[0].start).trim(),
+    options: markers.map((mk, i) => text.slice(mk.end, markers[i + 1]?.start ?? text.length).replace(/\s+/g, " ").trim())
+  };
+}
+
+function pastedType(options, answer) {
+  const letters = String(answer).toUpperCase().split(/[\s,;&]+|\band\b/i).filter(Boolean);
+  if (options.length === 0) {
+    if (/^(true|false)$/i.test(answer.trim())) return "truefalse";
+    if (answer.trim() !== "" && !isNaN(Number(answer))) return "numeric";
+    return "short";
+  }
+  if (options.length === 2 && /^true$/i.test(options[0]) && /^false$/i.test(options[1])) return "truefalse";
+  return letters.length > 1 && letters.every((l) => /^[A-F]$/.test(l)) ? "multi" : "mcq";
+}
+
+/**
+ * Numbered questions as typed in Word: "1. What is ½ of 10?
+ * A) 2  B) 5  C) 10  D) 20  Answer: B (2 marks)". Options may sit on
+ * one line or several; without options the answer decides between
+ * true/false, numeric and short answer.
+ */
+export function parsePastedText(text) {
+  const src = String(text || "").replace(/\r\n?/g, "\n").replace(/[\u00a0\t]/g, " ");
+  const lineAt = (offset) => src.slice(0, offset).split("\n").length;
+  const starts = [];
+  let m;
+  PASTE_NUMBER.lastIndex = 0;
+  while ((m = PASTE_NUMBER.exec(src))) starts.push({ index: m.index, bodyStart: m.index + m[0].length });
+
+  const questions = [];
+  const errors = [];
+  if (starts.length === 0) {
+    if (src.trim()) errors.push({ line: 1, message: 'No numbered questions found (expected "1. …", "2. …")' });
+    return { questions, errors };
+  }
+  if (src.slice(0, starts[0].index).trim()) {
+    errors.push({ line: 1, message: "Text before question 1 was ignored" });
+  }
+
+  const rows = starts.map((start, i) => {
+    let body = src.slice(start.bodyStart, starts[i + 1]?.index ?? src.length);
+    let marks = "";
+    let answer = "";
+
+    const marksMatch = body.match(PASTE_MARKS);
+    if (marksMatch) {
+      marks = marksMatch[1];
+      body = body.replace(marksMatch[0], " ");
+    }
+    const answerMatch = body.match(PASTE_ANSWER);
+    if (answerMatch) {
+      answer = answerMatch[1].replace(/[.\s]+$/, "").trim();
+      body = body.slice(0, answerMatch.index) + body.slice(answerMatch.index + answerMatch[0].length);
+    }
+
+    const { stem, options } = splitOptions(body);
+    const type = pastedType(options, answer);
+    const padded = [...options, "", "", "", "", "", ""].slice(0, MAX_OPTIONS);
+    return {
+      sheet: "Pasted text",
+      rowNumber: lineAt(start.index),
+      optionCount: options.length,
+      cells: { type, question: stem.replace(/\s+/g, " "), options: padded, answer, marks, tolerance: "", imageUrl: "", locked: "", bankId: "", shorthand: "" }
+    };
+  });
+
+  validateRows(rows).forEach((r, i) => {
+    const { optionCount } = rows[i];
+    if (r.question.type === "mcq" && optionCount > MAX_MCQ_OPTIONS) {
+      r.errors.push(`Multiple choice supports at most ${MAX_MCQ_OPTIONS} options (found ${optionCount})`);
+    }
+    if (optionCount > MAX_OPTIONS) r.errors.push(`At most ${MAX_OPTIONS} options are supported (found ${optionCount})`);
+    if (r.errors.length) r.errors.forEach((message) => errors.push({ line: r.rowNumber, message }));
+    else questions.push({ ...r.question, id: newId(i) });
+  });
+
+  return { questions, errors };
+}
+
+// --------------------------------------------
+// Format detection + UI
+// --------------------------------------------
+export function detectFormat(fileName, text) {
+  const ext = String(fileName || "").toLowerCase().split(".").pop();
+  if (ext === "gift") return "gift";
+  if (ext === "csv") return "csv";
+  if (/^\s*ANSWER\s*:/im.test(text)) return "aiken";
+  if (/{[^}]*}/.test(text)) return "gift";
+  return "aiken";
+}
+
+const PARSERS = { aiken: parseAiken, gift: parseGift, csv: parseCsv };
+const FORMAT_LABELS = { aiken: "Aiken", gift: "GIFT", csv: "CSV", paste: "Pasted text" };
+
+function renderErrors(format, result) {
+  if (!reportContainer) return;
+  const { questions, errors } = result;
+  reportContainer.innerHTML = `
+    <div style="padding:6px">
+      <div style="font-weight:700">${FORMAT_LABELS[format]} import</div>
+      <div class="small" style="margin-top:4px">
+        <strong style="color:#047857">${questions.length} question(s) read</strong>${errors.length ? ` • <strong style="color:#b91c1c">${errors.length} problem(s)</strong>` : ""}
+      </div>
+      ${errors.length ? `
+        <table style="margin-top:8px">
+          <thead><tr><th style="width:70px">Line</th><th>Problem</th></tr></thead>
+          <tbody>${errors.map((e) => `<tr><td>${e.line}</td><td>${escapeHtml(e.message)}</td></tr>`).join("")}</tbody>
+        </table>` : ""}
+    </div>`;
+}
+
+async function handleTextFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  showLoader("global", "Reading file...");
+  try {
+    const text = await file.text();
+    const chosen = textImportFormat?.value || "auto";
+    const format = chosen === "auto" ? detectFormat(file.name, text) : chosen;
+    const result = PARSERS[format](text);
+
+    renderErrors(format, result);
+    showImportedQuestions(result.questions);
+    if (result.questions.length) {
+      showToast(`${result.questions.length} question(s) read from ${FORMAT_LABELS[format]}. Click "Load to Editor".`, "success");
+    } else {
+      showToast(`No questions could be read as ${FORMAT_LABELS[format]}.`, "error");
+    }
+  } catch (err) {
+    console.error("handleTextFile:", err);
+    showToast("Error reading file.", "error");
+  } finally {
+    hideLoader("global");
+    e.target.value = "";
+  }
+}
+
+function handlePaste() {
+  const text = pasteInput?.value || "";
+  if (!text.trim()) {
+    showToast("Paste some numbered questions first.", "error");
+    return;
+  }
+  const result = parsePastedText(text);
+  renderErrors("paste", result);
+  showImportedQuestions(result.questions);
+  if (result.questions.length) {
+    showToast(`${result.questions.length} question(s) read. Click "Load to Editor".`, "success");
+  } else {
+    showToast("No questions could be read from the pasted text.", "error");
+  }
+}
+
+if (textImportInput) {
+  textImportInput.addEventListener("change", handleTextFile, false);
+}
+
+if (parsePasteBtn) {
+  parsePasteBtn.addEventListener("click", handlePaste);
+}
+
+export default { parseAiken, parseGift, parseCsv, splitCsv, parsePastedText, detectFormat };
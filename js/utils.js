@@ -1,297 +1,408 @@
-//
-// utils.js — Final Corrected Version (Stable & Compatible)
-// Shared utilities for Orli Exam Creator (ES module)
-//
-
-const TOAST_CONTAINER_ID = 'toastWrap';
-const STATUS_AREA_ID = 'statusArea';
-
-// ---------- DOM helpers ----------
-function $id(id) { return document.getElementById(id); }
-function qs(selector, scope = document) { return scope.querySelector(selector); }
-function qsa(selector, scope = document) { return Array.from(scope.querySelectorAll(selector)); }
-function createEl(tag = 'div', attrs = {}, html = '') {
-  const el = document.createElement(tag);
-  for (const k in attrs) {
-    if (k === 'class') el.className = attrs[k];
-    else if (k === 'style') el.style.cssText = attrs[k];
-    else el.setAttribute(k, attrs[k]);
-  }
-  if (html) el.innerHTML = html;
-  return el;
-}
-
-// ---------- Safety & string helpers ----------
-export function escapeHtml(s) {
-  if (s === undefined || s === null) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-export function htmlToPlainText(html) {
-  if (!html) return '';
-  let t = String(html)
-    .replace(/<div>/gi, '\n')
-    .replace(/<\/div>/gi, '\n')
-    .replace(/<p>/gi, '\n')
-    .replace(/<\/p>/gi, '\n')
-    .replace(/<br\s*\/?>/gi, '\n'); // ✅ fixed regex
-  t = t.replace(/<[^>]+>/g, '');
-  return t.replace(/\n\s*\n/g, '\n').replace(/\u00A0/g, ' ').trim();
-}
-
-// ---------- Math / KaTeX helpers ----------
-export function convertPlainToLatexFragment(plain) {
-  if (!plain && plain !== 0) return '';
-  let s = String(plain);
-
-  // Handle simple fraction patterns like (a/b) or a/b
-  s = s.replace(/\(([^\)]+)\/([^\)]+)\)/g, (_, a, b) => `\\\\frac{${a}}{${b}}`);
-  s = s.replace(/\b(\d+)\/(\d+)\b/g, (_, a, b) => `\\\\frac{${a}}{${b}}`);
-
-  // Handle sqrt(...) → \sqrt{...}
-  s = s.replace(/sqrt\(([^\)]+)\)/gi, (_, a) => `\\\\sqrt{${a}}`);
-
-  // Handle powers like x^2 or (a+b)^3 → x^{2}, (a+b)^{3}
-  s = s.replace(/([A-Za-z0-9\)\}])\^([A-Za-z0-9\{\(]+)/g, (_, a, b) => `${a}^{${b}}`);
-
-  // Greek and constants
-  s = s.replace(/\bpi\b/g, '\\\\pi');
-  s = s.replace(/\be\b/g, '\\\\mathrm{e}');
-  return s;
-}
-
-export function renderMixedText(plain) {
-  try {
-    const converted = convertPlainToLatexFragment(plain || '');
-    const tokenPattern = /(\frac{[^}]+}{[^}]+}|\sqrt{[^}]+}|[a-zA-Z]+|[0-9]+(?:\.[0-9]+)?\/[0-9]+|[=+\-×÷≤≥<>^])/g;
-    const parts = converted.split(tokenPattern).filter(Boolean);
-    return parts.map(part => {
-      if (/\\frac|\\sqrt|[a-zA-Z]+|[0-9]+\/[0-9]+|[=+\-×÷≤≥<>^]/.test(part)) {
-        if (typeof katex !== 'undefined' && katex.renderToString) {
-          try {
-            return katex.renderToString(part, { throwOnError: false, displayMode: false });
-          } catch {
-            return escapeHtml(part);
-          }
-        } else {
-          return `<code>${escapeHtml(part)}</code>`;
-        }
-      } else {
-        return escapeHtml(part);
-      }
-    }).join('');
-  } catch {
-    return escapeHtml(String(plain || ''));
-  }
-}
-
-// ---------- ID / misc helpers ----------
-export function uid(prefix = 'id') {
-  return `${prefix}_${Date.now().toString(36)}_${Math.floor(Math.random() * 10000).toString(36)}`;
-}
-
-export function deepClone(obj) {
-  try { return JSON.parse(JSON.stringify(obj)); }
-  catch { return Object.assign(Array.isArray(obj) ? [] : {}, obj); }
-}
-
-// ---------- Date formatting ----------
-export function formatDateTime(isoOrTs) {
-  let d;
-  if (!isoOrTs) d = new Date();
-  else if (typeof isoOrTs === 'number') d = new Date(isoOrTs);
-  else if (isoOrTs instanceof Date) d = isoOrTs;
-  else d = new Date(String(isoOrTs));
-  if (isNaN(d)) return '';
-  const pad = n => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
-}
-
-// ---------- Toast ----------
-function ensureToastWrap() {
-  let wrap = $id(TOAST_CONTAINER_ID);
-  if (!wrap) {
-    wrap = createEl('div', { id: TOAST_CONTAINER_ID, style: 'position:fixed;right:18px;top:18px;z-index:99999;display:flex;flex-direction:column;gap:8px;' });
-    document.body.appendChild(wrap);
-  }
-  return wrap;
-}
-
-export function toast(message, type = 'info', ms = 3500) {
-  const wrap = ensureToastWrap();
-  const el = createEl('div', { style: 'min-width:260px;padding:10px;border-radius:8px;box-shadow:0 6px 18px rgba(2,6,23,.06);' });
-  el.style.background = type === 'success' ? '#ecfdf5' : type === 'error' ? '#fff1f2' : '#f8fbff';
-  el.innerHTML = `<div style="font-weight:700">${type === 'error' ? 'Error' : type === 'success' ? 'Success' : 'Info'}</div><div style="margin-top:6px">${escapeHtml(String(message))}</div>`;
-  wrap.appendChild(el);
-  setTimeout(() => {
-    el.style.transition = 'opacity .28s ease, transform .28s ease';
-    el.style.opacity = '0';
-    el.style.transform = 'translateX(8px)';
-    setTimeout(() => el.remove(), 300);
-  }, ms);
-  return el;
-}
-
-// ---------- Confirm Dialog ----------
-let _confirmOverlay = null;
-export function confirmDialog(message, opts = {}) {
-  return new Promise(resolve => {
-    const title = opts.title || 'Confirm';
-    if (!_confirmOverlay) {
-      _confirmOverlay = createEl('div', { style: 'position:fixed;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(2,6,23,.5);z-index:100000' });
-      const box = createEl('div', { style: 'background:#fff;padding:16px;border-radius:8px;min-width:300px;max-width:92%;box-shadow:0 12px 40px rgba(2,6,23,.3)' });
-      const hdr = createEl('div', {}, `<strong>${escapeHtml(title)}</strong>`);
-      const body = createEl('div', { style: 'margin-top:8px' });
-      const foot = createEl('div', { style: 'display:flex;justify-content:flex-end;gap:8px;margin-top:12px' });
-      const okBtn = createEl('button', { class: 'btn' }, 'OK');
-      const cancelBtn = createEl('button', { class: 'btn ghost' }, 'Cancel');
-      foot.append(cancelBtn, okBtn);
-      box.append(hdr, body, foot);
-      _confirmOverlay.appendChild(box);
-      document.body.appendChild(_confirmOverlay);
-      _confirmOverlay._body = body;
-      _confirmOverlay._ok = okBtn;
-      _confirmOverlay._cancel = cancelBtn;
-    }
-    _confirmOverlay._body.innerHTML = `<div class="small">${escapeHtml(String(message))}</div>`;
-    _confirmOverlay.style.display = 'flex';
-    const cleanup = res => {
-      _confirmOverlay.style.display = 'none';
-      _confirmOverlay._ok.onclick = null;
-      _confirmOverlay._cancel.onclick = null;
-      resolve(res);
-    };
-    _confirmOverlay._ok.onclick = () => cleanup(true);
-    _confirmOverlay._cancel.onclick = () => cleanup(false);
-  });
-}
-
-// ---------- confirmAction ----------
-export async function confirmAction(message = "Are you sure?") {
-  return new Promise(resolve => {
-    const confirmed = window.confirm(message);
-    resolve(confirmed);
-  });
-}
-
-// ---------- Loader ----------
-const loaders = new Map();
-export function showLoader(key = 'global', message = 'Loading...') {
-  const container = key === 'global' ? document.body : $id(key) || document.body;
-  if (loaders.has(key)) return;
-  const overlay = createEl('div', { style: 'position:absolute;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(255,255,255,0.6);z-index:9998' });
-  const box = createEl('div', { style: 'background:rgba(255,255,255,0.92);padding:12px;border-radius:8px;box-shadow:0 8px 20px rgba(2,6,23,.08);display:flex;gap:10px;align-items:center' });
-  const spinner = createEl('div', { style: 'width:28px;height:28px;border-radius:50%;border:3px solid #e6eefc;border-top-color:#004AAD;animation:spin 1s linear infinite' });
-  const txt = createEl('div', { style: 'font-weight:700;color:#004AAD' }, escapeHtml(message));
-  box.append(spinner, txt);
-  overlay.appendChild(box);
-  if (window.getComputedStyle(container).position === 'static') container.style.position = 'relative';
-  if (container === document.body) overlay.style.position = 'fixed';
-  container.appendChild(overlay);
-  loaders.set(key, { overlay, container });
-  if (!document.getElementById('utils-spinner-style')) {
-    const style = createEl('style', { id: 'utils-spinner-style' }, `@keyframes spin{to{transform:rotate(360deg)}}`);
-    document.head.appendChild(style);
-  }
-}
-
-export function hideLoader(key = 'global') {
-  const entry = loaders.get(key);
-  if (!entry) return;
-  entry.overlay.remove();
-  loaders.delete(key);
-}
-
-// ---------- Status ----------
-export function setStatus(text = '', timeoutMs = 4000) {
-  const s = $id(STATUS_AREA_ID);
-  if (!s) return;
-  s.textContent = String(text || '');
-  if (timeoutMs) {
-    clearTimeout(s._t);
-    s._t = setTimeout(() => { if (s) s.textContent = 'Ready'; }, timeoutMs);
-  }
-}
-
-// ---------- Debounce / Throttle ----------
-export function debounce(fn, wait = 250) {
-  let t;
-  return function (...args) {
-    clearTimeout(t);
-    t = setTimeout(() => fn.apply(this, args), wait);
-  };
-}
-
-export function throttle(fn, limit = 250) {
-  let inThrottle;
-  return function (...args) {
-    if (!inThrottle) {
-      fn.apply(this, args);
-      inThrottle = true;
-      setTimeout(() => (inThrottle = false), limit);
-    }
-  };
-}
-
-// ---------- Small UI helpers ----------
-export function enable(elOrSelector, enabled = true) {
-  const el = typeof elOrSelector === 'string' ? qs(elOrSelector) : elOrSelector;
-  if (!el) return;
-  el.disabled = !enabled;
-  el.setAttribute('aria-disabled', enabled ? 'false' : 'true');
-}
-
-export function toggleVisibility(elOrSelector, show = true) {
-  const el = typeof elOrSelector === 'string' ? qs(elOrSelector) : elOrSelector;
-  if (!el) return;
-  el.style.display = show ? '' : 'none';
-}
-
-// ---------- Safe JSON parse ----------
-export function safeParse(json, fallback = null) {
-  try { return JSON.parse(json); } catch { return fallback; }
-}
-
-// ---------- Export default ----------
-export default {
-  $id, qs, qsa, createEl,
-  escapeHtml, htmlToPlainText,
-  convertPlainToLatexFragment, renderMixedText,
-  uid, deepClone,
-  formatDateTime,
-  toast, confirmDialog, confirmAction,
-  showLoader, hideLoader,
-  setStatus,
-  debounce, throttle,
-  enable, toggleVisibility,
-  safeParse
-};
-export function showToast(message, type = 'info') {
-  const toast = document.createElement('div');
-  toast.textContent = message;
-  toast.className = `toast ${type}`;
-  Object.assign(toast.style, {
-    position: 'fixed',
-    bottom: '20px',
-    right: '20px',
-    background: type === 'error' ? '#e74c3c' : '#2ecc71',
-    color: 'white',
-    padding: '10px 16px',
-    borderRadius: '6px',
-    fontSize: '14px',
-    zIndex: 9999,
-    boxShadow: '0 2px 6px rgba(0,0,0,0.2)',
-    transition: 'opacity 0.3s ease'
-  });
-  document.body.appendChild(toast);
-  setTimeout(() => {
-    toast.style.opacity = 0;
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
-}
-
+//
+// utils.js — Final Corrected Version (Stable & Compatible)
+// Shared utilities for Orli Exam Creator (ES module)
+//
+
+const TOAST_CONTAINER_ID = 'toastWrap';
+const STATUS_AREA_ID = 'statusArea';
+
+// ---------- DOM helpers ----------
+function $id(id) { return document.getElementById(id); }
+function qs(selector, scope = document) { return scope.querySelector(selector); }
+function qsa(selector, scope = document) { return Array.from(scope.querySelectorAll(selector)); }
+function createEl(tag = 'div', attrs = {}, html = '') {
+  const el = document.createElement(tag);
+  for (const k in attrs) {
+    if (k === 'class') el.className = attrs[k];
+    else if (k === 'style') el.style.cssText = attrs[k];
+    else el.setAttribute(k, attrs[k]);
+  }
+  if (html) el.innerHTML = html;
+  return el;
+}
+
+// ---------- Safety & string helpers ----------
+export function escapeHtml(s) {
+  if (s === undefined || s === null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function htmlToPlainText(html) {
+  if (!html) return '';
+  let t = String(html)
+    .replace(/<div>/gi, '\n')
+    .replace(/<\/div>/gi, '\n')
+    .replace(/<p>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n'); // ✅ fixed regex
+  t = t.replace(/<[^>]+>/g, '');
+  return t.replace(/\n\s*\n/g, '\n').replace(/\u00A0/g, ' ').trim();
+}
+
+// ---------- Math / KaTeX helpers ----------
+// Math is written between explicit delimiters: $...$ or \(...\) inline,
+// $$...$$ or \[...\] on its own line. Everything else is prose and is
+// only escaped. \$ is a literal dollar sign; "$5 and $10" stays text
+// because inline $ must not touch a space on its inner side.
+const MATH_DELIMITERS = [
+  { open: '$$', close: '$$', display: true },
+  { open: '\\[', close: '\\]', display: true },
+  { open: '\\(', close: '\\)', display: false },
+  { open: '$', close: '$', display: false }
+];
+
+function isInlineDollarClose(text, at) {
+  return text[at - 1] !== ' ' && text[at - 1] !== '\\' && !/[0-9]/.test(text[at + 1] || '');
+}
+
+/**
+ * Splits text into prose and math segments.
+ * @returns {Array<{ math: boolean, value: string, display?: boolean, error?: string }>}
+ *   unclosed delimiters come back as prose with `error` set
+ */
+export function splitMathSegments(text) {
+  const src = String(text ?? '');
+  const out = [];
+  let buf = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buf) out.push({ math: false, value: buf.replace(/\\\$/g, '$') });
+    buf = '';
+  };
+
+  while (i < src.length) {
+    if (src[i] === '\\' && src[i + 1] === '$') { buf += '\\$'; i += 2; continue; }
+    const d = MATH_DELIMITERS.find((x) => src.startsWith(x.open, i));
+    if (!d || (d.open === '$' && (src[i + 1] === ' ' || !src[i + 1]))) {
+      buf += src[i++];
+      continue;
+    }
+
+    let j = src.indexOf(d.close, i + d.open.length);
+    if (d.open === '$') {
+      while (j !== -1 && !isInlineDollarClose(src, j)) j = src.indexOf('$', j + 1);
+    }
+    if (j === -1) {
+      if (d.open === '$') { buf += src[i++]; continue; }
+      flush();
+      out.push({ math: false, value: src.slice(i), error: `Unclosed ${d.open}` });
+      return out;
+    }
+
+    flush();
+    out.push({ math: true, value: src.slice(i + d.open.length, j), display: d.display });
+    i = j + d.close.length;
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Plain-text shorthand → LaTeX: a/b, (a+b)/(c), sqrt(x), x^2, pi.
+ * Only used where the shorthand option is switched on.
+ */
+export function convertPlainToLatexFragment(plain) {
+  if (!plain && plain !== 0) return '';
+  let s = String(plain);
+
+  // Handle simple fraction patterns like (a/b) or a/b
+  s = s.replace(/\(([^()]+)\)\/\(([^()]+)\)/g, (_, a, b) => `\\frac{${a}}{${b}}`);
+  s = s.replace(/\b(\d+)\/(\d+)\b/g, (_, a, b) => `\\frac{${a}}{${b}}`);
+
+  // Handle sqrt(...) → \sqrt{...}
+  s = s.replace(/sqrt\(([^)]+)\)/gi, (_, a) => `\\sqrt{${a}}`);
+
+  // Handle powers like x^2 or (a+b)^3 → x^{2}, (a+b)^{3}
+  s = s.replace(/([A-Za-z0-9)}])\^([A-Za-z0-9]+)/g, (_, a, b) => `${a}^{${b}}`);
+
+  // Greek
+  s = s.replace(/\bpi\b/g, '\\pi');
+  return s;
+}
+
+// Shorthand expressions found in prose; the words around them are
+// left alone
+const SHORTHAND_PATTERN = /\([^()]+\)\/\([^()]+\)|sqrt\([^)]+\)|\b\d+\/\d+\b|[A-Za-z0-9)]+\^[A-Za-z0-9]+/gi;
+
+function katexHtml(latex, displayMode) {
+  if (typeof katex === 'undefined' || !katex.renderToString) {
+    return `<code>${escapeHtml(latex)}</code>`;
+  }
+  try {
+    return katex.renderToString(latex, { throwOnError: false, displayMode });
+  } catch {
+    return `<code>${escapeHtml(latex)}</code>`;
+  }
+}
+
+function proseHtml(text, shorthand) {
+  if (!shorthand) return escapeHtml(text);
+  let html = '';
+  let last = 0;
+  text.replace(SHORTHAND_PATTERN, (match, at) => {
+    html += escapeHtml(text.slice(last, at)) + katexHtml(convertPlainToLatexFragment(match), false);
+    last = at + match.length;
+    return match;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Renders prose with embedded math to HTML.
+ * @param {string} plain
+ * @param {{ shorthand?: boolean }} [opts] - also render a/b, sqrt(), x^2
+ *   written outside delimiters
+ */
+export function renderMixedText(plain, opts = {}) {
+  try {
+    return splitMathSegments(plain || '')
+      .map((seg) => (seg.math ? katexHtml(seg.value, seg.display) : proseHtml(seg.value, !!opts.shorthand)))
+      .join('');
+  } catch {
+    return escapeHtml(String(plain || ''));
+  }
+}
+
+/**
+ * LaTeX problems in a piece of text: unclosed delimiters and
+ * KaTeX parse errors. Empty when KaTeX has not loaded.
+ * @returns {string[]}
+ */
+export function findLatexErrors(text) {
+  const errors = [];
+  splitMathSegments(text).forEach((seg) => {
+    if (seg.error) errors.push(seg.error);
+    if (!seg.math || typeof katex === 'undefined' || !katex.renderToString) return;
+    try {
+      katex.renderToString(seg.value, { throwOnError: true, displayMode: seg.display });
+    } catch (err) {
+      errors.push(String(err.message || err).replace(/^KaTeX parse error:\s*/, ''));
+    }
+  });
+  return errors;
+}
+
+// ---------- ID / misc helpers ----------
+export function uid(prefix = 'id') {
+  return `${prefix}_${Date.now().toString(36)}_${Math.floor(Math.random() * 10000).toString(36)}`;
+}
+
+export function deepClone(obj) {
+  try { return JSON.parse(JSON.stringify(obj)); }
+  catch { return Object.assign(Array.isArray(obj) ? [] : {}, obj); }
+}
+
+// ---------- Date formatting ----------
+export function formatDateTime(isoOrTs) {
+  let d;
+  if (!isoOrTs) d = new Date();
+  else if (typeof isoOrTs === 'number') d = new Date(isoOrTs);
+  else if (isoOrTs instanceof Date) d = isoOrTs;
+  else d = new Date(String(isoOrTs));
+  if (isNaN(d)) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// ---------- Toast ----------
+function ensureToastWrap() {
+  let wrap = $id(TOAST_CONTAINER_ID);
+  if (!wrap) {
+    wrap = createEl('div', { id: TOAST_CONTAINER_ID, style: 'position:fixed;right:18px;top:18px;z-index:99999;display:flex;flex-direction:column;gap:8px;' });
+    document.body.appendChild(wrap);
+  }
+  return wrap;
+}
+
+export function toast(message, type = 'info', ms = 3500) {
+  const wrap = ensureToastWrap();
+  const el = createEl('div', { style: 'min-width:260px;padding:10px;border-radius:8px;box-shadow:0 6px 18px rgba(2,6,23,.06);' });
+  el.style.background = type === 'success' ? '#ecfdf5' : type === 'error' ? '#fff1f2' : '#f8fbff';
+  el.innerHTML = `<div style="font-weight:700">${type === 'error' ? 'Error' : type === 'success' ? 'Success' : 'Info'}</div><div style="margin-top:6px">${escapeHtml(String(message))}</div>`;
+  wrap.appendChild(el);
+  setTimeout(() => {
+    el.style.transition = 'opacity .28s ease, transform .28s ease';
+    el.style.opacity = '0';
+    el.style.transform = 'translateX(8px)';
+    setTimeout(() => el.remove(), 300);
+  }, ms);
+  return el;
+}
+
+// ---------- Confirm Dialog ----------
+let _confirmOverlay = null;
+export function confirmDialog(message, opts = {}) {
+  return new Promise(resolve => {
+    const title = opts.title || 'Confirm';
+    if (!_confirmOverlay) {
+      _confirmOverlay = createEl('div', { style: 'position:fixed;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(2,6,23,.5);z-index:100000' });
+      const box = createEl('div', { style: 'background:#fff;padding:16px;border-radius:8px;min-width:300px;max-width:92%;box-shadow:0 12px 40px rgba(2,6,23,.3)' });
+      const hdr = createEl('div', {}, `<strong>${escapeHtml(title)}</strong>`);
+      const body = createEl('div', { style: 'margin-top:8px' });
+      const foot = createEl('div', { style: 'display:flex;justify-content:flex-end;gap:8px;margin-top:12px' });
+      const okBtn = createEl('button', { class: 'btn' }, 'OK');
+      const cancelBtn = createEl('button', { class: 'btn ghost' }, 'Cancel');
+      foot.append(cancelBtn, okBtn);
+      box.append(hdr, body, foot);
+      _confirmOverlay.appendChild(box);
+      document.body.appendChild(_confirmOverlay);
+      _confirmOverlay._body = body;
+      _confirmOverlay._ok = okBtn;
+      _confirmOverlay._cancel = cancelBtn;
+    }
+    _confirmOverlay._body.innerHTML = `<div class="small">${escapeHtml(String(message))}</div>`;
+    _confirmOverlay.style.display = 'flex';
+    const cleanup = res => {
+      _confirmOverlay.style.display = 'none';
+      _confirmOverlay._ok.onclick = null;
+      _confirmOverlay._cancel.onclick = null;
+      resolve(res);
+    };
+    _confirmOverlay._ok.onclick = () => cleanup(true);
+    _confirmOverlay._cancel.onclick = () => cleanup(false);
+  });
+}
+
+// ---------- confirmAction ----------
+export async function confirmAction(message = "Are you sure?") {
+  return new Promise(resolve => {
+    const confirmed = window.confirm(message);
+    resolve(confirmed);
+  });
+}
+
+// ---------- Loader ----------
+const loaders = new Map();
+export function showLoader(key = 'global', message = 'Loading...') {
+  const container = key === 'global' ? document.body : $id(key) || document.body;
+  if (loaders.has(key)) return;
+  const overlay = createEl('div', { style: 'position:absolute;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(255,255,255,0.6);z-index:9998' });
+  const box = createEl('div', { style: 'background:rgba(255,255,255,0.92);padding:12px;border-radius:8px;box-shadow:0 8px 20px rgba(2,6,23,.08);display:flex;gap:10px;align-items:center' });
+  const spinner = createEl('div', { style: 'width:28px;height:28px;border-radius:50%;border:3px solid #e6eefc;border-top-color:#004AAD;animation:spin 1s linear infinite' });
+  const txt = createEl('div', { style: 'font-weight:700;color:#004AAD' }, escapeHtml(message));
+  box.append(spinner, txt);
+  overlay.appendChild(box);
+  if (window.getComputedStyle(container).position === 'static') container.style.position = 'relative';
+  if (container === document.body) overlay.style.position = 'fixed';
+  container.appendChild(overlay);
+  loaders.set(key, { overlay, container });
+  if (!document.getElementById('utils-spinner-style')) {
+    const style = createEl('style', { id: 'utils-spinner-style' }, `@keyframes spin{to{transform:rotate(360deg)}}`);
+    document.head.appendChild(style);
+  }
+}
+
+export function hideLoader(key = 'global') {
+  const entry = loaders.get(key);
+  if (!entry) return;
+  entry.overlay.remove();
+  loaders.delete(key);
+}
+
+// ---------- Status ----------
+// What the status area falls back to after a timed message
+let idleStatus = 'Ready';
+
+export function setStatus(text = '', timeoutMs = 4000) {
+  const s = $id(STATUS_AREA_ID);
+  if (!s) return;
+  s.textContent = String(text || '');
+  if (timeoutMs) {
+    clearTimeout(s._t);
+    s._t = setTimeout(() => { if (s) s.textContent = idleStatus; }, timeoutMs);
+  }
+}
+
+// Persistent status (e.g. sync state); shown now and after timed messages
+export function setIdleStatus(text = 'Ready') {
+  idleStatus = String(text || 'Ready');
+  const s = $id(STATUS_AREA_ID);
+  if (!s) return;
+  clearTimeout(s._t);
+  s.textContent = idleStatus;
+}
+
+// ---------- Debounce / Throttle ----------
+export function debounce(fn, wait = 250) {
+  let t;
+  return function (...args) {
+    clearTimeout(t);
+    t = setTimeout(() => fn.apply(this, args), wait);
+  };
+}
+
+export function throttle(fn, limit = 250) {
+  let inThrottle;
+  return function (...args) {
+    if (!inThrottle) {
+      fn.apply(this, args);
+      inThrottle = true;
+      setTimeout(() => (inThrottle = false), limit);
+    }
+  };
+}
+
+// ---------- Small UI helpers ----------
+export function enable(elOrSelector, enabled = true) {
+  const el = typeof elOrSelector === 'string' ? qs(elOrSelector) : elOrSelector;
+  if (!el) return;
+  el.disabled = !enabled;
+  el.setAttribute('aria-disabled', enabled ? 'false' : 'true');
+}
+
+export function toggleVisibility(elOrSelector, show = true) {
+  const el = typeof elOrSelector === 'string' ? qs(elOrSelector) : elOrSelector;
+  if (!el) return;
+  el.style.display = show ? '' : 'none';
+}
+
+// ---------- Safe JSON parse ----------
+export function safeParse(json, fallback = null) {
+  try { return JSON.parse(json); } catch { return fallback; }
+}
+
+// ---------- Export default ----------
+export default {
+  $id, qs, qsa, createEl,
+  escapeHtml, htmlToPlainText,
+  convertPlainToLatexFragment, renderMixedText,
+  splitMathSegments, findLatexErrors,
+  uid, deepClone,
+  formatDateTime,
+  toast, confirmDialog, confirmAction,
+  showLoader, hideLoader,
+  setStatus, setIdleStatus,
+  debounce, throttle,
+  enable, toggleVisibility,
+  safeParse
+};
+export function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.textContent = message;
+  toast.className = `toast ${type}`;
+  Object.assign(toast.style, {
+    position: 'fixed',
+    bottom: '20px',
+    right: '20px',
+    background: type === 'error' ? '#e74c3c' : '#2ecc71',
+    color: 'white',
+    padding: '10px 16px',
+    borderRadius: '6px',
+    fontSize: '14px',
+    zIndex: 9999,
+    boxShadow: '0 2px 6px rgba(0,0,0,0.2)',
+    transition: 'opacity 0.3s ease'
+  });
+  document.body.appendChild(toast);
+  setTimeout(() => {
+    toast.style.opacity = 0;
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
+
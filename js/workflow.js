@@ -0,0 +1,267 @@
+// ------------------------------------------------------
+// Workflow Module — review and approval stages per assessment
+// ------------------------------------------------------
+// Dependencies: firebase-config.js, utils.js, auth.js, offline-sync.js,
+//               exam-delivery.js
+// An exam's `status` is its stage:
+//   Draft → Submitted → (Changes requested → Submitted …) → Approved
+//   → Published → Archived
+// Heads of department (and admins) approve or request changes; only
+// Approved exams can be published. Each step is appended to
+// `workflowLog` and the latest one is copied to `workflowLast` for
+// the Saved Assessments table. firestore.rules checks the same
+// transitions. Publishing writes the key-less copy students read
+// (exam-delivery.js) in the same batch; leaving Published removes it.
+// ------------------------------------------------------
+
+import { db, doc, getDoc, serverTimestamp, writeBatch } from "../firebase-config.js";
+import { toast, escapeHtml, formatDateTime, showLoader, hideLoader } from "./utils.js";
+import { currentProfile, canModifyExam } from "./auth.js";
+import { isOffline, isNetworkError, isLocalId, queueOp, registerSyncHandler } from "./offline-sync.js";
+import { addDeliveryWrites, addDeliveryRemoval } from "./exam-delivery.js";
+
+export const STAGES = {
+  draft: "Draft",
+  submitted: "Submitted",
+  changes: "Changes requested",
+  approved: "Approved",
+  published: "Published",
+  archived: "Archived"
+};
+
+const REVIEWER_ROLES = ["hod", "admin"];
+
+/**
+ * Allowed steps. `reviewer` steps need a head of department or admin;
+ * the rest need edit rights on the exam (auth.js canModifyExam).
+ */
+export const TRANSITIONS = {
+  submit: { label: "Submit for review", from: [STAGES.draft, STAGES.changes], to: STAGES.submitted },
+  withdraw: { label: "Withdraw from review", from: [STAGES.submitted], to: STAGES.draft },
+  requestChanges: { label: "Request changes", from: [STAGES.submitted], to: STAGES.changes, reviewer: true, needsNote: true },
+  approve: { label: "Approve", from: [STAGES.submitted], to: STAGES.approved, reviewer: true },
+  publish: { label: "Publish", from: [STAGES.approved], to: STAGES.published },
+  unpublish: { label: "Unpublish", from: [STAGES.published], to: STAGES.approved },
+  archive: { label: "Archive", from: [STAGES.draft, STAGES.changes, STAGES.approved, STAGES.published], to: STAGES.archived },
+  reopen: { label: "Reopen as draft", from: [STAGES.archived], to: STAGES.draft }
+};
+
+// Main elements
+const workflowModal = document.getElementById("workflowModal");
+const closeWorkflow = document.getElementById("closeWorkflow");
+const workflowTitle = document.getElementById("workflowTitle");
+const workflowStage = document.getElementById("workflowStage");
+const workflowLogList = document.getElementById("workflowLogList");
+const workflowNote = document.getElementById("workflowNote");
+const workflowActions = document.getElementById("workflowActions");
+
+let workflowExam = null;
+
+// ------------------------------------------------------
+// Rules
+// ------------------------------------------------------
+
+/**
+ * Stage of an exam; exams saved before the workflow are Drafts.
+ */
+export function stageOf(exam = {}) {
+  return Object.values(STAGES).includes(exam.status) ? exam.status : STAGES.draft;
+}
+
+/**
+ * Steps the signed-in user may take on `exam` right now.
+ * @returns {string[]} keys of TRANSITIONS
+ */
+export function availableActions(exam = {}, p = currentProfile()) {
+  if (!p) return [];
+  const stage = stageOf(exam);
+  return Object.entries(TRANSITIONS)
+    .filter(([, t]) => t.from.includes(stage))
+    .filter(([, t]) => (t.reviewer ? REVIEWER_ROLES.includes(p.role) && canModifyExam(exam, p) : canModifyExam(exam, p)))
+    .map(([action]) => action);
+}
+
+function logEntry(action, from, to, note = "") {
+  const p = currentProfile();
+  return {
+    action,
+    from,
+    to,
+    byUid: p?.uid || "",
+    byName: p?.name || "Unknown",
+    // serverTimestamp() is not allowed inside arrays
+    at: Date.now(),
+    note: String(note || "").trim()
+  };
+}
+
+/**
+ * Applies a step to exams/{examId}, checking the stage on the server
+ * first so two people cannot act on the same stage.
+ * @param {string} [expectedFrom] - stage the user saw; defaults to the
+ *   stage now on the server
+ * @returns {Promise<Object>} the log entry written
+ */
+export async function applyTransition(examId, action, note = "", expectedFrom = null) {
+  const t = TRANSITIONS[action];
+  if (!t) throw new Error(`Unknown workflow step "${action}".`);
+  if (t.needsNote && !String(note || "").trim()) throw new Error("Add a note for the teacher.");
+
+  const ref = doc(db, "exams", examId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) throw new Error("Assessment not found.");
+  const exam = snap.data();
+  const from = stageOf(exam);
+  if ((expectedFrom && from !== expectedFrom) || !t.from.includes(from)) {
+    throw new Error(`This assessment is now "${from}"; "${t.label}" no longer applies.`);
+  }
+
+  const entry = logEntry(action, from, t.to, note);
+  const batch = writeBatch(db);
+  batch.update(ref, {
+    status: t.to,
+    workflowLog: [...(exam.workflowLog || []), entry],
+    workflowLast: entry,
+    updatedAt: serverTimestamp()
+  });
+  if (t.to === STAGES.published) addDeliveryWrites(batch, examId, exam);
+  else if (from === STAGES.published) addDeliveryRemoval(batch, examId);
+  await batch.commit();
+  return entry;
+}
+
+/**
+ * Why the questions and settings of `exam` cannot be saved now, or ""
+ * when they can. Content changes while Draft or Changes requested, and
+ * while Approved (which sends it back to Draft, see
+ * approvalResetFields); under review, live or archived exams must be
+ * withdrawn, unpublished or reopened first. firestore.rules agrees.
+ */
+export function contentLockedReason(exam = {}) {
+  const stage = stageOf(exam);
+  if (stage === STAGES.submitted) return "This assessment is under review. Withdraw it from review before editing.";
+  if (stage === STAGES.published) return "This assessment is published. Unpublish it before editing.";
+  if (stage === STAGES.archived) return "This assessment is archived. Reopen it as a draft before editing.";
+  return "";
+}
+
+/**
+ * Extra fields for saving new content over an exam: an Approved exam
+ * goes back to Draft, since its approval covered the reviewed version.
+ */
+export function approvalResetFields(exam = {}) {
+  if (stageOf(exam) !== STAGES.approved) return {};
+  const entry = logEntry("edit", STAGES.approved, STAGES.draft, "Edited after approval");
+  return { status: STAGES.draft, workflowLog: [...(exam.workflowLog || []), entry], workflowLast: entry };
+}
+
+/**
+ * Short "Stage · by Name" line for tables.
+ */
+export function stageSummaryHtml(exam = {}) {
+  const last = exam.workflowLast;
+  return `<span class="stage-badge" data-stage="${escapeHtml(stageOf(exam))}">${escapeHtml(stageOf(exam))}</span>${
+    last ? `<div class="small">by ${escapeHtml(last.byName)}${last.note ? ` — “${escapeHtml(last.note)}”` : ""}</div>` : ""
+  }`;
+}
+
+// ------------------------------------------------------
+// Modal
+// ------------------------------------------------------
+function renderWorkflow() {
+  const { data } = workflowExam;
+  workflowTitle.textContent = data.title || workflowExam.id;
+  workflowStage.innerHTML = stageSummaryHtml(data);
+
+  const log = (data.workflowLog || []).slice().reverse();
+  workflowLogList.innerHTML = log.length
+    ? log
+        .map(
+          (e) => `
+        <tr>
+          <td>${escapeHtml(formatDateTime(e.at))}</td>
+          <td>${escapeHtml(e.byName)}</td>
+          <td>${escapeHtml(TRANSITIONS[e.action]?.label || (e.action === "edit" ? "Edited" : e.action))} <span class="small">(${escapeHtml(e.from)} → ${escapeHtml(e.to)})</span></td>
+          <td>${escapeHtml(e.note || "")}</td>
+        </tr>`
+        )
+        .join("")
+    : `<tr><td colspan="4" class="small">No review steps yet.</td></tr>`;
+
+  const actions = availableActions(data);
+  workflowActions.innerHTML = actions.length
+    ? actions
+        .map((a) => `<button class="btn small${TRANSITIONS[a].reviewer ? "" : " ghost"}" data-action="${a}">${escapeHtml(TRANSITIONS[a].label)}</button>`)
+        .join(" ")
+    : `<span class="small">Nothing you can do at this stage.</span>`;
+}
+
+function openWorkflow(id, data = {}) {
+  if (!workflowModal || !id) return;
+  workflowExam = { id, data };
+  workflowNote.value = "";
+  renderWorkflow();
+  workflowModal.style.display = "flex";
+}
+
+async function onAction(action) {
+  const t = TRANSITIONS[action];
+  const note = workflowNote.value.trim();
+  if (t.needsNote && !note) {
+    toast("Add a note for the teacher first.", "error");
+    workflowNote.focus();
+    return;
+  }
+
+  const { id, data } = workflowExam;
+  const from = stageOf(data);
+  const queue = () =>
+    queueOp({ kind: "stage", id, data: { action, note, from, status: t.to, title: data.title || "" } }).then(() => {
+      toast(`"${t.label}" queued; it will apply when synced.`, "info");
+      workflowModal.style.display = "none";
+      window.dispatchEvent(new CustomEvent("assessment:stage-changed", { detail: { id } }));
+    });
+
+  // an exam created offline has no server copy to update yet
+  if (isOffline() || isLocalId(id)) return queue();
+
+  showLoader("global", "Updating stage...");
+  try {
+    const entry = await applyTransition(id, action, note, from);
+    toast(`${t.label}: done.`, "success");
+    workflowExam = { id, data: { ...data, status: entry.to, workflowLast: entry, workflowLog: [...(data.workflowLog || []), entry] } };
+    renderWorkflow();
+    workflowNote.value = "";
+    window.dispatchEvent(new CustomEvent("assessment:stage-changed", { detail: { id, entry } }));
+  } catch (err) {
+    console.error("workflow:", err);
+    if (isNetworkError(err)) await queue();
+    else toast(err.message || "Could not update the stage.", "error");
+  } finally {
+    hideLoader("global");
+  }
+}
+
+// ------------------------------------------------------
+// Init
+// ------------------------------------------------------
+(function init() {
+  // Queued steps replay with the stage the user saw, so a step taken
+  // on a stale stage is reported instead of applied
+  registerSyncHandler("stage", (op) => applyTransition(op.id, op.data.action, op.data.note, op.data.from));
+
+  if (!workflowModal) return;
+
+  // Workflow button in the Saved Assessments table (assessment-manager.js)
+  window.addEventListener("assessment:workflow", (e) => openWorkflow(e.detail?.id, e.detail?.data));
+  workflowActions.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (btn) onAction(btn.dataset.action);
+  });
+  if (closeWorkflow) closeWorkflow.addEventListener("click", () => (workflowModal.style.display = "none"));
+  workflowModal.addEventListener("click", (ev) => {
+    if (ev.target === workflowModal) workflowModal.style.display = "none";
+  });
+})();
+
+export default { STAGES, TRANSITIONS, stageOf, availableActions, applyTransition, contentLockedReason, approvalResetFields, stageSummaryHtml };